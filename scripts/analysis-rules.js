@@ -0,0 +1,595 @@
+#!/usr/bin/env node
+
+/**
+ * NydArt Advisor - Analysis Rules
+ *
+ * The patterns BugAnalyzer uses to grade failures and offer automatic fixes,
+ * loaded from YAML or JSON rule files instead of code:
+ *
+ *   service: auth_service
+ *   rules:
+ *     - id: jwt-invalid
+ *       pattern: 'jwt.*invalid'        # regular expression, flags default to "i"
+ *       severity: critical             # critical | high | medium | low
+ *       category: security             # bug category
+ *       priority: 10                   # optional, higher is evaluated first
+ *     - id: jwt-validation
+ *       pattern: 'jwt.*validation.*failed'
+ *       autoFix:
+ *         fix: Implement proper JWT validation middleware
+ *         template: jwt-validation     # fix-templates/<template>.json, defaults to the id
+ *         files: ['src/middleware/*.js']
+ *         risk: medium                 # low | medium | high
+ *
+ * The rules of a service come from three layers, later layers win:
+ *   1. scripts/rules/_global.yml       every service
+ *   2. scripts/rules/<service>.yml     defaults kept in this repository
+ *   3. <service>/.bug-rules.yml        shipped by the service repository
+ * A rule with the id of an earlier rule replaces it, `disabled: true` removes
+ * it and `inherit: false` at the top of a file drops the earlier layers.
+ *
+ * Severity and category come from the first matching rule that sets them, by
+ * priority, then layer (later first), then file order. Every matching rule
+ * with an autoFix is offered as an automatic fix.
+ *
+ * Rule files are re-read when they change on disk, so running processes pick
+ * up edits without a restart.
+ *
+ * `stats` reports how often each rule's severity and category survived human
+ * review (rule-feedback.js) and suggests rules to change or delete.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const registry = require('./service-registry');
+const { parseYaml } = require('./yaml-lite');
+const { BUG_CATEGORIES, SEVERITY_LEVELS } = require('./bug-tracker');
+const { readFeedback, computeRuleStats, suggestRuleChanges, SUGGESTION_DEFAULTS } = require('./rule-feedback');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DATA_DIR = process.env.BUG_DATA_DIR || ROOT_DIR; // same default as bug-tracker.js
+const RULES_DIR = path.join(__dirname, 'rules');
+const GLOBAL_RULES = '_global';
+const SERVICE_RULES_FILE = '.bug-rules';
+const EXTENSIONS = ['.yml', '.yaml', '.json'];
+
+const SEVERITIES = Object.values(SEVERITY_LEVELS);
+const CATEGORIES = Object.values(BUG_CATEGORIES);
+const RISKS = ['low', 'medium', 'high'];
+const FILE_FIELDS = ['service', 'inherit', 'rules'];
+const RULE_FIELDS = ['id', 'pattern', 'flags', 'severity', 'category', 'priority', 'description', 'autoFix', 'disabled'];
+const AUTOFIX_FIELDS = ['fix', 'template', 'files', 'risk'];
+
+const log = (message, type = 'info') => {
+    const timestamp = new Date().toISOString();
+    const prefix = type === 'error' ? '❌' : type === 'success' ? '✅' : type === 'warning' ? '⚠️' : 'ℹ️';
+    console.log(`${prefix} [${timestamp}] ${message}`);
+};
+
+const displayPath = (file) => path.relative(ROOT_DIR, file) || file;
+
+const isMapping = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const readRuleFile = (file) => {
+    const content = fs.readFileSync(file, 'utf8');
+    return path.extname(file) === '.json' ? JSON.parse(content) : parseYaml(content);
+};
+
+const validateAutoFix = (autoFix, where, issues) => {
+    if (!isMapping(autoFix)) {
+        issues.errors.push(`${where}: autoFix must be a mapping`);
+        return;
+    }
+    Object.keys(autoFix).filter(key => !AUTOFIX_FIELDS.includes(key)).forEach(key => {
+        issues.warnings.push(`${where}: unknown autoFix field "${key}"`);
+    });
+
+    if (typeof autoFix.fix !== 'string' || autoFix.fix.trim() === '') {
+        issues.errors.push(`${where}: autoFix.fix (what the fix does) is required`);
+    }
+    if (autoFix.template !== undefined && typeof autoFix.template !== 'string') {
+        issues.errors.push(`${where}: autoFix.template must be a template name`);
+    }
+    if (autoFix.risk !== undefined && !RISKS.includes(autoFix.risk)) {
+        issues.errors.push(`${where}: autoFix.risk must be one of ${RISKS.join(', ')}`);
+    }
+    if (autoFix.files !== undefined) {
+        if (!Array.isArray(autoFix.files) || autoFix.files.some(file => typeof file !== 'string' || file === '')) {
+            issues.errors.push(`${where}: autoFix.files must be a list of file globs`);
+        } else {
+            autoFix.files
+                .filter(file => path.isAbsolute(file) || file.split('/').includes('..'))
+                .forEach(file => issues.errors.push(`${where}: autoFix.files "${file}" must be relative to the service directory`));
+        }
+    }
+};
+
+/**
+ * Check a parsed rule file against the schema. Returns { errors, warnings }.
+ */
+const validateRuleSet = (ruleSet, label = 'rules') => {
+    const issues = { errors: [], warnings: [] };
+
+    if (!isMapping(ruleSet)) {
+        issues.errors.push(`${label}: expected a mapping with a "rules" list`);
+        return issues;
+    }
+    Object.keys(ruleSet).filter(key => !FILE_FIELDS.includes(key)).forEach(key => {
+        issues.warnings.push(`${label}: unknown field "${key}"`);
+    });
+    if (ruleSet.service !== undefined && typeof ruleSet.service !== 'string') {
+        issues.errors.push(`${label}: service must be a service id`);
+    }
+    if (ruleSet.inherit !== undefined && typeof ruleSet.inherit !== 'boolean') {
+        issues.errors.push(`${label}: inherit must be true or false`);
+    }
+    if (!Array.isArray(ruleSet.rules)) {
+        issues.errors.push(`${label}: "rules" must be a list`);
+        return issues;
+    }
+
+    const ids = new Set();
+    ruleSet.rules.forEach((rule, index) => {
+        const where = `${label}: rules[${index}]${isMapping(rule) && typeof rule.id === 'string' ? ` (${rule.id})` : ''}`;
+        if (!isMapping(rule)) {
+            issues.errors.push(`${where}: expected a mapping`);
+            return;
+        }
+        Object.keys(rule).filter(key => !RULE_FIELDS.includes(key)).forEach(key => {
+            issues.warnings.push(`${where}: unknown field "${key}"`);
+        });
+
+        if (typeof rule.id !== 'string' || !/^[A-Za-z0-9][\w.-]*$/.test(rule.id)) {
+            issues.errors.push(`${where}: id is required (letters, digits, ".", "_" and "-")`);
+        } else if (ids.has(rule.id)) {
+            issues.errors.push(`${where}: duplicate id "${rule.id}"`);
+        } else {
+            ids.add(rule.id);
+        }
+
+        if (rule.disabled !== undefined && typeof rule.disabled !== 'boolean') {
+            issues.errors.push(`${where}: disabled must be true or false`);
+        }
+        if (rule.disabled === true) return; // only needs the id of the rule it removes
+
+        if (typeof rule.pattern !== 'string' || rule.pattern === '') {
+            issues.errors.push(`${where}: pattern is required`);
+        } else {
+            const flags = rule.flags === undefined ? 'i' : rule.flags;
+            if (typeof flags !== 'string' || !/^[imsu]*$/.test(flags)) {
+                issues.errors.push(`${where}: flags may only contain i, m, s and u`);
+            } else {
+                try {
+                    new RegExp(rule.pattern, flags);
+                } catch (error) {
+                    issues.errors.push(`${where}: invalid pattern: ${error.message}`);
+                }
+            }
+        }
+
+        if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+            issues.errors.push(`${where}: severity must be one of ${SEVERITIES.join(', ')}`);
+        }
+        if (rule.category !== undefined && !CATEGORIES.includes(rule.category)) {
+            issues.errors.push(`${where}: category must be one of ${CATEGORIES.join(', ')}`);
+        }
+        if (rule.priority !== undefined && !Number.isInteger(rule.priority)) {
+            issues.errors.push(`${where}: priority must be an integer`);
+        }
+        if (rule.description !== undefined && typeof rule.description !== 'string') {
+            issues.errors.push(`${where}: description must be text`);
+        }
+        if (rule.autoFix !== undefined) {
+            validateAutoFix(rule.autoFix, where, issues);
+        }
+        if (rule.severity === undefined && rule.category === undefined && rule.autoFix === undefined) {
+            issues.warnings.push(`${where}: sets no severity, category or autoFix and has no effect`);
+        }
+    });
+
+    return issues;
+};
+
+// Parsed rule files by path, re-read when the file changes
+const cache = new Map();
+
+const loadRuleFile = (file) => {
+    const stat = fs.statSync(file);
+    const cached = cache.get(file);
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+        return cached.ruleSet;
+    }
+
+    try {
+        const ruleSet = readRuleFile(file);
+        const issues = validateRuleSet(ruleSet, displayPath(file));
+        if (issues.errors.length > 0) {
+            throw new Error(issues.errors.join('\n'));
+        }
+        cache.set(file, { mtimeMs: stat.mtimeMs, size: stat.size, ruleSet });
+        return ruleSet;
+    } catch (error) {
+        if (!cached) {
+            const invalid = new Error(`Invalid rule file ${displayPath(file)}:\n${error.message}`);
+            invalid.code = 'INVALID_RULES';
+            throw invalid;
+        }
+        // Keep the last valid rules while the file is being edited, warn once per change
+        log(`Ignoring invalid changes to ${displayPath(file)}: ${error.message}`, 'warning');
+        cached.mtimeMs = stat.mtimeMs;
+        cached.size = stat.size;
+        return cached.ruleSet;
+    }
+};
+
+const findRuleFile = (dir, name) => EXTENSIONS
+    .map(extension => path.join(dir, `${name}${extension}`))
+    .find(file => fs.existsSync(file)) || null;
+
+// The rule files that apply to a service, lowest precedence first
+const ruleLayers = (serviceKey) => {
+    const service = registry.getService(serviceKey);
+    const serviceId = service ? service.id : serviceKey;
+
+    return [
+        { layer: 'global', file: findRuleFile(RULES_DIR, GLOBAL_RULES) },
+        { layer: 'defaults', file: serviceId ? findRuleFile(RULES_DIR, serviceId) : null },
+        { layer: 'service', file: service ? findRuleFile(registry.servicePath(service), SERVICE_RULES_FILE) : null }
+    ].filter(layer => layer.file);
+};
+
+const compileRule = (rule, source) => {
+    const flags = rule.flags === undefined ? 'i' : rule.flags;
+    return { ...rule, flags, priority: rule.priority || 0, regex: new RegExp(rule.pattern, flags), source };
+};
+
+// Highest priority first, then later layers, then file order
+const byPrecedence = (a, b) =>
+    (b.priority - a.priority) || (b.source.rank - a.source.rank) || (a.source.index - b.source.index);
+
+const mergeLayers = (layers) => {
+    const effective = new Map();
+    layers.forEach(({ layer, file, ruleSet }, rank) => {
+        if (ruleSet.inherit === false) {
+            effective.clear();
+        }
+        ruleSet.rules.forEach((rule, index) => {
+            effective.delete(rule.id);
+            if (!rule.disabled) {
+                effective.set(rule.id, compileRule(rule, { layer, file: displayPath(file), rank, index }));
+            }
+        });
+    });
+    return [...effective.values()].sort(byPrecedence);
+};
+
+/**
+ * Effective rules of a service (id, name or alias), in precedence order
+ */
+const getRules = (serviceKey) => mergeLayers(
+    ruleLayers(serviceKey).map(layer => ({ ...layer, ruleSet: loadRuleFile(layer.file) }))
+);
+
+// The rules of one file on its own
+const getFileRules = (file) => {
+    const absolute = path.resolve(file);
+    return mergeLayers([{ layer: 'file', file: absolute, ruleSet: loadRuleFile(absolute) }]);
+};
+
+/**
+ * Run rules against an error message. Returns every matching rule with the
+ * text it matched, and the severity, category and auto-fixes they decide.
+ */
+const evaluateRules = (rules, text) => {
+    const matches = [];
+    rules.forEach(rule => {
+        const match = rule.regex.exec(String(text || ''));
+        if (match) {
+            matches.push({ rule, matched: match[0], index: match.index });
+        }
+    });
+
+    const decide = (field) => {
+        const decider = matches.find(match => match.rule[field] !== undefined);
+        return decider ? { value: decider.rule[field], rule: decider.rule.id } : null;
+    };
+
+    return {
+        matches,
+        severity: decide('severity'),
+        category: decide('category'),
+        autoFixes: matches.filter(match => match.rule.autoFix).map(match => match.rule)
+    };
+};
+
+const matchRules = (text, serviceKey) => evaluateRules(getRules(serviceKey), text);
+
+// "src/**/*.js" -> RegExp: ** spans directories, * and ? stay within one
+const globToRegExp = (glob) => {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            const slash = glob[i + 2] === '/';
+            source += slash ? '(?:.*/)?' : '.*';
+            i += slash ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+};
+
+/**
+ * Files under baseDir matching the globs of a rule's autoFix.files, relative
+ * to baseDir
+ */
+const resolveFiles = (globs, baseDir) => {
+    if (!globs || globs.length === 0 || !fs.existsSync(baseDir)) return [];
+
+    const patterns = globs.map(globToRegExp);
+    const found = [];
+    const walk = (dir) => {
+        fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+            if (entry.name === 'node_modules' || entry.name === '.git') return;
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                walk(full);
+                return;
+            }
+            const relative = path.relative(baseDir, full).split(path.sep).join('/');
+            if (patterns.some(pattern => pattern.test(relative))) {
+                found.push(relative);
+            }
+        });
+    };
+    walk(baseDir);
+    return found.sort();
+};
+
+// Every rule file in this repository and in the service checkouts
+const allRuleFiles = () => {
+    const local = fs.existsSync(RULES_DIR)
+        ? fs.readdirSync(RULES_DIR).filter(name => EXTENSIONS.includes(path.extname(name))).map(name => path.join(RULES_DIR, name))
+        : [];
+    const shipped = registry.getServices()
+        .map(service => findRuleFile(registry.servicePath(service), SERVICE_RULES_FILE))
+        .filter(Boolean);
+    return [...local, ...shipped];
+};
+
+// CLI interface
+const describeRule = (rule) => [
+    rule.severity && `severity ${rule.severity}`,
+    rule.category && `category ${rule.category}`,
+    rule.autoFix && `auto-fix "${rule.autoFix.fix}"`
+].filter(Boolean).join(', ');
+
+const printTest = (rules, text) => {
+    const result = evaluateRules(rules, text);
+    const matched = new Map(result.matches.map(match => [match.rule, match]));
+
+    console.log(`\nTesting ${rules.length} rule(s) against: "${text}"\n`);
+    rules.forEach(rule => {
+        const match = matched.get(rule);
+        const label = `${rule.id}  /${rule.pattern}/${rule.flags}  [${rule.source.layer} ${rule.source.file}${rule.priority ? `, priority ${rule.priority}` : ''}]`;
+        if (!match) {
+            console.log(`  ·  ${label}  no match`);
+            return;
+        }
+
+        const shadowed = ['severity', 'category']
+            .filter(field => rule[field] !== undefined && result[field].rule !== rule.id)
+            .map(field => `${field} overridden by ${result[field].rule}`);
+        console.log(`  ✅ ${label}`);
+        console.log(`       matched "${match.matched}" at ${match.index}: ${describeRule(rule) || 'no effect'}${shadowed.length ? ` (${shadowed.join(', ')})` : ''}`);
+    });
+
+    console.log('');
+    console.log(`Severity: ${result.severity ? `${result.severity.value} (${result.severity.rule})` : 'no rule sets it (low, or medium for a service without rules)'}`);
+    console.log(`Category: ${result.category ? `${result.category.value} (${result.category.rule})` : 'no rule sets it (keyword heuristics)'}`);
+    console.log(`Auto-fix: ${result.autoFixes.length ? result.autoFixes.map(rule => rule.id).join(', ') : 'none'}`);
+};
+
+const formatPrecision = (fieldStats) => (fieldStats.decided > 0
+    ? `${Math.round(fieldStats.precision * 100)}% of ${fieldStats.decided}`
+    : '');
+
+const SUGGESTION_LABELS = {
+    promote: (s) => `raise severity to ${s.to}`,
+    demote: (s) => `lower severity to ${s.to}`,
+    recategorize: (s) => `set category to ${s.to}`,
+    'add-rule': (s) => `add a rule setting ${s.field} ${s.to} for these failures`,
+    delete: () => 'delete'
+};
+
+const printStats = (serviceKey, options) => {
+    const normalizeService = (key) => (registry.getService(key) || { id: key }).id;
+    const services = serviceKey ? [normalizeService(serviceKey)] : registry.getServices().map(service => service.id);
+    const stats = computeRuleStats(readFeedback(DATA_DIR), { normalizeService });
+    stats.rules = stats.rules.filter(entry => services.includes(entry.service));
+
+    const rulesByService = {};
+    services.forEach(service => {
+        rulesByService[service] = getRules(service);
+    });
+    const suggestions = suggestRuleChanges(stats, rulesByService, options);
+
+    if (options.json) {
+        console.log(JSON.stringify({ ...stats, suggestions }, null, 2));
+        return;
+    }
+
+    if (stats.rules.length === 0) {
+        log('No rule feedback recorded yet: it is collected as bug-analyzer.js grades failures and people correct them with bug-tracker.js update');
+    } else {
+        console.table(stats.rules
+            .sort((a, b) => a.service.localeCompare(b.service) || b.hits - a.hits)
+            .map(entry => ({
+                service: entry.service,
+                rule: entry.rule,
+                hits: entry.hits,
+                bugs: entry.bugs,
+                'severity kept': formatPrecision(entry.severity),
+                'category kept': formatPrecision(entry.category)
+            })));
+    }
+
+    if (suggestions.length === 0) {
+        log(`No rule changes to suggest (rules are judged after ${options.minSamples} decisions)`, 'success');
+        return;
+    }
+    console.log('\nSuggested rule changes:');
+    suggestions.forEach(suggestion => {
+        console.log(`  ${suggestion.service} ${suggestion.rule}: ${SUGGESTION_LABELS[suggestion.action](suggestion)} (${suggestion.reason})`);
+    });
+};
+
+const main = (args) => {
+    const command = args[0];
+
+    switch (command) {
+        case 'list': {
+            const services = args[1] ? [args[1]] : registry.getServices().map(service => service.id);
+            const rows = services.flatMap(service => getRules(service).map(rule => ({
+                service,
+                id: rule.id,
+                severity: rule.severity || '',
+                category: rule.category || '',
+                autoFix: rule.autoFix ? (rule.autoFix.template || rule.id) : '',
+                priority: rule.priority || '',
+                source: `${rule.source.layer} ${rule.source.file}`
+            })));
+            if (rows.length === 0) {
+                log('No analysis rules found');
+                break;
+            }
+            console.table(rows);
+            break;
+        }
+
+        case 'validate': {
+            const files = args.length > 1 ? args.slice(1).map(file => path.resolve(file)) : allRuleFiles();
+            let errors = 0;
+            files.forEach(file => {
+                let issues;
+                try {
+                    issues = validateRuleSet(readRuleFile(file), displayPath(file));
+                } catch (error) {
+                    issues = { errors: [`${displayPath(file)}: ${error.message}`], warnings: [] };
+                }
+
+                const name = path.basename(file, path.extname(file));
+                if (path.dirname(file) === RULES_DIR && name !== GLOBAL_RULES && !registry.getService(name)) {
+                    issues.warnings.push(`${displayPath(file)}: "${name}" is not a registered service, the file is never loaded`);
+                }
+
+                issues.warnings.forEach(message => log(message, 'warning'));
+                issues.errors.forEach(message => log(message, 'error'));
+                if (issues.errors.length === 0) {
+                    log(`${displayPath(file)} is valid`, 'success');
+                }
+                errors += issues.errors.length;
+            });
+            if (errors > 0) {
+                throw new Error(`${errors} error(s) in ${files.length} rule file(s)`);
+            }
+            break;
+        }
+
+        case 'test': {
+            const [, target, ...words] = args;
+            const text = words.join(' ');
+            if (!target || !text) {
+                throw new Error('Usage: test <rule file|service> "<error text>"');
+            }
+            if (fs.existsSync(target) && fs.statSync(target).isFile()) {
+                printTest(getFileRules(target), text);
+            } else if (registry.getService(target)) {
+                printTest(getRules(target), text);
+            } else {
+                throw new Error(`"${target}" is neither a rule file nor a registered service`);
+            }
+            break;
+        }
+
+        case 'stats': {
+            const serviceKey = args[1] && !args[1].startsWith('--') ? args[1] : undefined;
+            const minSamplesIndex = args.indexOf('--min-samples');
+            const minSamples = minSamplesIndex !== -1 ? parseInt(args[minSamplesIndex + 1], 10) : SUGGESTION_DEFAULTS.minSamples;
+            if (!Number.isInteger(minSamples) || minSamples < 1) {
+                throw new Error('--min-samples expects a positive number');
+            }
+            if (serviceKey && !registry.getService(serviceKey)) {
+                throw new Error(`Unknown service: ${serviceKey}`);
+            }
+            printStats(serviceKey, { minSamples, json: args.includes('--json') });
+            break;
+        }
+
+        case undefined:
+        case 'help':
+        case '--help':
+        case '-h':
+        default:
+            console.log(`
+NydArt Advisor Analysis Rules
+
+Usage: node scripts/analysis-rules.js <command> [options]
+
+Commands:
+  list [service]
+    Show the effective rules (after overrides) and where each comes from
+
+  validate [file...]
+    Check rule files against the schema (default: scripts/rules/ and every
+    service's ${SERVICE_RULES_FILE}.yml)
+
+  test <file|service> "<error text>"
+    Show which rules of a file, or the effective rules of a service, fire on
+    the text, what they matched and the severity, category and auto-fixes
+    that result
+
+  stats [service] [--min-samples <n>] [--json]
+    Per-rule hits and how often the severity/category a rule set was kept
+    after human review (bug-tracker.js update), with suggested rules to
+    promote, demote, recategorize or delete (judged after <n> decisions,
+    default ${SUGGESTION_DEFAULTS.minSamples})
+
+Rule files: scripts/rules/${GLOBAL_RULES}.yml (all services), scripts/rules/<service>.yml,
+<service>/${SERVICE_RULES_FILE}.yml (later files override rules with the same id)
+
+Examples:
+  node scripts/analysis-rules.js list auth
+  node scripts/analysis-rules.js validate
+  node scripts/analysis-rules.js test scripts/rules/auth_service.yml "JWT validation failed"
+  node scripts/analysis-rules.js test db "E11000 duplicate key error"
+  node scripts/analysis-rules.js stats auth --min-samples 10
+`);
+            break;
+    }
+};
+
+// Run CLI if called directly
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (error) {
+        log(error.message, 'error');
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    RULES_DIR,
+    validateRuleSet,
+    getRules,
+    getFileRules,
+    evaluateRules,
+    matchRules,
+    resolveFiles
+};
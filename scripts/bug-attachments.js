@@ -0,0 +1,120 @@
+/**
+ * NydArt Advisor - Bug Attachments Store
+ *
+ * Logs, screenshots and other files attached to bugs are copied into the
+ * attachments directory of the bug data directory and stored under the
+ * SHA-256 of their content (attachments/ab/abcdef...). The same file attached
+ * twice, or to several bugs, is stored once, and a stored file never changes.
+ * Bugs list their attachments as
+ *
+ *   { id, name, size, sha256, contentType, addedBy, addedAt }
+ *
+ * Files over maxFileSize are refused, as are attachments that would take a
+ * bug over maxBugSize in total.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Store configuration
+const CONFIG = {
+    dir: 'attachments', // relative to the bug data directory
+    maxFileSize: 10 * 1024 * 1024,
+    maxBugSize: 50 * 1024 * 1024
+};
+
+const CONTENT_TYPES = {
+    '.txt': 'text/plain',
+    '.log': 'text/plain',
+    '.md': 'text/markdown',
+    '.csv': 'text/csv',
+    '.json': 'application/json',
+    '.har': 'application/json',
+    '.xml': 'application/xml',
+    '.html': 'text/html',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml',
+    '.pdf': 'application/pdf',
+    '.zip': 'application/zip',
+    '.gz': 'application/gzip',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm'
+};
+
+const attachmentError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const formatSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+const contentTypeOf = (file) => CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+
+const attachmentPath = (dataDir, sha256) => path.join(dataDir, CONFIG.dir, sha256.slice(0, 2), sha256);
+
+// Bytes a bug's stored attachments take (older string entries count as 0)
+const attachedSize = (bug) => (bug.attachments || []).reduce((sum, item) => sum + (item && item.size ? item.size : 0), 0);
+
+/**
+ * Size of `file` after checking it is a regular file within the per-file
+ * limit and, with `bug`, within the bug's remaining allowance.
+ */
+const checkAttachment = (file, bug = null) => {
+    let stat;
+    try {
+        stat = fs.statSync(file);
+    } catch (error) {
+        throw attachmentError(`Cannot read ${file}: ${error.code === 'ENOENT' ? 'no such file' : error.message}`, 'ATTACHMENT_UNREADABLE');
+    }
+    if (!stat.isFile()) {
+        throw attachmentError(`${file} is not a file`, 'ATTACHMENT_UNREADABLE');
+    }
+    if (stat.size > CONFIG.maxFileSize) {
+        throw attachmentError(`${file} is ${formatSize(stat.size)}, attachments may be at most ${formatSize(CONFIG.maxFileSize)}`, 'ATTACHMENT_TOO_LARGE');
+    }
+    if (bug && attachedSize(bug) + stat.size > CONFIG.maxBugSize) {
+        throw attachmentError(
+            `${bug.id} already has ${formatSize(attachedSize(bug))} of attachments, ${path.basename(file)} would exceed the ${formatSize(CONFIG.maxBugSize)} per bug`,
+            'ATTACHMENT_TOO_LARGE'
+        );
+    }
+    return stat.size;
+};
+
+/**
+ * Copy `file` into the store unless its content is there already. Returns
+ * { sha256, size, contentType }.
+ */
+const storeAttachment = (dataDir, file) => {
+    checkAttachment(file);
+    const content = fs.readFileSync(file);
+    const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+    const target = attachmentPath(dataDir, sha256);
+
+    if (!fs.existsSync(target)) {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        const temp = `${target}.${process.pid}.tmp`;
+        fs.writeFileSync(temp, content, { mode: 0o444 });
+        fs.renameSync(temp, target);
+    }
+
+    return { sha256, size: content.length, contentType: contentTypeOf(file) };
+};
+
+module.exports = {
+    CONFIG,
+    formatSize,
+    attachmentPath,
+    checkAttachment,
+    storeAttachment
+};
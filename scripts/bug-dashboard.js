@@ -0,0 +1,386 @@
+#!/usr/bin/env node
+
+/**
+ * NydArt Advisor - Bug Dashboard
+ *
+ * Renders the bug tracker as one self-contained HTML page: styles, script
+ * and data are inlined, nothing is loaded from a CDN, so the page works as a
+ * file opened from disk as well as served by bug-server.js (/dashboard).
+ *
+ * The page shows open bugs by priority, severity/category/service/state
+ * breakdowns, the 30-day bugTrend and the average resolution time, with
+ * filters that mirror BugTracker.searchBugs (service, severity, category,
+ * state, assignee, text search). #bug/<id> opens the detail page of a bug
+ * with its history and comments.
+ *
+ * Usage: node scripts/bug-dashboard.js generate [--out <file>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG = {
+    fileName: 'dashboard.html', // in the tracker's reports directory
+    trendDays: 30,
+    title: 'NydArt Advisor Bugs'
+};
+
+const log = (message, type = 'info') => {
+    const timestamp = new Date().toISOString();
+    const prefix = type === 'error' ? '❌' : type === 'success' ? '✅' : type === 'warning' ? '⚠️' : 'ℹ️';
+    console.log(`${prefix} [${timestamp}] ${message}`);
+};
+
+// Bug fields the page needs; stack frames, baselines and old cycles stay out
+const BUG_FIELDS = [
+    'id', 'title', 'description', 'service', 'component', 'severity', 'category', 'state', 'priority',
+    'assignedTo', 'detectedAt', 'detectedBy', 'lastUpdated', 'lastSeenAt', 'resolvedAt', 'occurrences',
+    'testCase', 'errorMessage', 'stackTrace', 'codeLocation', 'tags', 'reopenCount', 'history', 'comments'
+];
+
+const pickBug = (bug) => {
+    const picked = Object.fromEntries(BUG_FIELDS.filter(field => bug[field] !== undefined).map(field => [field, bug[field]]));
+    if (bug.fix) picked.fix = { description: bug.fix.description, status: bug.fix.status, implementedAt: bug.fix.implementedAt, git: bug.fix.git || null };
+    if (bug.resolution) picked.resolution = { type: bug.resolution.resolutionType, description: bug.resolution.description, resolvedBy: bug.resolution.resolvedBy };
+    return picked;
+};
+
+// The last `days` days of metrics.bugTrend, with the days without activity
+const fillTrend = (bugTrend, days, now = new Date()) => {
+    const counts = new Map((bugTrend || []).map(entry => [entry.date, entry.count]));
+    return Array.from({ length: days }, (unused, index) => {
+        const day = new Date(now.getTime() - (days - 1 - index) * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        return { date: day, count: counts.get(day) || 0 };
+    });
+};
+
+/**
+ * Everything the page shows, taken from a BugTracker: its bugs, the metrics
+ * and the value lists of the filters.
+ */
+const dashboardData = (tracker, options = {}) => {
+    const { BUG_STATES, BUG_CATEGORIES, SEVERITY_LEVELS } = tracker.constructor;
+    return {
+        title: options.title || CONFIG.title,
+        generatedAt: new Date().toISOString(),
+        states: Object.values(BUG_STATES),
+        severities: Object.values(SEVERITY_LEVELS),
+        categories: Object.values(BUG_CATEGORIES),
+        openStates: Object.values(BUG_STATES).filter(state => tracker.isOpen({ state })),
+        metrics: {
+            averageResolutionTime: tracker.metrics.averageResolutionTime || 0,
+            bugTrend: fillTrend(tracker.metrics.bugTrend, CONFIG.trendDays),
+            lastUpdated: tracker.metrics.lastUpdated || null
+        },
+        bugs: tracker.bugs.map(pickBug)
+    };
+};
+
+const STYLES = `
+:root { --fg: #1f2933; --muted: #616e7c; --line: #e4e7eb; --bg: #f5f7fa; --card: #fff; --accent: #2f6fde;
+  --critical: #c81e1e; --high: #e0681b; --medium: #d9a400; --low: #3f9142; }
+* { box-sizing: border-box; }
+body { margin: 0; font: 14px/1.45 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: var(--fg); background: var(--bg); }
+header { background: #1f2933; color: #fff; padding: 12px 24px; display: flex; align-items: baseline; gap: 16px; }
+header h1 { font-size: 18px; margin: 0; }
+header a { color: #fff; }
+header small { color: #cbd2d9; }
+main { padding: 16px 24px 48px; max-width: 1400px; margin: 0 auto; }
+.grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(260px, 1fr)); gap: 16px; margin-bottom: 16px; }
+.card { background: var(--card); border: 1px solid var(--line); border-radius: 6px; padding: 12px 16px; }
+.card h2 { font-size: 13px; text-transform: uppercase; letter-spacing: .04em; color: var(--muted); margin: 0 0 8px; }
+.stat { font-size: 28px; font-weight: 600; }
+.bar { display: grid; grid-template-columns: 120px 1fr 40px; align-items: center; gap: 8px; margin: 3px 0; }
+.bar span:first-child { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.bar .fill { height: 10px; background: var(--accent); border-radius: 2px; min-width: 1px; }
+.bar span:last-child { text-align: right; color: var(--muted); }
+.filters { display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 12px; }
+.filters select, .filters input { padding: 6px 8px; border: 1px solid var(--line); border-radius: 4px; font: inherit; background: #fff; }
+.filters input[type=search] { min-width: 240px; }
+table { width: 100%; border-collapse: collapse; background: var(--card); }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid var(--line); vertical-align: top; }
+th { font-size: 12px; color: var(--muted); text-transform: uppercase; }
+tr:hover td { background: #f0f4ff; }
+.sev { display: inline-block; padding: 0 6px; border-radius: 3px; color: #fff; font-size: 12px; }
+.sev-critical { background: var(--critical); } .sev-high { background: var(--high); }
+.sev-medium { background: var(--medium); } .sev-low { background: var(--low); }
+.muted { color: var(--muted); }
+pre { background: #f0f2f5; padding: 8px; overflow: auto; max-height: 320px; font-size: 12px; }
+dl { display: grid; grid-template-columns: 160px 1fr; gap: 4px 12px; margin: 0; }
+dt { color: var(--muted); }
+dd { margin: 0; }
+.timeline { list-style: none; padding: 0; margin: 0; }
+.timeline li { border-left: 2px solid var(--line); padding: 4px 0 8px 12px; }
+.empty { padding: 24px; text-align: center; color: var(--muted); }
+svg text { font-size: 10px; fill: var(--muted); }
+`;
+
+// Runs in the browser: renders the overview or a bug page from the inlined data
+function dashboardApp() {
+    const data = JSON.parse(document.getElementById('bug-data').textContent);
+    const root = document.getElementById('app');
+    const filters = { service: '', severity: '', category: '', state: 'open', assignedTo: '', search: '' };
+
+    const escape = (value) => String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    const date = (value) => (value ? new Date(value).toLocaleString() : '');
+    const duration = (ms) => {
+        if (!ms) return 'n/a';
+        const hours = Math.round(ms / 3600000);
+        return hours >= 48 ? `${Math.round(hours / 24)} days` : hours >= 1 ? `${hours} h` : `${Math.max(1, Math.round(ms / 60000))} min`;
+    };
+    const severity = (value) => `<span class="sev sev-${escape(value)}">${escape(value)}</span>`;
+    const unique = (values) => [...new Set(values.filter(Boolean))].sort();
+
+    // Same criteria as BugTracker.searchBugs, plus "open" for any open state
+    const matches = (bug) => {
+        if (filters.service && bug.service !== filters.service) return false;
+        if (filters.severity && bug.severity !== filters.severity) return false;
+        if (filters.category && bug.category !== filters.category) return false;
+        if (filters.state === 'open' && !data.openStates.includes(bug.state)) return false;
+        if (filters.state && filters.state !== 'open' && bug.state !== filters.state) return false;
+        if (filters.assignedTo && bug.assignedTo !== filters.assignedTo) return false;
+        if (filters.search) {
+            const text = `${bug.title} ${bug.description}`.toLowerCase();
+            if (!text.includes(filters.search.toLowerCase())) return false;
+        }
+        return true;
+    };
+
+    const breakdown = (title, bugs, field, order) => {
+        const counts = {};
+        bugs.forEach(bug => { counts[bug[field] || 'unknown'] = (counts[bug[field] || 'unknown'] || 0) + 1; });
+        const keys = (order || Object.keys(counts).sort((a, b) => counts[b] - counts[a])).filter(key => counts[key]);
+        const max = Math.max(1, ...Object.values(counts));
+        const rows = keys.map(key => `<div class="bar"><span title="${escape(key)}">${escape(key)}</span>` +
+            `<div class="fill" style="width:${(counts[key] / max) * 100}%"></div><span>${counts[key]}</span></div>`).join('');
+        return `<div class="card"><h2>${escape(title)}</h2>${rows || '<div class="muted">No bugs</div>'}</div>`;
+    };
+
+    const trendChart = (trend) => {
+        const width = 300;
+        const height = 90;
+        const max = Math.max(1, ...trend.map(day => day.count));
+        const step = width / trend.length;
+        const bars = trend.map((day, index) => {
+            const barHeight = (day.count / max) * (height - 14);
+            return `<rect x="${index * step + 1}" y="${height - 12 - barHeight}" width="${step - 2}" height="${barHeight}" fill="#2f6fde">` +
+                `<title>${escape(day.date)}: ${day.count}</title></rect>`;
+        }).join('');
+        return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Bug trend">${bars}` +
+            `<text x="0" y="${height}">${escape(trend[0].date)}</text>` +
+            `<text x="${width}" y="${height}" text-anchor="end">${escape(trend[trend.length - 1].date)}</text>` +
+            `<text x="${width}" y="10" text-anchor="end">max ${max}</text></svg>`;
+    };
+
+    const select = (name, label, values, extra = '') => `<select data-filter="${name}" aria-label="${escape(label)}">` +
+        `<option value="">${escape(label)}: all</option>${extra}` +
+        values.map(value => `<option value="${escape(value)}"${filters[name] === value ? ' selected' : ''}>${escape(value)}</option>`).join('') +
+        '</select>';
+
+    const renderOverview = () => {
+        const bugs = data.bugs.filter(matches).sort((a, b) => (b.priority || 0) - (a.priority || 0));
+        const openBugs = data.bugs.filter(bug => data.openStates.includes(bug.state));
+        const rows = bugs.map(bug => `<tr>
+            <td><a href="#bug/${encodeURIComponent(bug.id)}">${escape(bug.id)}</a></td>
+            <td>${escape(bug.title)}</td>
+            <td>${escape(bug.service)}</td>
+            <td>${severity(bug.severity)}</td>
+            <td>${escape(bug.category)}</td>
+            <td>${escape(bug.state)}</td>
+            <td>${escape(bug.priority)}</td>
+            <td>${escape(bug.assignedTo || '')}</td>
+            <td>${escape(bug.occurrences || 1)}</td>
+            <td class="muted">${escape(date(bug.lastUpdated || bug.detectedAt))}</td>
+        </tr>`).join('');
+
+        root.innerHTML = `
+            <div class="grid">
+                <div class="card"><h2>Open bugs</h2><div class="stat">${openBugs.length}</div>
+                    <div class="muted">${data.bugs.length} tracked, ${openBugs.filter(bug => bug.severity === 'critical').length} critical open</div></div>
+                <div class="card"><h2>Average resolution time</h2><div class="stat">${escape(duration(data.metrics.averageResolutionTime))}</div>
+                    <div class="muted">from detection to resolution</div></div>
+                <div class="card"><h2>Bug trend (${data.metrics.bugTrend.length} days)</h2>${trendChart(data.metrics.bugTrend)}</div>
+            </div>
+            <div class="filters">
+                ${select('service', 'Service', unique(data.bugs.map(bug => bug.service)))}
+                ${select('severity', 'Severity', data.severities)}
+                ${select('category', 'Category', data.categories)}
+                ${select('state', 'State', data.states, `<option value="open"${filters.state === 'open' ? ' selected' : ''}>open</option>`)}
+                ${select('assignedTo', 'Assignee', unique(data.bugs.map(bug => bug.assignedTo)))}
+                <input type="search" data-filter="search" placeholder="Search title and description" value="${escape(filters.search)}">
+            </div>
+            <div class="grid">
+                ${breakdown('By severity', bugs, 'severity', data.severities)}
+                ${breakdown('By category', bugs, 'category')}
+                ${breakdown('By service', bugs, 'service')}
+                ${breakdown('By state', bugs, 'state', data.states)}
+            </div>
+            <div class="card"><h2>${bugs.length} bug(s) by priority</h2>
+                ${bugs.length ? `<table><thead><tr><th>Id</th><th>Title</th><th>Service</th><th>Severity</th><th>Category</th>
+                    <th>State</th><th>Priority</th><th>Assignee</th><th>Seen</th><th>Updated</th></tr></thead><tbody>${rows}</tbody></table>`
+                    : '<div class="empty">No bug matches the filters</div>'}
+            </div>`;
+
+        root.querySelectorAll('[data-filter]').forEach(control => {
+            control.addEventListener(control.tagName === 'INPUT' ? 'input' : 'change', () => {
+                filters[control.dataset.filter] = control.value;
+                const focused = control.tagName === 'INPUT';
+                renderOverview();
+                if (focused) {
+                    const input = root.querySelector('input[data-filter="search"]');
+                    input.focus();
+                    input.setSelectionRange(input.value.length, input.value.length);
+                }
+            });
+        });
+    };
+
+    const describeHistory = (entry) => {
+        const details = entry.details || {};
+        if (details.from && details.to) return `${details.from} → ${details.to}${details.reason ? ` (${details.reason})` : ''}`;
+        if (details.comment) return details.comment.content;
+        if (details.field) return `${details.field}: ${details.from} → ${details.to}`;
+        if (details.occurrence) return `occurrence ${details.occurrence}${details.testCase ? ` in ${details.testCase}` : ''}`;
+        const fields = Object.keys(details).filter(key => !['user'].includes(key));
+        return fields.length && entry.action === 'updated' ? fields.map(key => `${key}: ${JSON.stringify(details[key])}`).join(', ') : '';
+    };
+
+    const renderBug = (id) => {
+        const bug = data.bugs.find(candidate => candidate.id === id);
+        if (!bug) {
+            root.innerHTML = `<div class="card empty">Bug ${escape(id)} not found. <a href="#">Back to the overview</a></div>`;
+            return;
+        }
+        const field = (label, value) => (value === undefined || value === null || value === '' ? '' : `<dt>${escape(label)}</dt><dd>${value}</dd>`);
+        const location = bug.codeLocation
+            ? `${escape(bug.codeLocation.file)}:${escape(bug.codeLocation.line)} (${escape(bug.codeLocation.function)})`
+            : '';
+        const history = (bug.history || []).slice().reverse().map(entry => `<li><strong>${escape(entry.action)}</strong>
+            <span class="muted">${escape(date(entry.timestamp))} by ${escape(entry.user)}</span><div>${escape(describeHistory(entry))}</div></li>`).join('');
+        const comments = (bug.comments || []).map(comment => `<li><strong>${escape(comment.author)}</strong>
+            <span class="muted">${escape(date(comment.timestamp))} (${escape(comment.type)})</span><div>${escape(comment.content)}</div></li>`).join('');
+
+        root.innerHTML = `
+            <p><a href="#">← All bugs</a></p>
+            <div class="card"><h2>${escape(bug.id)}</h2>
+                <h3>${escape(bug.title)}</h3>
+                <dl>
+                    ${field('State', escape(bug.state))}
+                    ${field('Severity', severity(bug.severity))}
+                    ${field('Category', escape(bug.category))}
+                    ${field('Priority', escape(bug.priority))}
+                    ${field('Service', escape(bug.service))}
+                    ${field('Component', escape(bug.component))}
+                    ${field('Assigned to', escape(bug.assignedTo))}
+                    ${field('Detected', `${escape(date(bug.detectedAt))} by ${escape(bug.detectedBy)}`)}
+                    ${field('Occurrences', escape(bug.occurrences || 1))}
+                    ${field('Reopened', bug.reopenCount ? escape(bug.reopenCount) : '')}
+                    ${field('Resolved', escape(date(bug.resolvedAt)))}
+                    ${field('Test case', escape(bug.testCase))}
+                    ${field('Code location', location)}
+                    ${field('Tags', escape((bug.tags || []).join(', ')))}
+                    ${field('Fix', bug.fix ? `${escape(bug.fix.description)} (${escape(bug.fix.status)}${bug.fix.git ? `, ${escape(bug.fix.git.commit.slice(0, 12))} on ${escape(bug.fix.git.branch)}` : ''})` : '')}
+                    ${field('Resolution', bug.resolution ? `${escape(bug.resolution.type)}: ${escape(bug.resolution.description)}` : '')}
+                </dl>
+                ${bug.description ? `<p>${escape(bug.description)}</p>` : ''}
+                ${bug.errorMessage ? `<h2>Error</h2><pre>${escape(bug.errorMessage)}</pre>` : ''}
+                ${bug.stackTrace && bug.stackTrace !== bug.errorMessage ? `<h2>Stack trace</h2><pre>${escape(bug.stackTrace)}</pre>` : ''}
+            </div>
+            <div class="grid" style="margin-top:16px">
+                <div class="card"><h2>Comments (${(bug.comments || []).length})</h2>${comments ? `<ul class="timeline">${comments}</ul>` : '<div class="muted">No comments</div>'}</div>
+                <div class="card"><h2>History (${(bug.history || []).length})</h2><ul class="timeline">${history}</ul></div>
+            </div>`;
+        window.scrollTo(0, 0);
+    };
+
+    const route = () => {
+        const match = location.hash.match(/^#bug\/(.+)$/);
+        if (match) {
+            renderBug(decodeURIComponent(match[1]));
+        } else {
+            renderOverview();
+        }
+    };
+
+    window.addEventListener('hashchange', route);
+    route();
+}
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/**
+ * The dashboard as one HTML document. `options.title` replaces the page
+ * title.
+ */
+const renderDashboard = (tracker, options = {}) => {
+    const data = dashboardData(tracker, options);
+    // Inline JSON must not be able to close the script element
+    const json = JSON.stringify(data).replace(/</g, '\\u003c').replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(data.title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header><h1><a href="#">${escapeHtml(data.title)}</a></h1><small>Generated ${escapeHtml(data.generatedAt)}</small></header>
+<main id="app"><noscript>The dashboard needs JavaScript.</noscript></main>
+<script type="application/json" id="bug-data">${json}</script>
+<script>(${dashboardApp.toString()})();</script>
+</body>
+</html>
+`;
+};
+
+// CLI interface
+const main = (args) => {
+    const command = args[0] || 'generate';
+
+    switch (command) {
+        case 'generate': {
+            const BugTracker = require('./bug-tracker');
+            const tracker = new BugTracker();
+            const outIndex = args.indexOf('--out');
+            const file = outIndex !== -1 ? path.resolve(args[outIndex + 1]) : path.join(tracker.reportsDir, CONFIG.fileName);
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, renderDashboard(tracker));
+            log(`Dashboard with ${tracker.bugs.length} bug(s) written to ${file}`, 'success');
+            break;
+        }
+
+        case 'help':
+        default:
+            console.log(`
+NydArt Advisor Bug Dashboard
+
+Usage: node scripts/bug-dashboard.js generate [--out <file>]
+
+Writes a self-contained HTML dashboard (no external files or CDN) of the
+tracked bugs, by default to bug-reports/${CONFIG.fileName} in the bug data
+directory. The bug tracker API serves the same page live at /dashboard
+(npm run bug:serve).
+`);
+            break;
+    }
+};
+
+// Run CLI if called directly
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (error) {
+        log(error.message, 'error');
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    CONFIG,
+    dashboardData,
+    renderDashboard
+};
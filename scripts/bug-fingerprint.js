@@ -0,0 +1,76 @@
+/**
+ * NydArt Advisor - Bug Fingerprints
+ *
+ * A fingerprint identifies "the same failure" across test runs:
+ *   service + normalized error message + top stack frames + test case
+ *
+ * Normalization drops everything that changes from run to run (ids,
+ * timestamps, numbers, ports, line/column numbers, absolute paths) so a
+ * nightly failure keeps the same fingerprint every night.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const TOP_FRAMES = 3;
+
+const normalizeMessage = (message) => String(message || '')
+    .replace(/\u001b\[[0-9;]*m/g, '') // ANSI colours
+    .toLowerCase()
+    .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/g, '<uuid>')
+    .replace(/\b\d{4}-\d{2}-\d{2}t[\d:.]+z?\b/g, '<date>')
+    .replace(/\b(bug|fix|comment|history)-\d+-\d+\b/g, '$1-<id>')
+    .replace(/\b[0-9a-f]{24}\b/g, '<objectid>')
+    .replace(/\b0x[0-9a-f]+\b/g, '<hex>')
+    .replace(/\d+/g, '<n>')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// "at fn (/abs/path/file.js:12:5)" -> { function: 'fn', file: 'relative/path/file.js', line: 12, column: 5 }
+// Runtime and dependency frames are dropped.
+const parseFrame = (line) => {
+    const match = line.match(/^\s*at\s+(?:(.+?)\s+\()?(.+?)(?::(\d+))?(?::(\d+))?\)?\s*$/);
+    if (!match) return null;
+
+    const location = match[2].replace(/^file:\/\//, '');
+    if (location.startsWith('node:') || location.startsWith('internal/') || location.includes('node_modules')) {
+        return null;
+    }
+
+    const file = path.isAbsolute(location) ? path.relative(ROOT_DIR, location) : location;
+    return {
+        function: match[1] || '<anonymous>',
+        file: file.split(path.sep).join('/'),
+        line: match[3] ? parseInt(match[3], 10) : null,
+        column: match[4] ? parseInt(match[4], 10) : null
+    };
+};
+
+const parseFrames = (stackTrace) => String(stackTrace || '')
+    .split('\n')
+    .filter(line => /^\s*at\s/.test(line))
+    .map(parseFrame)
+    .filter(Boolean);
+
+// Line numbers are left out so the fingerprint survives unrelated edits
+const topFrames = (stackTrace, count = TOP_FRAMES) => parseFrames(stackTrace)
+    .slice(0, count)
+    .map(frame => `${frame.function}@${frame.file}`);
+
+const computeFingerprint = (bug) => {
+    const parts = [
+        bug.service || '',
+        normalizeMessage(bug.errorMessage || bug.title),
+        topFrames(bug.stackTrace).join('|'),
+        bug.testCase || ''
+    ];
+    return crypto.createHash('sha1').update(parts.join('\n')).digest('hex').slice(0, 16);
+};
+
+module.exports = {
+    normalizeMessage,
+    parseFrames,
+    topFrames,
+    computeFingerprint
+};
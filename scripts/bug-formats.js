@@ -0,0 +1,352 @@
+/**
+ * NydArt Advisor - Bug Import/Export Formats
+ *
+ * Serializes bugs for BugTracker.exportBugs and reads them back for
+ * importBugs:
+ *
+ *   json      array of full bug records (lossless)
+ *   ndjson    one full bug record per line (lossless, streamable)
+ *   csv       RFC 4180: fields with commas, quotes or line breaks are quoted,
+ *             quotes doubled, CRLF line ends. Columns are selectable and may
+ *             be nested paths (codeLocation.file); lists are joined with "; ",
+ *             objects written as JSON
+ *   markdown  table for release notes (export only)
+ *   sarif     SARIF 2.1.0 log of security bugs for code scanning (export only)
+ */
+
+const path = require('path');
+const registry = require('./service-registry');
+
+const FORMATS = ['json', 'ndjson', 'csv', 'markdown', 'sarif'];
+const IMPORT_FORMATS = ['json', 'ndjson', 'csv'];
+
+const EXTENSIONS = {
+    json: 'json',
+    ndjson: 'ndjson',
+    csv: 'csv',
+    markdown: 'md',
+    sarif: 'sarif'
+};
+
+const CSV_COLUMNS = [
+    'id', 'title', 'description', 'service', 'component', 'severity', 'category', 'state', 'priority',
+    'assignedTo', 'detectedAt', 'detectedBy', 'lastUpdated', 'resolvedAt', 'occurrences', 'testCase',
+    'errorMessage', 'tags'
+];
+const MARKDOWN_COLUMNS = ['id', 'title', 'service', 'severity', 'state', 'resolution.resolutionType'];
+
+// CSV columns read back as numbers and "; "-separated lists
+const NUMBER_COLUMNS = ['priority', 'occurrences', 'reopenCount'];
+const LIST_COLUMNS = ['tags', 'attachments', 'watchers'];
+// Fields that hold objects (or lists of objects) in the bug model, written as
+// JSON; every other column stays text even when it looks like JSON
+const OBJECT_COLUMNS = [
+    'environment', 'impact', 'codeLocation', 'classification', 'fix', 'validation', 'deployment', 'resolution',
+    'testBaseline', 'rootCauseAnalysis', 'github', 'assignment', 'sla', 'attachments', 'comments', 'history',
+    'previousCycles', 'git', 'monitoring', 'implementation'
+];
+const LIST_SEPARATOR = '; ';
+
+// SARIF levels and GitHub code scanning security-severity scores
+const SARIF_LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note' };
+const SECURITY_SEVERITY = { critical: '9.5', high: '8.0', medium: '5.5', low: '2.0' };
+
+const getPath = (object, key) => key.split('.').reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), object);
+
+const setPath = (object, key, value) => {
+    const parts = key.split('.');
+    let target = object;
+    parts.slice(0, -1).forEach(part => {
+        if (target[part] === null || typeof target[part] !== 'object') target[part] = {};
+        target = target[part];
+    });
+    target[parts[parts.length - 1]] = value;
+};
+
+const parseColumns = (columns, defaults) => {
+    if (!columns) return defaults;
+    const list = Array.isArray(columns) ? columns : String(columns).split(',');
+    const cleaned = list.map(column => column.trim()).filter(Boolean);
+    const invalid = cleaned.filter(column => !/^[A-Za-z_][\w]*(\.[A-Za-z_][\w]*)*$/.test(column));
+    if (invalid.length > 0) {
+        throw new Error(`Invalid column(s): ${invalid.join(', ')}`);
+    }
+    return cleaned.length > 0 ? cleaned : defaults;
+};
+
+// CSV (RFC 4180)
+
+const csvField = (value) => (/[",\r\n]/.test(value) || /^\s|\s$/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+const cellText = (value) => {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object')) return value.join(LIST_SEPARATOR);
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+const toCSV = (bugs, columns = CSV_COLUMNS) => {
+    const lines = [columns.map(csvField).join(',')];
+    bugs.forEach(bug => lines.push(columns.map(column => csvField(cellText(getPath(bug, column)))).join(',')));
+    return lines.join('\r\n') + '\r\n';
+};
+
+/**
+ * Parse RFC 4180 CSV into rows of fields. Accepts LF or CRLF line ends and a
+ * byte order mark; throws on a quote that is never closed.
+ */
+const parseCSVRows = (text) => {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let quoteLine = 0;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+            quoteLine = line;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+            line++;
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error(`CSV line ${quoteLine}: quoted field is never closed`);
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines carry no record
+    return rows.filter(fields => fields.length > 1 || fields[0] !== '');
+};
+
+const cellValue = (column, text) => {
+    const name = column.split('.').pop();
+    if (NUMBER_COLUMNS.includes(name)) {
+        const number = Number(text);
+        if (!Number.isFinite(number)) throw new Error(`"${text}" is not a number`);
+        return number;
+    }
+    if (OBJECT_COLUMNS.includes(name) && /^[[{]/.test(text)) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return text;
+        }
+    }
+    if (LIST_COLUMNS.includes(name)) return text.split(/;\s*/).map(item => item.trim()).filter(Boolean);
+    return text;
+};
+
+// CSV rows -> bug records; empty cells are left out
+const fromCSV = (text) => {
+    const [header, ...rows] = parseCSVRows(text);
+    if (!header) return [];
+    const columns = header.map(column => column.trim());
+
+    return rows.map((fields, index) => {
+        if (fields.length !== columns.length) {
+            throw new Error(`CSV record ${index + 1}: ${fields.length} field(s), the header has ${columns.length}`);
+        }
+        const record = {};
+        columns.forEach((column, position) => {
+            if (fields[position] === '') return;
+            try {
+                setPath(record, column, cellValue(column, fields[position]));
+            } catch (error) {
+                throw new Error(`CSV record ${index + 1}, column ${column}: ${error.message}`);
+            }
+        });
+        return record;
+    });
+};
+
+// Markdown
+
+const markdownCell = (value) => cellText(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+
+const toMarkdown = (bugs, columns = MARKDOWN_COLUMNS) => {
+    const label = (column) => column.split('.').pop().replace(/([a-z])([A-Z])/g, '$1 $2').replace(/^./, char => char.toUpperCase());
+    const lines = [
+        `| ${columns.map(label).join(' | ')} |`,
+        `| ${columns.map(() => '---').join(' | ')} |`,
+        ...bugs.map(bug => `| ${columns.map(column => markdownCell(getPath(bug, column))).join(' | ')} |`)
+    ];
+    return lines.join('\n') + '\n';
+};
+
+// SARIF
+
+const sarifRuleId = (bug) => {
+    const classification = bug.classification || {};
+    const decided = (classification.category && classification.category.rule) ||
+        (classification.severity && classification.severity.rule) ||
+        (classification.matchedRules || [])[0];
+    return decided ? `${bug.service}/${decided}` : `${bug.service}/${bug.category}`;
+};
+
+// Code scanning needs a location: bugs without a stack frame in the
+// repository point at their service's package.json
+const sarifLocation = (bug) => {
+    if (bug.codeLocation && bug.codeLocation.file) {
+        return {
+            artifactLocation: { uri: bug.codeLocation.file.split(path.sep).join('/'), uriBaseId: '%SRCROOT%' },
+            ...(bug.codeLocation.line ? { region: { startLine: bug.codeLocation.line } } : {})
+        };
+    }
+    const service = bug.service && registry.getService(bug.service);
+    return service ? { artifactLocation: { uri: `${service.path}/package.json`, uriBaseId: '%SRCROOT%' } } : null;
+};
+
+/**
+ * SARIF 2.1.0 log of the given bugs (callers pass the open security bugs).
+ * Each analysis rule that classified a bug becomes a SARIF rule; locations are
+ * relative to %SRCROOT% (the repository root). The bug fingerprint keeps alerts stable across uploads.
+ */
+const toSARIF = (bugs, tool = {}) => {
+    const severityOrder = ['low', 'medium', 'high', 'critical'];
+    const rules = new Map();
+
+    const results = bugs.map(bug => {
+        const ruleId = sarifRuleId(bug);
+        const rule = rules.get(ruleId) || { id: ruleId, severity: 'low', titles: [] };
+        if (severityOrder.indexOf(bug.severity) > severityOrder.indexOf(rule.severity)) rule.severity = bug.severity;
+        rule.titles.push(bug.title);
+        rules.set(ruleId, rule);
+
+        const result = {
+            ruleId,
+            level: SARIF_LEVELS[bug.severity] || 'warning',
+            message: { text: [bug.title, bug.errorMessage].filter(Boolean).join('\n\n') },
+            partialFingerprints: { 'bugFingerprint/v1': bug.fingerprint || bug.id },
+            properties: {
+                bugId: bug.id,
+                service: bug.service,
+                severity: bug.severity,
+                state: bug.state,
+                occurrences: bug.occurrences || 1
+            }
+        };
+        const location = sarifLocation(bug);
+        if (location) {
+            result.locations = [{ physicalLocation: location }];
+        }
+        return result;
+    });
+
+    return JSON.stringify({
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: tool.name || 'nydart-bug-tracker',
+                    version: tool.version,
+                    informationUri: tool.informationUri,
+                    rules: [...rules.values()].map(rule => ({
+                        id: rule.id,
+                        name: rule.id.split('/').pop(),
+                        shortDescription: { text: rule.titles[0] },
+                        defaultConfiguration: { level: SARIF_LEVELS[rule.severity] },
+                        properties: { tags: ['security'], 'security-severity': SECURITY_SEVERITY[rule.severity] }
+                    }))
+                }
+            },
+            originalUriBaseIds: { '%SRCROOT%': { description: { text: 'The repository root' } } },
+            results
+        }]
+    }, null, 2);
+};
+
+/**
+ * Serialize bugs. options.columns (list or comma-separated) applies to csv
+ * and markdown, options.tool to sarif.
+ */
+const formatBugs = (bugs, format, options = {}) => {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(bugs, null, 2);
+        case 'ndjson':
+            return bugs.map(bug => JSON.stringify(bug)).join('\n') + (bugs.length > 0 ? '\n' : '');
+        case 'csv':
+            return toCSV(bugs, parseColumns(options.columns, CSV_COLUMNS));
+        case 'markdown':
+            return toMarkdown(bugs, parseColumns(options.columns, MARKDOWN_COLUMNS));
+        case 'sarif':
+            return toSARIF(bugs, options.tool);
+        default:
+            throw new Error(`Unsupported format: ${format} (use ${FORMATS.join(', ')})`);
+    }
+};
+
+// Import data -> bug records
+const parseBugs = (data, format) => {
+    switch (format) {
+        case 'json': {
+            const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+            const records = Array.isArray(parsed) ? parsed : parsed && Array.isArray(parsed.bugs) ? parsed.bugs : null;
+            if (!records) throw new Error('JSON imports must be an array of bugs (or { "bugs": [...] })');
+            return records;
+        }
+        case 'ndjson':
+            return String(data).split(/\r?\n/).map((line, index) => {
+                if (!line.trim()) return null;
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    throw new Error(`NDJSON line ${index + 1}: ${error.message}`);
+                }
+            }).filter(Boolean);
+        case 'csv':
+            return fromCSV(data);
+        default:
+            throw new Error(`Cannot import ${format} (use ${IMPORT_FORMATS.join(', ')})`);
+    }
+};
+
+// "bugs.ndjson" -> "ndjson"
+const formatFromFile = (file) => {
+    const extension = path.extname(file).slice(1).toLowerCase();
+    return Object.keys(EXTENSIONS).find(format => EXTENSIONS[format] === extension || format === extension) || null;
+};
+
+module.exports = {
+    FORMATS,
+    IMPORT_FORMATS,
+    EXTENSIONS,
+    CSV_COLUMNS,
+    MARKDOWN_COLUMNS,
+    toCSV,
+    parseCSVRows,
+    fromCSV,
+    toMarkdown,
+    toSARIF,
+    formatBugs,
+    parseBugs,
+    formatFromFile
+};
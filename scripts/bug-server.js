@@ -0,0 +1,602 @@
+#!/usr/bin/env node
+
+/**
+ * NydArt Advisor - Bug Tracker HTTP API
+ *
+ * REST API over BugTracker for dashboards and services that file and query
+ * bugs programmatically. All routes but /api/health need a token:
+ *
+ *   Authorization: Bearer <token>
+ *
+ * Tokens come from BUG_API_TOKENS, a comma-separated list of
+ * `<name>:<token>[:read]`. The name is the actor recorded in the bug history
+ * (names like "automated-ci" count as automation); `:read` tokens cannot
+ * change anything. `node scripts/bug-server.js token <name>` makes one.
+ *
+ *   GET    /api/health
+ *   GET    /api/bugs                    searchBugs criteria (service, severity,
+ *                                       category, state, assignedTo, search),
+ *                                       sort, page, pageSize
+ *   POST   /api/bugs                    file a bug (an open bug with the same
+ *                                       fingerprint gets another occurrence)
+ *   GET    /api/bugs/:id
+ *   PATCH  /api/bugs/:id                update fields, requires If-Match
+ *   POST   /api/bugs/:id/comments
+ *   GET    /api/bugs/:id/transitions    allowed next states
+ *   POST   /api/bugs/:id/transition
+ *   POST   /api/bugs/:id/resolve
+ *   GET    /api/reports/:type           summary | detailed
+ *   GET    /api/export?format=...       json | ndjson | csv | markdown | sarif,
+ *                                       &columns=a,b and list filters
+ *   POST   /api/import?format=...       json | ndjson | csv, &replace=true
+ *                                       overwrites bugs with the same id
+ *
+ *   GET    /dashboard                   the HTML dashboard (bug-dashboard.js);
+ *                                       browsers sign in with a token once,
+ *                                       kept in an HttpOnly cookie
+ *
+ * Every bug response carries a strong ETag of the bug. PATCH must send it
+ * back in If-Match and gets 412 when the bug changed in between; the other
+ * bug writes check If-Match when it is sent. Request bodies are validated
+ * against the JSON schemas in SCHEMAS.
+ *
+ * Usage: node scripts/bug-server.js [start] [--port <port>] [--host <host>]
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const BugTracker = require('./bug-tracker');
+const registry = require('./service-registry');
+const { computeFingerprint } = require('./bug-fingerprint');
+const { validateSchema } = require('./json-schema');
+const { renderDashboard } = require('./bug-dashboard');
+const { FORMATS, IMPORT_FORMATS, EXTENSIONS, parseBugs } = require('./bug-formats');
+
+const { BUG_STATES, BUG_CATEGORIES, SEVERITY_LEVELS } = BugTracker;
+
+// Server configuration
+const CONFIG = {
+    port: Number(process.env.BUG_API_PORT) || 5050,
+    host: process.env.BUG_API_HOST || '127.0.0.1',
+    defaultPageSize: 50,
+    maxPageSize: 200,
+    bodyLimit: '1mb',
+    importLimit: '10mb',
+    dashboardCookie: 'bug_api_token'
+};
+
+const log = (message, type = 'info') => {
+    const timestamp = new Date().toISOString();
+    const prefix = type === 'error' ? '❌' : type === 'success' ? '✅' : type === 'warning' ? '⚠️' : 'ℹ️';
+    console.log(`${prefix} [${timestamp}] ${message}`);
+};
+
+const STATES = Object.values(BUG_STATES);
+const CATEGORIES = Object.values(BUG_CATEGORIES);
+const SEVERITIES = Object.values(SEVERITY_LEVELS);
+const RESOLUTION_TYPES = ['fixed', 'wont_fix', 'duplicate', 'not_reproducible'];
+const EXPORT_TYPES = {
+    json: 'application/json',
+    ndjson: 'application/x-ndjson',
+    csv: 'text/csv',
+    markdown: 'text/markdown',
+    sarif: 'application/sarif+json'
+};
+const SORT_FIELDS = ['priority', 'severity', 'detectedAt', 'lastUpdated', 'lastSeenAt', 'occurrences', 'title'];
+
+const text = (maxLength) => ({ type: 'string', minLength: 1, maxLength });
+const textList = { type: 'array', items: text(1000), maxItems: 100 };
+const bugFields = {
+    title: text(300),
+    description: { type: 'string', maxLength: 20000 },
+    service: text(100),
+    component: text(300),
+    severity: { enum: SEVERITIES },
+    category: { enum: CATEGORIES },
+    testCase: { type: 'string', maxLength: 1000 },
+    errorMessage: { type: 'string', maxLength: 20000 },
+    stackTrace: { type: 'string', maxLength: 100000 },
+    environment: { type: ['string', 'object'] },
+    stepsToReproduce: { anyOf: [{ type: 'string', maxLength: 20000 }, textList] },
+    expectedBehavior: { type: 'string', maxLength: 20000 },
+    actualBehavior: { type: 'string', maxLength: 20000 },
+    impact: { type: ['string', 'object'] },
+    assignedTo: { type: ['string', 'null'], maxLength: 200 },
+    tags: { type: 'array', items: text(100), maxItems: 50, uniqueItems: true }
+};
+const pick = (object, keys) => Object.fromEntries(keys.map(key => [key, object[key]]));
+
+// JSON schemas of the request bodies (see json-schema.js for the keywords)
+const SCHEMAS = {
+    createBug: {
+        type: 'object',
+        required: ['title', 'service', 'severity', 'category'],
+        properties: { ...bugFields, attachments: textList },
+        additionalProperties: false
+    },
+    updateBug: {
+        type: 'object',
+        minProperties: 1,
+        properties: pick(bugFields, [
+            'title', 'description', 'component', 'severity', 'category', 'environment', 'stepsToReproduce',
+            'expectedBehavior', 'actualBehavior', 'impact', 'assignedTo', 'tags'
+        ]),
+        additionalProperties: false
+    },
+    comment: {
+        type: 'object',
+        required: ['content'],
+        properties: {
+            content: text(20000),
+            type: { type: 'string', pattern: '^[a-z][a-z_-]*$', maxLength: 50 }
+        },
+        additionalProperties: false
+    },
+    transition: {
+        type: 'object',
+        required: ['state'],
+        properties: {
+            state: { enum: STATES },
+            reason: text(2000)
+        },
+        additionalProperties: false
+    },
+    resolve: {
+        type: 'object',
+        required: ['type', 'description'],
+        properties: {
+            type: { enum: RESOLUTION_TYPES },
+            description: text(20000),
+            lessonsLearned: textList,
+            preventionMeasures: textList
+        },
+        additionalProperties: false
+    },
+    importBugs: {
+        type: 'array',
+        items: {
+            type: 'object',
+            required: ['title'],
+            properties: { id: { type: 'string', pattern: '^[\\w.-]{1,100}$' }, title: text(300), state: { enum: STATES } }
+        }
+    },
+    listQuery: {
+        type: 'object',
+        properties: {
+            service: text(100),
+            severity: { enum: SEVERITIES },
+            category: { enum: CATEGORIES },
+            state: { enum: STATES },
+            assignedTo: text(200),
+            search: text(200),
+            sort: { enum: SORT_FIELDS.flatMap(field => [field, `-${field}`]) },
+            page: { type: 'integer', minimum: 1 },
+            pageSize: { type: 'integer', minimum: 1, maximum: CONFIG.maxPageSize }
+        },
+        additionalProperties: false
+    }
+};
+
+const httpError = (status, message, details) => {
+    const error = new Error(message);
+    error.status = status;
+    if (details) error.details = details;
+    return error;
+};
+
+const validate = (schema, value, what = 'body') => {
+    const errors = validateSchema(schema, value);
+    if (errors.length > 0) {
+        throw httpError(400, `Invalid request ${what}`, errors.map(error => ({ path: error.path || '/', message: error.message })));
+    }
+    return value;
+};
+
+/**
+ * Parse BUG_API_TOKENS ("alice:s3cret,dashboard:t0ken:read") into
+ * [{ name, token, access }].
+ */
+const parseTokens = (spec) => String(spec || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [name, token, access = 'write', ...rest] = entry.split(':');
+    if (!name || !token || rest.length > 0 || !['read', 'write'].includes(access)) {
+        throw new Error(`Invalid BUG_API_TOKENS entry "${entry.replace(/:.*/, ':…')}", expected <name>:<token>[:read]`);
+    }
+    return { name, token, access };
+});
+
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+// Constant-time lookup of the token's owner
+const findToken = (tokens, presented) => {
+    const presentedDigest = digest(presented);
+    return tokens.find(entry => crypto.timingSafeEqual(digest(entry.token), presentedDigest)) || null;
+};
+
+const readCookie = (req, name) => {
+    const cookie = String(req.get('cookie') || '').split(';').map(part => part.trim())
+        .find(part => part.startsWith(`${name}=`));
+    return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+};
+
+const loginPage = (message) => `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><title>Bug dashboard</title>
+<style>body{font:14px system-ui,sans-serif;display:grid;place-items:center;height:100vh;margin:0;background:#f5f7fa}
+form{background:#fff;border:1px solid #e4e7eb;border-radius:6px;padding:24px;display:grid;gap:8px;min-width:320px}
+.error{color:#c81e1e}</style></head>
+<body><form method="post" action="/dashboard/login"><strong>Bug dashboard</strong>
+${message ? `<div class="error">${message}</div>` : ''}<label>API token <input type="password" name="token" required autofocus></label>
+<button type="submit">Sign in</button></form></body></html>`;
+
+const etagOf = (bug) => `"${crypto.createHash('sha1').update(JSON.stringify(bug)).digest('base64url')}"`;
+
+// If-Match: "*" or a list of entity tags, one of which must be the bug's
+const matchesEtag = (header, bug) => header.split(',').map(tag => tag.trim()).some(tag => tag === '*' || tag === etagOf(bug));
+
+const serviceIdOf = (name) => {
+    const service = name ? registry.getService(name) : null;
+    return service ? service.id : name;
+};
+
+const SEVERITY_RANK = Object.fromEntries(SEVERITIES.map((severity, index) => [severity, SEVERITIES.length - index]));
+
+const sortBugs = (bugs, sort) => {
+    if (!sort) return bugs;
+    const descending = sort.startsWith('-');
+    const field = sort.replace(/^-/, '');
+    const key = (bug) => (field === 'severity' ? SEVERITY_RANK[bug.severity] || 0 : bug[field]);
+    return [...bugs].sort((a, b) => {
+        const [x, y] = [key(a), key(b)];
+        const order = x === y ? 0 : x === undefined || x === null ? 1 : y === undefined || y === null ? -1 : x < y ? -1 : 1;
+        return descending ? -order : order;
+    });
+};
+
+/**
+ * The express application. `tracker` is a BugTracker, `tokens` the parsed
+ * BUG_API_TOKENS.
+ */
+const createApp = ({ tracker, tokens }) => {
+    const app = express();
+    app.disable('x-powered-by');
+    app.set('etag', 'strong');
+
+    const api = express.Router();
+
+    api.get('/health', (req, res) => {
+        res.json({ status: 'ok', storage: tracker.storage.describe().adapter });
+    });
+
+    // Token auth
+    api.use((req, res, next) => {
+        const [scheme, token] = String(req.get('authorization') || '').split(' ');
+        const entry = scheme === 'Bearer' && token ? findToken(tokens, token) : null;
+        if (!entry) {
+            res.set('WWW-Authenticate', 'Bearer realm="bug-tracker"');
+            throw httpError(401, 'A valid bearer token is required');
+        }
+        if (entry.access === 'read' && !['GET', 'HEAD'].includes(req.method)) {
+            throw httpError(403, `Token "${entry.name}" is read-only`);
+        }
+        req.actor = entry.name;
+        next();
+    });
+
+    // /import parses its own, larger bodies
+    const json = express.json({ limit: CONFIG.bodyLimit });
+    api.use((req, res, next) => (req.path === '/import' ? next() : json(req, res, next)));
+
+    // Reads see changes made by the CLI and other processes
+    api.use((req, res, next) => {
+        if (req.method === 'GET' || req.method === 'HEAD') tracker.reload();
+        next();
+    });
+
+    const sendBug = (res, bug, status = 200) => {
+        res.status(status).set('ETag', etagOf(bug)).json(bug);
+    };
+
+    // Run a write on a bug, checking If-Match against its latest state first
+    const writeBug = (req, fn, { requireMatch = false } = {}) => tracker.mutate(() => {
+        const bug = tracker.findBug(req.params.id);
+        const ifMatch = req.get('if-match');
+        if (!ifMatch && requireMatch) {
+            throw httpError(428, 'If-Match with the ETag of the bug is required');
+        }
+        if (ifMatch && !matchesEtag(ifMatch, bug)) {
+            throw httpError(412, `Bug ${bug.id} was changed by someone else, fetch it again`);
+        }
+        const result = fn(bug);
+        return { bug: tracker.findBug(req.params.id), result };
+    });
+
+    api.get('/bugs', (req, res) => {
+        const query = { ...req.query };
+        ['page', 'pageSize'].forEach(key => {
+            if (query[key] !== undefined && /^\d+$/.test(query[key])) query[key] = Number(query[key]);
+        });
+        validate(SCHEMAS.listQuery, query, 'query');
+
+        const { sort, page = 1, pageSize = CONFIG.defaultPageSize, service, ...criteria } = query;
+        const serviceId = serviceIdOf(service);
+        const matching = sortBugs(
+            tracker.searchBugs(criteria).filter(bug => !service || serviceIdOf(bug.service) === serviceId),
+            sort
+        );
+        const totalPages = Math.max(1, Math.ceil(matching.length / pageSize));
+        const bugs = matching.slice((page - 1) * pageSize, page * pageSize);
+
+        const link = (target) => {
+            const params = new URLSearchParams({ ...req.query, page: String(target), pageSize: String(pageSize) });
+            return `<${req.baseUrl}${req.path}?${params}>`;
+        };
+        const links = [`${link(1)}; rel="first"`, `${link(totalPages)}; rel="last"`];
+        if (page > 1) links.push(`${link(Math.min(page - 1, totalPages))}; rel="prev"`);
+        if (page < totalPages) links.push(`${link(page + 1)}; rel="next"`);
+
+        res.set('Link', links.join(', ')).json({
+            bugs,
+            pagination: { page, pageSize, total: matching.length, totalPages }
+        });
+    });
+
+    api.post('/bugs', (req, res) => {
+        const body = validate(SCHEMAS.createBug, req.body);
+        const service = registry.getService(body.service);
+        if (!service) {
+            throw httpError(400, 'Invalid request body', [{ path: '/service', message: `unknown service "${body.service}"` }]);
+        }
+
+        const { bug, created } = tracker.mutate(() => {
+            const bugData = { ...body, service: service.id, detectedBy: req.actor };
+            const existing = tracker.findOpenBugByFingerprint(computeFingerprint(bugData));
+            return { bug: tracker.reportBug(bugData), created: !existing };
+        });
+        res.set('Location', `${req.baseUrl}/bugs/${encodeURIComponent(bug.id)}`);
+        sendBug(res, bug, created ? 201 : 200);
+    });
+
+    api.get('/bugs/:id', (req, res) => {
+        sendBug(res, tracker.findBug(req.params.id));
+    });
+
+    api.patch('/bugs/:id', (req, res) => {
+        const body = validate(SCHEMAS.updateBug, req.body);
+        const { bug } = writeBug(req, current => tracker.updateBug(current.id, body, { actor: req.actor }), { requireMatch: true });
+        sendBug(res, bug);
+    });
+
+    api.post('/bugs/:id/comments', (req, res) => {
+        const body = validate(SCHEMAS.comment, req.body);
+        const { bug, result } = writeBug(req, current => tracker.addComment(current.id, { ...body, author: req.actor }));
+        res.status(201).set('ETag', etagOf(bug)).json(result);
+    });
+
+    api.get('/bugs/:id/transitions', (req, res) => {
+        const bug = tracker.findBug(req.params.id);
+        res.json({ state: bug.state, allowed: tracker.getAllowedTransitions(bug) });
+    });
+
+    api.post('/bugs/:id/transition', (req, res) => {
+        const body = validate(SCHEMAS.transition, req.body);
+        const { bug } = writeBug(req, current => tracker.transitionBug(current.id, body.state, { actor: req.actor, reason: body.reason }));
+        sendBug(res, bug);
+    });
+
+    api.post('/bugs/:id/resolve', (req, res) => {
+        const body = validate(SCHEMAS.resolve, req.body);
+        const { bug } = writeBug(req, current => tracker.resolveBug(current.id, { ...body, resolvedBy: req.actor }));
+        sendBug(res, bug);
+    });
+
+    api.get('/reports/:type', (req, res) => {
+        if (!['summary', 'detailed'].includes(req.params.type)) {
+            throw httpError(404, `Unknown report "${req.params.type}", use summary or detailed`);
+        }
+        res.json(tracker.generateReport(req.params.type));
+    });
+
+    api.get('/export', (req, res) => {
+        const format = req.query.format || 'json';
+        if (!FORMATS.includes(format)) {
+            throw httpError(400, `Unsupported format "${format}", use ${FORMATS.join(', ')}`);
+        }
+        const criteria = pick(req.query, ['service', 'severity', 'category', 'state']);
+        Object.keys(criteria).forEach(key => criteria[key] === undefined && delete criteria[key]);
+
+        let data;
+        try {
+            data = tracker.exportBugs(format, { columns: req.query.columns, criteria });
+        } catch (error) {
+            throw httpError(400, error.message);
+        }
+        res.attachment(`bugs.${EXTENSIONS[format]}`)
+            .type(EXPORT_TYPES[format])
+            .send(data);
+    });
+
+    api.post('/import',
+        express.json({ limit: CONFIG.importLimit }),
+        express.text({ type: ['text/csv', 'application/x-ndjson', 'text/plain'], limit: CONFIG.importLimit }),
+        (req, res) => {
+            const format = req.query.format ||
+                (req.is('text/csv') ? 'csv' : req.is('application/x-ndjson') ? 'ndjson' : 'json');
+            if (!IMPORT_FORMATS.includes(format)) {
+                throw httpError(400, `Unsupported format "${format}", use ${IMPORT_FORMATS.join(', ')}`);
+            }
+            if (format !== 'json' && (typeof req.body !== 'string' || req.body.trim() === '')) {
+                throw httpError(400, `${format.toUpperCase()} imports need a ${EXPORT_TYPES[format]} body`);
+            }
+
+            let records;
+            try {
+                records = parseBugs(req.body, format);
+            } catch (error) {
+                throw httpError(400, error.message);
+            }
+            validate(SCHEMAS.importBugs, records);
+
+            tracker.reload();
+            res.json(tracker.importBugs(records, 'json', {
+                replace: req.query.replace === 'true',
+                user: req.actor
+            }));
+        });
+
+    api.use((req, res) => {
+        throw httpError(404, `No route for ${req.method} ${req.baseUrl}${req.path}`);
+    });
+
+    app.use('/api', api);
+
+    // Dashboard: nothing but the inlined page may load or run
+    const dashboardHeaders = (res) => res.set({
+        'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; script-src 'unsafe-inline'; img-src data:; form-action 'self'; frame-ancestors 'none'",
+        'Cache-Control': 'no-store'
+    });
+
+    app.get('/', (req, res) => res.redirect('/dashboard'));
+
+    app.get('/dashboard', (req, res) => {
+        dashboardHeaders(res);
+        const [scheme, bearer] = String(req.get('authorization') || '').split(' ');
+        const token = scheme === 'Bearer' && bearer ? bearer : readCookie(req, CONFIG.dashboardCookie);
+        if (!token || !findToken(tokens, token)) {
+            res.status(401).type('html').send(loginPage(token ? 'This token is not valid any more.' : ''));
+            return;
+        }
+        res.type('html').send(renderDashboard(tracker.reload()));
+    });
+
+    app.post('/dashboard/login', express.urlencoded({ extended: false, limit: '10kb' }), (req, res) => {
+        dashboardHeaders(res);
+        const token = req.body && typeof req.body.token === 'string' ? req.body.token.trim() : '';
+        if (!token || !findToken(tokens, token)) {
+            res.status(401).type('html').send(loginPage('Unknown token.'));
+            return;
+        }
+        res.cookie(CONFIG.dashboardCookie, token, { httpOnly: true, sameSite: 'strict', path: '/dashboard', secure: req.secure })
+            .redirect(303, '/dashboard');
+    });
+
+    app.use((req, res) => {
+        throw httpError(404, `No route for ${req.method} ${req.path}`);
+    });
+
+    // Errors as JSON: { error, details? }
+    app.use((error, req, res, next) => {
+        const status = error.status && error.status < 500 ? error.status
+            : error.code === 'BUG_NOT_FOUND' ? 404
+                : error.code === 'ILLEGAL_TRANSITION' ? 409
+                    : error.code === 'LOCK_TIMEOUT' ? 503
+                        : error.type === 'entity.parse.failed' ? 400
+                            : error.type === 'entity.too.large' ? 413
+                                : 500;
+        if (status === 500) {
+            log(`${req.method} ${req.originalUrl}: ${error.stack || error.message}`, 'error');
+        }
+        const message = status === 500 ? 'Internal server error'
+            : error.type === 'entity.parse.failed' ? 'Request body is not valid JSON'
+                : error.message;
+        res.status(status).json(error.details ? { error: message, details: error.details } : { error: message });
+    });
+
+    return app;
+};
+
+const startServer = (options = {}) => {
+    const tokens = parseTokens(options.tokens !== undefined ? options.tokens : process.env.BUG_API_TOKENS);
+    if (tokens.length === 0) {
+        throw new Error('No API tokens configured. Set BUG_API_TOKENS=<name>:<token>[:read],... (node scripts/bug-server.js token <name> makes one)');
+    }
+
+    const tracker = options.tracker || new BugTracker();
+    const app = createApp({ tracker, tokens });
+    const port = options.port !== undefined ? options.port : CONFIG.port;
+    const host = options.host || CONFIG.host;
+
+    return new Promise((resolve, reject) => {
+        const server = app.listen(port, host, (error) => {
+            if (error) {
+                reject(error);
+                return;
+            }
+            log(`Bug tracker API listening on http://${host}:${server.address().port}/api (${tokens.length} token(s))`, 'success');
+            resolve(server);
+        });
+    });
+};
+
+// CLI interface
+const getOption = (args, name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+};
+
+const main = async (args) => {
+    const command = args[0] && !args[0].startsWith('--') ? args[0] : 'start';
+
+    switch (command) {
+        case 'start': {
+            const port = getOption(args, '--port');
+            const server = await startServer({
+                port: port !== undefined ? Number(port) : undefined,
+                host: getOption(args, '--host')
+            });
+            const stop = () => server.close(() => process.exit(0));
+            process.on('SIGINT', stop);
+            process.on('SIGTERM', stop);
+            break;
+        }
+
+        case 'token': {
+            const name = args[1];
+            if (!name || !/^[A-Za-z0-9][\w.-]*$/.test(name)) {
+                throw new Error('Usage: token <name> [--read] (letters, digits, ".", "_" and "-")');
+            }
+            const token = crypto.randomBytes(24).toString('base64url');
+            console.log(`${name}:${token}${args.includes('--read') ? ':read' : ''}`);
+            break;
+        }
+
+        case 'help':
+        default:
+            console.log(`
+NydArt Advisor Bug Tracker API
+
+Usage: node scripts/bug-server.js [command] [options]
+
+Commands:
+  start [--port <port>] [--host <host>]
+    Serve the API (default http://${CONFIG.host}:${CONFIG.port}/api,
+    or BUG_API_PORT / BUG_API_HOST)
+
+  token <name> [--read]
+    Print a new BUG_API_TOKENS entry for <name>; --read makes it read-only
+
+Environment:
+  BUG_API_TOKENS   comma-separated <name>:<token>[:read] entries (required)
+  BUG_DATA_DIR, BUG_STORAGE  as for bug-tracker.js
+
+Examples:
+  BUG_API_TOKENS=$(node scripts/bug-server.js token dashboard --read) npm run bug:serve
+  curl -H "Authorization: Bearer $TOKEN" "http://localhost:5050/api/bugs?state=detected&sort=-priority"
+`);
+            break;
+    }
+};
+
+// Run CLI if called directly
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        log(error.message, 'error');
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    CONFIG,
+    SCHEMAS,
+    parseTokens,
+    createApp,
+    startServer
+};
@@ -0,0 +1,372 @@
+/**
+ * NydArt Advisor - Bug Tracker Storage Adapters
+ *
+ * BugTracker persists its bugs, history and metrics through a storage
+ * adapter. Every mutation runs inside `transaction(fn)`, which takes an
+ * exclusive lock on the data directory, hands `fn` the latest state from
+ * disk and persists the result before releasing the lock, so parallel CLI
+ * invocations (e.g. several CI jobs running bug:detect) no longer overwrite
+ * each other.
+ *
+ * Adapters:
+ *   json      bugs.json, bug-history.json and bug-metrics.json, rewritten
+ *             atomically (write to a temp file, then rename)
+ *   eventlog  append-only bug-events.jsonl, replayed on load
+ *
+ * Adapter interface:
+ *   load()              -> { bugs, history, metrics }
+ *   transaction(fn)     -> fn({ bugs, history, metrics }) under lock, then persist
+ *   replaceAll(data)    overwrite everything (used by migrations)
+ *   archive(bugs)       append evicted bugs to bugs-archive.jsonl
+ *   describe()          -> { adapter, files }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const LOCK_FILE = '.bug-tracker.lock';
+const ARCHIVE_FILE = 'bugs-archive.jsonl';
+
+const LOCK_OPTIONS = {
+    timeout: 15000, // give up after 15 seconds
+    stale: 60000, // unreadable locks older than a minute are considered abandoned
+    retryInterval: 50
+};
+
+const sleepSync = (ms) => {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+};
+
+const isProcessAlive = (pid) => {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+};
+
+const readLock = (lockPath) => {
+    try {
+        return fs.readFileSync(lockPath, 'utf8');
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * A lock is stale when the process holding it is gone. A live holder keeps
+ * its lock however long it runs (e.g. a large import); only an unreadable or
+ * half-written lock is judged by its age.
+ */
+const isStaleLock = (lockPath, staleMs) => {
+    try {
+        const { pid } = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+        return !isProcessAlive(pid);
+    } catch (error) {
+        try {
+            return Date.now() - fs.statSync(lockPath).mtimeMs > staleMs;
+        } catch (statError) {
+            return false;
+        }
+    }
+};
+
+/**
+ * Remove a stale lock. Waiters take turns through a second lock file, and
+ * the lock is only removed if it still holds what was judged stale, so a
+ * waiter never removes a lock another waiter has just created.
+ */
+const takeOverStaleLock = (lockPath, staleMs) => {
+    const takeoverPath = `${lockPath}.takeover`;
+    let fd;
+    try {
+        fd = fs.openSync(takeoverPath, 'wx');
+    } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        // Left behind by a waiter that died while taking over
+        if (isStaleLock(takeoverPath, staleMs)) fs.rmSync(takeoverPath, { force: true });
+        return;
+    }
+
+    try {
+        fs.writeSync(fd, JSON.stringify({ pid: process.pid }));
+        fs.closeSync(fd);
+        const content = readLock(lockPath);
+        if (content !== null && isStaleLock(lockPath, staleMs) && readLock(lockPath) === content) {
+            fs.rmSync(lockPath, { force: true });
+        }
+    } finally {
+        fs.rmSync(takeoverPath, { force: true });
+    }
+};
+
+/**
+ * Run `fn` while holding an exclusive lock file. Synchronous so BugTracker
+ * keeps its synchronous API. The lock carries a token of its own, and is
+ * only removed at the end if it still carries it.
+ */
+const withLock = (lockPath, fn, options = LOCK_OPTIONS) => {
+    const deadline = Date.now() + options.timeout;
+    const content = JSON.stringify({ pid: process.pid, token: crypto.randomUUID(), acquiredAt: new Date().toISOString() });
+    let fd = null;
+
+    while (fd === null) {
+        try {
+            fd = fs.openSync(lockPath, 'wx');
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+
+            if (isStaleLock(lockPath, options.stale)) {
+                takeOverStaleLock(lockPath, options.stale);
+                continue;
+            }
+            if (Date.now() > deadline) {
+                const timeout = new Error(`Timed out waiting for bug tracker lock ${lockPath}`);
+                timeout.code = 'LOCK_TIMEOUT';
+                throw timeout;
+            }
+            sleepSync(options.retryInterval);
+        }
+    }
+
+    try {
+        fs.writeSync(fd, content);
+        fs.closeSync(fd);
+        return fn();
+    } finally {
+        if (readLock(lockPath) === content) {
+            fs.rmSync(lockPath, { force: true });
+        }
+    }
+};
+
+const writeFileAtomic = (filePath, content) => {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+};
+
+const readJson = (filePath, fallback) => {
+    if (!fs.existsSync(filePath)) return fallback;
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not parse ${filePath}: ${error.message}`);
+    }
+};
+
+class BaseStorage {
+    constructor(options = {}) {
+        this.dataDir = path.resolve(options.dataDir || process.cwd());
+        this.lockPath = path.join(this.dataDir, LOCK_FILE);
+        this.lockOptions = { ...LOCK_OPTIONS, ...(options.lock || {}) };
+        fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+
+    transaction(fn) {
+        return withLock(this.lockPath, () => {
+            const data = this.read();
+            const result = fn(data);
+            this.persist(data);
+            return result;
+        }, this.lockOptions);
+    }
+
+    load() {
+        return this.read();
+    }
+
+    archive(bugs) {
+        if (bugs.length === 0) return;
+        const archivedAt = new Date().toISOString();
+        const lines = bugs.map(bug => JSON.stringify({ archivedAt, bug })).join('\n') + '\n';
+        fs.appendFileSync(path.join(this.dataDir, ARCHIVE_FILE), lines);
+    }
+}
+
+// One JSON document per collection, rewritten atomically
+class JsonFileStorage extends BaseStorage {
+    constructor(options = {}) {
+        super(options);
+        this.files = {
+            bugs: path.join(this.dataDir, 'bugs.json'),
+            history: path.join(this.dataDir, 'bug-history.json'),
+            metrics: path.join(this.dataDir, 'bug-metrics.json')
+        };
+    }
+
+    read() {
+        return {
+            bugs: readJson(this.files.bugs, []),
+            history: readJson(this.files.history, []),
+            metrics: readJson(this.files.metrics, null)
+        };
+    }
+
+    persist(data) {
+        Object.entries(this.files).forEach(([key, filePath]) => {
+            if (data[key] !== null && data[key] !== undefined) {
+                writeFileAtomic(filePath, JSON.stringify(data[key], null, 2));
+            }
+        });
+    }
+
+    replaceAll(data) {
+        withLock(this.lockPath, () => this.persist(data), this.lockOptions);
+    }
+
+    describe() {
+        return { adapter: 'json', files: Object.values(this.files) };
+    }
+}
+
+// Append-only event log. Each bug change is stored as a full bug snapshot,
+// history entries and metrics are appended as they are produced.
+class EventLogStorage extends BaseStorage {
+    constructor(options = {}) {
+        super(options);
+        this.logPath = path.join(this.dataDir, 'bug-events.jsonl');
+        this.reset();
+    }
+
+    reset() {
+        this.offset = 0;
+        this.state = { bugs: new Map(), history: [], metrics: null };
+    }
+
+    apply(event) {
+        switch (event.type) {
+            case 'bug':
+                this.state.bugs.set(event.bug.id, event.bug);
+                break;
+            case 'bug_deleted':
+                this.state.bugs.delete(event.id);
+                break;
+            case 'history':
+                this.state.history.push(event.entry);
+                break;
+            case 'metrics':
+                this.state.metrics = event.metrics;
+                break;
+        }
+    }
+
+    // Replay only the events appended since the last read
+    catchUp() {
+        if (!fs.existsSync(this.logPath)) {
+            this.reset();
+            return;
+        }
+
+        const size = fs.statSync(this.logPath).size;
+        if (size < this.offset) {
+            this.reset();
+        }
+        if (size === this.offset) return;
+
+        const buffer = Buffer.alloc(size - this.offset);
+        const fd = fs.openSync(this.logPath, 'r');
+        try {
+            fs.readSync(fd, buffer, 0, buffer.length, this.offset);
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        // A trailing line without newline is an interrupted write: leave it for later
+        const text = buffer.toString('utf8');
+        const complete = text.slice(0, text.lastIndexOf('\n') + 1);
+        complete.split('\n').filter(Boolean).forEach(line => {
+            try {
+                this.apply(JSON.parse(line));
+            } catch (error) {
+                console.error(`Skipping corrupt event in ${this.logPath}: ${error.message}`);
+            }
+        });
+        this.offset += Buffer.byteLength(complete);
+    }
+
+    read() {
+        this.catchUp();
+        const bugs = [...this.state.bugs.values()].map(bug => JSON.parse(JSON.stringify(bug)));
+        return {
+            bugs,
+            history: [...this.state.history],
+            metrics: this.state.metrics ? { ...this.state.metrics } : null
+        };
+    }
+
+    diff(data) {
+        const events = [];
+        const at = new Date().toISOString();
+        const ids = new Set(data.bugs.map(bug => bug.id));
+
+        data.bugs.forEach(bug => {
+            const previous = this.state.bugs.get(bug.id);
+            if (!previous || JSON.stringify(previous) !== JSON.stringify(bug)) {
+                events.push({ type: 'bug', at, bug });
+            }
+        });
+        [...this.state.bugs.keys()].filter(id => !ids.has(id)).forEach(id => {
+            events.push({ type: 'bug_deleted', at, id });
+        });
+        data.history.slice(this.state.history.length).forEach(entry => {
+            events.push({ type: 'history', at, entry });
+        });
+        if (data.metrics && JSON.stringify(data.metrics) !== JSON.stringify(this.state.metrics)) {
+            events.push({ type: 'metrics', at, metrics: data.metrics });
+        }
+        return events;
+    }
+
+    append(events) {
+        if (events.length === 0) return;
+        fs.appendFileSync(this.logPath, events.map(event => JSON.stringify(event)).join('\n') + '\n');
+        this.catchUp();
+    }
+
+    persist(data) {
+        this.append(this.diff(data));
+    }
+
+    replaceAll(data) {
+        withLock(this.lockPath, () => {
+            fs.rmSync(this.logPath, { force: true });
+            this.reset();
+            this.append(this.diff(data));
+        }, this.lockOptions);
+    }
+
+    describe() {
+        return { adapter: 'eventlog', files: [this.logPath] };
+    }
+}
+
+const ADAPTERS = {
+    json: JsonFileStorage,
+    eventlog: EventLogStorage
+};
+
+const createStorage = (adapter = 'json', options = {}) => {
+    const Adapter = ADAPTERS[adapter];
+    if (!Adapter) {
+        throw new Error(`Unknown bug storage adapter "${adapter}". Available: ${Object.keys(ADAPTERS).join(', ')}`);
+    }
+    return new Adapter(options);
+};
+
+module.exports = {
+    ADAPTERS,
+    createStorage,
+    withLock,
+    writeFileAtomic,
+    JsonFileStorage,
+    EventLogStorage
+};
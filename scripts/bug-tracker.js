@@ -10,15 +10,23 @@
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
+const { createStorage, ADAPTERS } = require('./bug-storage');
+const { computeFingerprint } = require('./bug-fingerprint');
+const { analyzeBug, formatAnalysis } = require('./root-cause');
+const { appendFeedback } = require('./rule-feedback');
+const { locateFailure, CONFIG: STACK_CONFIG } = require('./stack-trace');
+const registry = require('./service-registry');
+const { checkAttachment, storeAttachment, attachmentPath, formatSize } = require('./bug-attachments');
+const { SLA_FILE, loadSlaConfig, matchPolicy, dueDates, targetStatus, formatDuration } = require('./sla');
+const { formatBugs, parseBugs, formatFromFile, EXTENSIONS, IMPORT_FORMATS } = require('./bug-formats');
 
 // Bug tracking configuration
 const CONFIG = {
-    bugDatabase: 'bugs.json',
-    bugHistory: 'bug-history.json',
-    metricsFile: 'bug-metrics.json',
-    reportsDir: 'bug-reports',
+    storage: process.env.BUG_STORAGE || 'json', // json | eventlog
+    dataDir: process.env.BUG_DATA_DIR || path.join(__dirname, '..'),
+    reportsDir: 'bug-reports', // relative to dataDir
     maxBugs: 1000,
-    autoCleanup: true
+    autoCleanup: true // archive the oldest closed/resolved bugs when maxBugs is reached
 };
 
 // Bug categories and severity levels
@@ -49,18 +57,118 @@ const BUG_STATES = {
     CLOSED: 'closed'
 };
 
+// Who moves a bug. Actors called "system" or "automated-*" (the bug
+// analyzer, CI jobs) count as automation, any other name is a human.
+const ACTOR_TYPES = {
+    HUMAN: 'human',
+    AUTOMATION: 'automation'
+};
+
+const ANY_ACTOR = [ACTOR_TYPES.HUMAN, ACTOR_TYPES.AUTOMATION];
+
+const getActorType = (actor) => {
+    return !actor || actor === 'system' || String(actor).startsWith('automated-')
+        ? ACTOR_TYPES.AUTOMATION
+        : ACTOR_TYPES.HUMAN;
+};
+
+const passedValidationOfCurrentFix = (bug, context) => {
+    const validation = context.validation || bug.validation;
+    const fix = context.fix || bug.fix;
+    if (!validation || validation.status !== 'passed') {
+        return 'the fix validation must have passed';
+    }
+    if (fix && new Date(validation.validatedAt) < new Date(fix.implementedAt)) {
+        return 'the validation is older than the current fix, validate it again';
+    }
+    return null;
+};
+
+const backToFixing = (bug, context) => {
+    const validation = context.validation || bug.validation;
+    if (context.fix || context.reason || (validation && validation.status === 'failed')) {
+        return null;
+    }
+    return 'a failed validation, a new fix or a reason is required';
+};
+
+/**
+ * Allowed lifecycle moves, STATE_TRANSITIONS[from][to]:
+ *   actors    actor types allowed to make the move
+ *   requires  fields that must be set on the bug, or passed with the move
+ *   check     extra condition, returns the reason the move is refused
+ * Staying in the same state is always allowed. Moving out of resolved or
+ * closed reopens the bug.
+ */
+const STATE_TRANSITIONS = {
+    [BUG_STATES.DETECTED]: {
+        [BUG_STATES.ANALYZING]: { actors: ANY_ACTOR, requires: [] },
+        [BUG_STATES.FIXING]: { actors: ANY_ACTOR, requires: ['fix'] },
+        [BUG_STATES.RESOLVED]: { actors: [ACTOR_TYPES.HUMAN], requires: ['resolution'] }
+    },
+    [BUG_STATES.ANALYZING]: {
+        [BUG_STATES.FIXING]: { actors: ANY_ACTOR, requires: ['fix'] },
+        [BUG_STATES.RESOLVED]: { actors: [ACTOR_TYPES.HUMAN], requires: ['resolution'] }
+    },
+    [BUG_STATES.FIXING]: {
+        [BUG_STATES.TESTING]: { actors: ANY_ACTOR, requires: ['fix', 'validation'], check: passedValidationOfCurrentFix },
+        [BUG_STATES.RESOLVED]: { actors: [ACTOR_TYPES.HUMAN], requires: ['resolution'] }
+    },
+    [BUG_STATES.TESTING]: {
+        [BUG_STATES.DEPLOYING]: { actors: ANY_ACTOR, requires: ['deployment'], check: passedValidationOfCurrentFix },
+        [BUG_STATES.FIXING]: { actors: ANY_ACTOR, requires: [], check: backToFixing },
+        [BUG_STATES.RESOLVED]: { actors: [ACTOR_TYPES.HUMAN], requires: ['resolution'] }
+    },
+    [BUG_STATES.DEPLOYING]: {
+        [BUG_STATES.RESOLVED]: { actors: ANY_ACTOR, requires: ['resolution'] },
+        [BUG_STATES.FIXING]: { actors: ANY_ACTOR, requires: ['reason'] }
+    },
+    [BUG_STATES.RESOLVED]: {
+        [BUG_STATES.CLOSED]: { actors: ANY_ACTOR, requires: [] },
+        [BUG_STATES.ANALYZING]: { actors: ANY_ACTOR, requires: ['reason'] },
+        [BUG_STATES.FIXING]: { actors: ANY_ACTOR, requires: ['reason'] } // fix rolled back
+    },
+    [BUG_STATES.CLOSED]: {
+        [BUG_STATES.ANALYZING]: { actors: ANY_ACTOR, requires: ['reason'] }
+    }
+};
+
+// Fields owned by the lifecycle methods; updateBug refuses to overwrite them
+const LIFECYCLE_FIELDS = [
+    'id', 'detectedAt', 'resolvedAt', 'history', 'comments', 'rootCauseAnalysis',
+    'fix', 'validation', 'deployment', 'resolution', 'previousCycles', 'testBaseline',
+    'classification', 'github', 'assignment', 'sla', 'watchers'
+];
+
+const transitionError = (message) => {
+    const error = new Error(message);
+    error.code = 'ILLEGAL_TRANSITION';
+    return error;
+};
+
 // Bug tracking class
 class BugTracker {
-    constructor() {
-        this.bugs = this.loadBugs();
-        this.history = this.loadHistory();
-        this.metrics = this.loadMetrics();
+    constructor(options = {}) {
+        this.dataDir = path.resolve(options.dataDir || CONFIG.dataDir);
+        this.reportsDir = path.resolve(this.dataDir, CONFIG.reportsDir);
+        this.maxBugs = options.maxBugs || CONFIG.maxBugs;
+        this.storage = options.storage && typeof options.storage === 'object'
+            ? options.storage
+            : createStorage(options.storage || CONFIG.storage, { dataDir: this.dataDir });
+        this.inTransaction = false;
+        this.slaFile = options.slaFile || SLA_FILE;
+        this.slaConfig = null; // loaded on first use
+
+        const data = this.storage.load();
+        this.bugs = data.bugs;
+        this.history = data.history;
+        this.metrics = data.metrics || this.initializeMetrics();
         this.ensureDirectories();
     }
 
     // File management
     ensureDirectories() {
-        const dirs = [CONFIG.reportsDir];
+        const dirs = [this.reportsDir];
         dirs.forEach(dir => {
             if (!fs.existsSync(dir)) {
                 fs.mkdirSync(dir, { recursive: true });
@@ -68,37 +176,54 @@ class BugTracker {
         });
     }
 
-    loadBugs() {
-        try {
-            if (fs.existsSync(CONFIG.bugDatabase)) {
-                return JSON.parse(fs.readFileSync(CONFIG.bugDatabase, 'utf8'));
-            }
-        } catch (error) {
-            console.error('Error loading bugs:', error);
+    /**
+     * Run a mutation against the latest persisted state under the storage
+     * lock, then persist bugs, history and metrics. Nested calls join the
+     * outer transaction.
+     */
+    mutate(fn) {
+        if (this.inTransaction) {
+            return fn();
         }
-        return [];
-    }
 
-    loadHistory() {
-        try {
-            if (fs.existsSync(CONFIG.bugHistory)) {
-                return JSON.parse(fs.readFileSync(CONFIG.bugHistory, 'utf8'));
+        return this.storage.transaction((data) => {
+            this.bugs = data.bugs;
+            this.history = data.history;
+            this.metrics = data.metrics || this.initializeMetrics();
+            this.inTransaction = true;
+
+            try {
+                return fn();
+            } finally {
+                this.inTransaction = false;
+                this.metrics.lastUpdated = new Date().toISOString();
+                data.bugs = this.bugs;
+                data.history = this.history;
+                data.metrics = this.metrics;
             }
-        } catch (error) {
-            console.error('Error loading bug history:', error);
-        }
-        return [];
+        });
     }
 
-    loadMetrics() {
-        try {
-            if (fs.existsSync(CONFIG.metricsFile)) {
-                return JSON.parse(fs.readFileSync(CONFIG.metricsFile, 'utf8'));
-            }
-        } catch (error) {
-            console.error('Error loading metrics:', error);
+    /**
+     * Re-read the persisted state. Mutations always work on the latest state;
+     * long-running readers (bug-server.js) call this before reading.
+     */
+    reload() {
+        const data = this.storage.load();
+        this.bugs = data.bugs;
+        this.history = data.history;
+        this.metrics = data.metrics || this.initializeMetrics();
+        return this;
+    }
+
+    findBug(bugId) {
+        const bug = this.bugs.find(b => b.id === bugId);
+        if (!bug) {
+            const error = new Error(`Bug ${bugId} not found`);
+            error.code = 'BUG_NOT_FOUND';
+            throw error;
         }
-        return this.initializeMetrics();
+        return bug;
     }
 
     initializeMetrics() {
@@ -117,68 +242,243 @@ class BugTracker {
         };
     }
 
-    saveBugs() {
-        try {
-            fs.writeFileSync(CONFIG.bugDatabase, JSON.stringify(this.bugs, null, 2));
-        } catch (error) {
-            console.error('Error saving bugs:', error);
-        }
+    // Bug management
+
+    /**
+     * New bug from bugData. When the stack trace points at a file of this
+     * repository, that frame names the component. Unless bugData assigns
+     * someone, the service's assignment strategy picks the assignee (see
+     * chooseAssignee).
+     */
+    createBug(bugData) {
+        return this.mutate(() => {
+            this.enforceBugLimit();
+
+            const now = new Date().toISOString();
+            const located = locateFailure(bugData.stackTrace, bugData.service);
+            const bug = {
+                id: this.generateBugId(),
+                title: bugData.title,
+                description: bugData.description,
+                service: bugData.service,
+                component: located.component || bugData.component,
+                severity: bugData.severity,
+                category: bugData.category,
+                state: BUG_STATES.DETECTED,
+                detectedAt: now,
+                detectedBy: bugData.detectedBy || 'automated-test',
+                testCase: bugData.testCase,
+                errorMessage: bugData.errorMessage,
+                stackTrace: bugData.stackTrace,
+                stackFrames: located.frames.slice(0, STACK_CONFIG.maxFrames),
+                codeLocation: located.top ? {
+                    service: located.top.service,
+                    file: located.top.file,
+                    line: located.top.line,
+                    function: located.top.function,
+                    owners: located.owners,
+                    ownersFrom: located.ownership ? `${located.ownership.file}:${located.ownership.line}` : null
+                } : null,
+                environment: bugData.environment,
+                stepsToReproduce: bugData.stepsToReproduce,
+                expectedBehavior: bugData.expectedBehavior,
+                actualBehavior: bugData.actualBehavior,
+                impact: bugData.impact,
+                assignedTo: null,
+                priority: this.calculatePriority(bugData.severity, bugData.category),
+                tags: bugData.tags || [],
+                attachments: bugData.attachments || [],
+                fingerprint: computeFingerprint(bugData),
+                occurrences: 1,
+                lastSeenAt: now,
+                comments: [],
+                history: []
+            };
+            if (bugData.classification) {
+                // How the analyzer graded it, to measure the analysis rules
+                bug.classification = bugData.classification;
+            }
+
+            this.bugs.push(bug);
+            this.scheduleSla(bug, now);
+            this.addToHistory(bug, 'created', { user: bug.detectedBy });
+            const choice = this.chooseAssignee(bugData, located.owners);
+            this.applyAssignment(bug, choice.assignee, { method: choice.method, actor: bug.detectedBy });
+            this.updateMetrics(bug, 'add');
+            this.recordClassification(bug, bugData, true);
+
+            return bug;
+        });
     }
 
-    saveHistory() {
-        try {
-            fs.writeFileSync(CONFIG.bugHistory, JSON.stringify(this.history, null, 2));
-        } catch (error) {
-            console.error('Error saving history:', error);
-        }
+    isOpen(bug) {
+        return bug.state !== BUG_STATES.RESOLVED && bug.state !== BUG_STATES.CLOSED;
     }
 
-    saveMetrics() {
-        try {
-            this.metrics.lastUpdated = new Date().toISOString();
-            fs.writeFileSync(CONFIG.metricsFile, JSON.stringify(this.metrics, null, 2));
-        } catch (error) {
-            console.error('Error saving metrics:', error);
-        }
+    findOpenBugByFingerprint(fingerprint) {
+        return this.bugs.find(b => this.isOpen(b) && (b.fingerprint || computeFingerprint(b)) === fingerprint) || null;
     }
 
-    // Bug management
-    createBug(bugData) {
-        const bug = {
-            id: this.generateBugId(),
-            title: bugData.title,
-            description: bugData.description,
-            service: bugData.service,
-            component: bugData.component,
-            severity: bugData.severity,
-            category: bugData.category,
-            state: BUG_STATES.DETECTED,
-            detectedAt: new Date().toISOString(),
-            detectedBy: bugData.detectedBy || 'automated-test',
-            testCase: bugData.testCase,
-            errorMessage: bugData.errorMessage,
-            stackTrace: bugData.stackTrace,
-            environment: bugData.environment,
-            stepsToReproduce: bugData.stepsToReproduce,
-            expectedBehavior: bugData.expectedBehavior,
-            actualBehavior: bugData.actualBehavior,
-            impact: bugData.impact,
-            assignedTo: null,
-            priority: this.calculatePriority(bugData.severity, bugData.category),
-            tags: bugData.tags || [],
-            attachments: bugData.attachments || [],
-            comments: [],
-            history: []
+    /**
+     * Entry point for automated detection: a failure matching an open bug's
+     * fingerprint counts as another occurrence of that bug, anything else
+     * becomes a new bug.
+     */
+    reportBug(bugData) {
+        return this.mutate(() => {
+            const existing = this.findOpenBugByFingerprint(computeFingerprint(bugData));
+            if (!existing) {
+                return this.createBug(bugData);
+            }
+
+            const now = new Date().toISOString();
+            existing.fingerprint = existing.fingerprint || computeFingerprint(existing);
+            existing.occurrences = (existing.occurrences || 1) + 1;
+            existing.lastSeenAt = now;
+            existing.lastUpdated = now;
+
+            this.addToHistory(existing, 'occurrence', {
+                occurrence: existing.occurrences,
+                testCase: bugData.testCase,
+                errorMessage: bugData.errorMessage,
+                environment: bugData.environment,
+                user: bugData.detectedBy || 'automated-test'
+            });
+            this.recordClassification(existing, bugData, false);
+
+            return existing;
+        });
+    }
+
+    /**
+     * Merge open bugs sharing a fingerprint into the one furthest along its
+     * lifecycle (oldest first on ties). Comments, history, occurrences and
+     * tags are carried over; the merged bugs are moved to the archive.
+     */
+    dedupeBugs(options = {}) {
+        const stateOrder = Object.values(BUG_STATES);
+
+        const planMerges = () => {
+            const groups = new Map();
+            this.bugs.filter(b => this.isOpen(b)).forEach(bug => {
+                const fingerprint = bug.fingerprint || computeFingerprint(bug);
+                if (!groups.has(fingerprint)) groups.set(fingerprint, []);
+                groups.get(fingerprint).push(bug);
+            });
+
+            return [...groups.entries()]
+                .filter(([, bugs]) => bugs.length > 1)
+                .map(([fingerprint, bugs]) => {
+                    const [keep, ...duplicates] = [...bugs].sort((a, b) =>
+                        stateOrder.indexOf(b.state) - stateOrder.indexOf(a.state) ||
+                        new Date(a.detectedAt) - new Date(b.detectedAt)
+                    );
+                    return { fingerprint, keep, duplicates };
+                });
         };
 
-        this.bugs.push(bug);
-        this.addToHistory(bug, 'created');
-        this.updateMetrics(bug, 'add');
-        this.saveBugs();
-        this.saveHistory();
-        this.saveMetrics();
+        if (options.dryRun) {
+            return planMerges().map(({ fingerprint, keep, duplicates }) => ({
+                fingerprint,
+                kept: keep.id,
+                merged: duplicates.map(b => b.id)
+            }));
+        }
 
-        return bug;
+        return this.mutate(() => {
+            const merges = planMerges();
+            const severityOrder = Object.values(SEVERITY_LEVELS);
+            const byTime = (a, b) => new Date(a.timestamp) - new Date(b.timestamp);
+
+            merges.forEach(({ fingerprint, keep, duplicates }) => {
+                duplicates.forEach(duplicate => {
+                    keep.comments = keep.comments.concat(
+                        duplicate.comments.map(comment => ({ ...comment, mergedFrom: duplicate.id }))
+                    );
+                    keep.history = keep.history.concat(
+                        duplicate.history.map(entry => ({ ...entry, mergedFrom: duplicate.id }))
+                    );
+                    keep.occurrences = (keep.occurrences || 1) + (duplicate.occurrences || 1);
+                    keep.tags = [...new Set([...(keep.tags || []), ...(duplicate.tags || [])])];
+                    keep.attachments = (keep.attachments || []).concat(duplicate.attachments || []);
+                    if (severityOrder.indexOf(duplicate.severity) !== -1 &&
+                        severityOrder.indexOf(duplicate.severity) < severityOrder.indexOf(keep.severity)) {
+                        keep.severity = duplicate.severity;
+                    }
+                    if (new Date(duplicate.lastSeenAt || duplicate.detectedAt) > new Date(keep.lastSeenAt || keep.detectedAt)) {
+                        keep.lastSeenAt = duplicate.lastSeenAt || duplicate.detectedAt;
+                    }
+                });
+
+                keep.fingerprint = fingerprint;
+                keep.priority = this.priorityOf(keep);
+                keep.mergedBugs = (keep.mergedBugs || []).concat(duplicates.map(b => b.id));
+                keep.comments.sort(byTime);
+                keep.history.sort(byTime);
+                keep.lastUpdated = new Date().toISOString();
+
+                this.addToHistory(keep, 'duplicates_merged', { merged: duplicates.map(b => b.id) });
+            });
+
+            const mergedIds = new Set(merges.flatMap(({ duplicates }) => duplicates.map(b => b.id)));
+            if (mergedIds.size > 0) {
+                const merged = this.bugs.filter(b => mergedIds.has(b.id));
+                this.storage.archive(merged);
+                this.bugs = this.bugs.filter(b => !mergedIds.has(b.id));
+                merges.forEach(({ keep, duplicates }) => duplicates.forEach(duplicate => {
+                    this.history.push({
+                        id: this.generateHistoryId(),
+                        bugId: duplicate.id,
+                        action: 'merged_into',
+                        details: { bugId: keep.id },
+                        timestamp: new Date().toISOString(),
+                        user: 'system'
+                    });
+                }));
+                this.updateMetrics(null, 'dedupe');
+            }
+
+            return merges.map(({ fingerprint, keep, duplicates }) => ({
+                fingerprint,
+                kept: keep.id,
+                merged: duplicates.map(b => b.id)
+            }));
+        });
+    }
+
+    /**
+     * Make room for one more bug. With autoCleanup the oldest closed, then
+     * resolved, bugs are moved to the archive; otherwise creation fails.
+     */
+    enforceBugLimit() {
+        const excess = this.bugs.length - this.maxBugs + 1;
+        if (excess <= 0) return;
+
+        const evictable = CONFIG.autoCleanup
+            ? [BUG_STATES.CLOSED, BUG_STATES.RESOLVED].flatMap(state =>
+                this.bugs
+                    .filter(b => b.state === state)
+                    .sort((a, b) => new Date(a.detectedAt) - new Date(b.detectedAt))
+            ).slice(0, excess)
+            : [];
+
+        if (evictable.length < excess) {
+            throw new Error(`Bug limit reached (${this.maxBugs}). Resolve, close or clean up bugs before creating new ones.`);
+        }
+
+        const evictedIds = new Set(evictable.map(b => b.id));
+        this.storage.archive(evictable);
+        this.bugs = this.bugs.filter(b => !evictedIds.has(b.id));
+        evictable.forEach(bug => {
+            this.history.push({
+                id: this.generateHistoryId(),
+                bugId: bug.id,
+                action: 'archived',
+                details: { reason: 'max_bugs', maxBugs: this.maxBugs },
+                timestamp: new Date().toISOString(),
+                user: 'system'
+            });
+        });
     }
 
     generateBugId() {
@@ -207,135 +507,460 @@ class BugTracker {
         return severityWeight[severity] * categoryWeight[category];
     }
 
-    updateBug(bugId, updates) {
-        const bug = this.bugs.find(b => b.id === bugId);
-        if (!bug) {
-            throw new Error(`Bug ${bugId} not found`);
-        }
+    // Priority from severity and category, raised by each SLA escalation
+    priorityOf(bug) {
+        const escalations = bug.sla ? bug.sla.escalations.length : 0;
+        return this.calculatePriority(bug.severity, bug.category) + escalations * this.getSlaConfig().escalationStep;
+    }
 
-        const oldState = bug.state;
-        const oldSeverity = bug.severity;
+    /**
+     * Update descriptive fields. A `state` in the updates goes through the
+     * transition table; fix, validation, deployment and resolution records
+     * can only be written by their lifecycle methods.
+     */
+    updateBug(bugId, updates, options = {}) {
+        return this.mutate(() => {
+            const bug = this.findBug(bugId);
+            const { state, assignedTo, ...fields } = updates;
+
+            const locked = Object.keys(fields).filter(field => LIFECYCLE_FIELDS.includes(field));
+            if (locked.length > 0) {
+                throw new Error(`Cannot update ${locked.join(', ')} of ${bug.id} directly, use the lifecycle commands (transition, resolve, ...)`);
+            }
 
-        // Update bug properties
-        Object.assign(bug, updates);
-        bug.lastUpdated = new Date().toISOString();
+            const oldSeverity = bug.severity;
+            const actor = options.actor || 'system';
 
-        // Add to history
-        this.addToHistory(bug, 'updated', updates);
+            if (state) {
+                this.assertTransition(bug, state, { actor, reason: options.reason });
+            }
 
-        // Update metrics if severity or state changed
-        if (oldSeverity !== bug.severity) {
-            this.updateMetrics(bug, 'severity_change', { oldSeverity });
+            const corrections = getActorType(actor) === ACTOR_TYPES.HUMAN
+                ? ['severity', 'category'].filter(field => fields[field] && fields[field] !== bug[field])
+                : [];
+            corrections.forEach(field => this.recordCorrection(bug, field, fields[field], actor));
+
+            // Update bug properties
+            Object.assign(bug, fields);
+            if (fields.severity || fields.category) {
+                this.scheduleSla(bug);
+                bug.priority = this.priorityOf(bug);
+            }
+            if (state) {
+                this.applyTransition(bug, state, { actor, reason: options.reason });
+            }
+            if (assignedTo !== undefined) {
+                this.applyAssignment(bug, assignedTo, { actor, reason: options.reason });
+            }
+            bug.lastUpdated = new Date().toISOString();
+
+            // Add to history
+            this.addToHistory(bug, 'updated', { ...updates, user: actor });
+
+            // Update metrics if severity changed
+            if (oldSeverity !== bug.severity) {
+                this.updateMetrics(bug, 'severity_change', { oldSeverity });
+            }
+
+            return bug;
+        });
+    }
+
+    // Assignment
+
+    /**
+     * Assignee of a new bug. bugData.assignedTo wins; otherwise the strategy
+     * of the bug's service in services.json:
+     *   owner        the CODEOWNERS owner of the failing file, preferring a
+     *                person over an @org/team, then round-robin over the team
+     *   round-robin  the team member after the one who got the service's
+     *                previous round-robin bug
+     *   none         nobody
+     * Returns { assignee, method }.
+     */
+    chooseAssignee(bugData, owners = []) {
+        if (bugData.assignedTo) {
+            return { assignee: bugData.assignedTo, method: 'manual' };
         }
 
-        if (oldState !== bug.state && bug.state === BUG_STATES.RESOLVED) {
-            this.updateMetrics(bug, 'resolved');
+        const service = registry.getService(bugData.service);
+        const strategy = service ? service.assignment : 'owner';
+        if (strategy === 'none') {
+            return { assignee: null, method: 'none' };
         }
 
-        this.saveBugs();
-        this.saveHistory();
-        this.saveMetrics();
+        const person = owners.find(owner => !owner.includes('/'));
+        if (strategy === 'owner' && person) {
+            return { assignee: person, method: 'owner' };
+        }
+        const member = service ? this.nextTeamMember(service) : null;
+        if (member) {
+            return { assignee: member, method: 'round-robin' };
+        }
+        return { assignee: strategy === 'owner' ? owners[0] || null : null, method: 'owner' };
+    }
 
-        return bug;
+    nextTeamMember(service) {
+        if (service.team.length === 0) return null;
+        const previous = [...this.bugs].reverse().find(bug =>
+            bug.assignment && bug.assignment.method === 'round-robin' &&
+            (registry.getService(bug.service) || {}).id === service.id
+        );
+        const position = previous ? service.team.indexOf(previous.assignedTo) : -1;
+        return service.team[(position + 1) % service.team.length];
     }
 
-    addComment(bugId, comment) {
-        const bug = this.bugs.find(b => b.id === bugId);
-        if (!bug) {
-            throw new Error(`Bug ${bugId} not found`);
+    // Change the assignee, recording who did it and how in the history
+    applyAssignment(bug, assignee, context = {}) {
+        const from = bug.assignedTo || null;
+        const to = assignee || null;
+        if (from === to) return false;
+
+        const actor = context.actor || 'system';
+        const method = context.method || 'manual';
+        bug.assignedTo = to;
+        bug.assignment = { method, assignedBy: actor, assignedAt: new Date().toISOString() };
+
+        const action = !to ? 'unassigned' : from ? 'reassigned' : 'assigned';
+        this.addToHistory(bug, action, { from, to, method, reason: context.reason, user: actor });
+        return true;
+    }
+
+    assignBug(bugId, assignee, options = {}) {
+        if (!assignee || typeof assignee !== 'string' || !assignee.trim()) {
+            throw new Error('An assignee is required (use unassignBug to clear it)');
         }
+        return this.mutate(() => {
+            const bug = this.findBug(bugId);
+            if (this.applyAssignment(bug, assignee.trim(), { actor: options.actor, reason: options.reason })) {
+                bug.lastUpdated = new Date().toISOString();
+            }
+            return bug;
+        });
+    }
 
-        const newComment = {
-            id: this.generateCommentId(),
-            author: comment.author,
-            content: comment.content,
-            timestamp: new Date().toISOString(),
-            type: comment.type || 'general'
+    unassignBug(bugId, options = {}) {
+        return this.mutate(() => {
+            const bug = this.findBug(bugId);
+            if (this.applyAssignment(bug, null, { actor: options.actor, reason: options.reason })) {
+                bug.lastUpdated = new Date().toISOString();
+            }
+            return bug;
+        });
+    }
+
+    /**
+     * Open bugs per assignee, heaviest load first. The load is the sum of the
+     * bugs' priorities, so one critical security bug outweighs a few low
+     * ones. Team members of the services in scope are listed even without
+     * bugs; unassigned bugs are counted under assignee null. criteria
+     * narrows the bugs as searchBugs does.
+     */
+    getWorkload(criteria = {}) {
+        const people = new Map();
+        const entry = (assignee) => {
+            if (!people.has(assignee)) {
+                people.set(assignee, {
+                    assignee,
+                    openBugs: 0,
+                    load: 0,
+                    bySeverity: Object.fromEntries(Object.values(SEVERITY_LEVELS).map(level => [level, 0])),
+                    byService: {},
+                    oldestDetectedAt: null,
+                    bugs: []
+                });
+            }
+            return people.get(assignee);
         };
 
-        bug.comments.push(newComment);
-        bug.lastUpdated = new Date().toISOString();
+        const service = criteria.service ? registry.getService(criteria.service) : null;
+        (service ? [service] : registry.getServices()).forEach(item => item.team.forEach(member => entry(member)));
+
+        this.searchBugs(criteria).filter(bug => this.isOpen(bug)).forEach(bug => {
+            const load = entry(bug.assignedTo || null);
+            load.openBugs++;
+            load.load += bug.priority || 0;
+            load.bySeverity[bug.severity] = (load.bySeverity[bug.severity] || 0) + 1;
+            load.byService[bug.service] = (load.byService[bug.service] || 0) + 1;
+            if (!load.oldestDetectedAt || bug.detectedAt < load.oldestDetectedAt) load.oldestDetectedAt = bug.detectedAt;
+            load.bugs.push(bug.id);
+        });
+
+        return [...people.values()].sort((a, b) => b.load - a.load || b.openBugs - a.openBugs);
+    }
 
-        this.addToHistory(bug, 'comment_added', { comment: newComment });
-        this.saveBugs();
-        this.saveHistory();
+    // Analysis rule feedback (see rule-feedback.js)
+    recordClassification(bug, bugData, newBug) {
+        if (!bugData.classification) return;
+        const { matchedRules, severity, category } = bugData.classification;
+        appendFeedback(this.dataDir, { type: 'classified', bugId: bug.id, service: bug.service, newBug, matchedRules, severity, category });
+    }
 
-        return newComment;
+    // A person changed a severity or category the analyzer chose
+    recordCorrection(bug, field, to, actor) {
+        const decision = bug.classification && bug.classification[field];
+        if (!decision) return;
+
+        const correction = { field, from: bug[field], to, rule: decision.rule, source: decision.source, user: actor };
+        appendFeedback(this.dataDir, { type: 'corrected', bugId: bug.id, service: bug.service, ...correction });
+        decision.correctedTo = to;
+        decision.correctedBy = actor;
+        decision.correctedAt = new Date().toISOString();
+        this.addToHistory(bug, 'classification_corrected', correction);
     }
 
-    generateCommentId() {
-        return `COMMENT-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+    // Lifecycle
+    getAllowedTransitions(bug) {
+        return Object.keys(STATE_TRANSITIONS[bug.state] || {});
     }
 
-    // Root cause analysis
-    analyzeRootCause(bugId) {
-        const bug = this.bugs.find(b => b.id === bugId);
-        if (!bug) {
-            throw new Error(`Bug ${bugId} not found`);
+    /**
+     * Throw a descriptive error unless `bug` may move to `toState`. `context`
+     * holds the actor plus any records supplied with the move (fix,
+     * validation, deployment, resolution, reason).
+     */
+    assertTransition(bug, toState, context = {}) {
+        if (!Object.values(BUG_STATES).includes(toState)) {
+            throw transitionError(`Unknown state "${toState}". Valid states: ${Object.values(BUG_STATES).join(', ')}`);
+        }
+        if (bug.state === toState) return;
+
+        const rule = (STATE_TRANSITIONS[bug.state] || {})[toState];
+        if (!rule) {
+            const allowed = this.getAllowedTransitions(bug);
+            throw transitionError(
+                `Illegal transition for ${bug.id}: ${bug.state} → ${toState}. ` +
+                `Allowed from ${bug.state}: ${allowed.length > 0 ? allowed.join(', ') : 'none'}`
+            );
         }
 
-        const analysis = {
-            bugId: bug.id,
-            timestamp: new Date().toISOString(),
-            why1: null,
-            why2: null,
-            why3: null,
-            why4: null,
-            why5: null,
-            rootCause: null,
-            solutions: [],
-            impact: this.analyzeImpact(bug),
-            recommendations: []
-        };
+        const actor = context.actor || 'system';
+        const actorType = getActorType(actor);
+        if (!rule.actors.includes(actorType)) {
+            throw transitionError(`${bug.state} → ${toState} for ${bug.id} cannot be done by ${actorType} actor "${actor}", only by: ${rule.actors.join(', ')}`);
+        }
 
-        // Perform 5 Whys analysis based on bug type
-        switch (bug.category) {
-            case BUG_CATEGORIES.SECURITY:
-                analysis.why1 = "Security vulnerability detected";
-                analysis.why2 = "Input validation failed";
-                analysis.why3 = "Sanitization not implemented";
-                analysis.why4 = "Security best practices not followed";
-                analysis.why5 = "Lack of security training or code review";
-                analysis.rootCause = "Insufficient security practices in development";
-                break;
+        const missing = rule.requires.filter(field => !context[field] && !bug[field]);
+        if (missing.length > 0) {
+            throw transitionError(`${bug.state} → ${toState} for ${bug.id} requires: ${missing.join(', ')}`);
+        }
 
-            case BUG_CATEGORIES.PERFORMANCE:
-                analysis.why1 = "Performance degradation detected";
-                analysis.why2 = "Inefficient algorithm or query";
-                analysis.why3 = "No performance testing conducted";
-                analysis.why4 = "Performance requirements not defined";
-                analysis.why5 = "Performance not considered in design";
-                analysis.rootCause = "Performance considerations not integrated into development process";
-                break;
+        const problem = rule.check && rule.check(bug, context);
+        if (problem) {
+            throw transitionError(`${bug.state} → ${toState} for ${bug.id} refused: ${problem}`);
+        }
+    }
 
-            case BUG_CATEGORIES.FUNCTIONAL:
-                analysis.why1 = "Functionality not working as expected";
-                analysis.why2 = "Logic error in implementation";
-                analysis.why3 = "Requirements not properly understood";
-                analysis.why4 = "Testing did not cover this scenario";
-                analysis.why5 = "Insufficient requirements analysis";
-                analysis.rootCause = "Gap between requirements and implementation";
-                break;
+    // Validate and perform a state change, recording it in the history
+    applyTransition(bug, toState, context = {}) {
+        this.assertTransition(bug, toState, context);
+        const fromState = bug.state;
+        if (fromState === toState) return bug;
+
+        const now = new Date().toISOString();
+        const finished = [BUG_STATES.RESOLVED, BUG_STATES.CLOSED];
+        const reopening = finished.includes(fromState) && !finished.includes(toState);
+
+        if (reopening) {
+            // Keep the finished cycle for reference and start a fresh one
+            bug.previousCycles = bug.previousCycles || [];
+            bug.previousCycles.push({
+                testBaseline: bug.testBaseline || null,
+                fix: bug.fix || null,
+                validation: bug.validation || null,
+                deployment: bug.deployment || null,
+                resolution: bug.resolution || null,
+                resolvedAt: bug.resolvedAt || null,
+                reopenedAt: now,
+                reopenReason: context.reason
+            });
+            ['testBaseline', 'fix', 'validation', 'deployment', 'resolution', 'resolvedAt'].forEach(field => delete bug[field]);
+            bug.reopenCount = (bug.reopenCount || 0) + 1;
 
-            default:
-                analysis.why1 = "Bug detected in system";
-                analysis.why2 = "Error in code implementation";
-                analysis.why3 = "Testing did not catch the issue";
-                analysis.why4 = "Development process has gaps";
-                analysis.why5 = "Quality assurance process needs improvement";
-                analysis.rootCause = "Insufficient quality assurance processes";
+            // A new cycle gets new SLA due dates and drops the escalations
+            this.scheduleSla(bug, now);
+            bug.priority = this.priorityOf(bug);
+        }
+
+        bug.state = toState;
+        bug.lastUpdated = now;
+
+        this.addToHistory(bug, reopening ? 'bug_reopened' : 'state_changed', {
+            from: fromState,
+            to: toState,
+            reason: context.reason,
+            user: context.actor || 'system'
+        });
+
+        if (reopening) {
+            this.updateMetrics(bug, 'reopened');
+        }
+
+        return bug;
+    }
+
+    transitionBug(bugId, toState, options = {}) {
+        return this.mutate(() => {
+            const bug = this.findBug(bugId);
+            return this.applyTransition(bug, toState, { actor: options.actor, reason: options.reason });
+        });
+    }
+
+    reopenBug(bugId, reopenData) {
+        return this.transitionBug(bugId, BUG_STATES.ANALYZING, {
+            actor: reopenData.reopenedBy,
+            reason: reopenData.reason
+        });
+    }
+
+    addComment(bugId, comment) {
+        return this.mutate(() => {
+            const bug = this.findBug(bugId);
+
+            const newComment = {
+                id: this.generateCommentId(),
+                author: comment.author,
+                content: comment.content,
+                timestamp: new Date().toISOString(),
+                type: comment.type || 'general'
+            };
+
+            bug.comments.push(newComment);
+            bug.lastUpdated = new Date().toISOString();
+
+            this.addToHistory(bug, 'comment_added', { comment: newComment, user: comment.author });
+
+            return newComment;
+        });
+    }
+
+    /**
+     * Copy a file into the attachments store (see bug-attachments.js) and
+     * list it on the bug. A file the bug already has is not added twice.
+     */
+    attachFile(bugId, file, options = {}) {
+        checkAttachment(file, this.reload().findBug(bugId));
+        const stored = storeAttachment(this.dataDir, file);
+
+        return this.mutate(() => {
+            const bug = this.findBug(bugId);
+            bug.attachments = bug.attachments || [];
+            const existing = bug.attachments.find(item => item && item.sha256 === stored.sha256);
+            if (existing) {
+                const error = new Error(`${bug.id} already has this file as ${existing.id} (${existing.name})`);
+                error.code = 'ATTACHMENT_DUPLICATE';
+                throw error;
+            }
+            checkAttachment(file, bug);
+
+            const attachment = {
+                id: this.generateAttachmentId(),
+                name: options.name || path.basename(file),
+                ...stored,
+                addedBy: options.addedBy,
+                addedAt: new Date().toISOString()
+            };
+            bug.attachments.push(attachment);
+            bug.lastUpdated = attachment.addedAt;
+
+            this.addToHistory(bug, 'attachment_added', { attachment, user: options.addedBy });
+
+            return attachment;
+        });
+    }
+
+    generateAttachmentId() {
+        return `ATTACHMENT-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+    }
+
+    // Follow a bug; returns false when `watcher` already does
+    watchBug(bugId, watcher) {
+        if (!watcher) {
+            throw new Error('A watcher name is required');
         }
+        return this.mutate(() => {
+            const bug = this.findBug(bugId);
+            bug.watchers = bug.watchers || [];
+            if (bug.watchers.includes(watcher)) return false;
 
-        // Generate solutions based on root cause
-        analysis.solutions = this.generateSolutions(analysis.rootCause, bug.category);
-        analysis.recommendations = this.generateRecommendations(analysis.rootCause);
+            bug.watchers.push(watcher);
+            this.addToHistory(bug, 'watcher_added', { watcher, user: watcher });
+            return true;
+        });
+    }
 
-        // Update bug with analysis
-        bug.rootCauseAnalysis = analysis;
-        bug.state = BUG_STATES.ANALYZING;
+    unwatchBug(bugId, watcher) {
+        return this.mutate(() => {
+            const bug = this.findBug(bugId);
+            if (!(bug.watchers || []).includes(watcher)) return false;
 
-        this.saveBugs();
-        return analysis;
+            bug.watchers = bug.watchers.filter(name => name !== watcher);
+            this.addToHistory(bug, 'watcher_removed', { watcher, user: watcher });
+            return true;
+        });
+    }
+
+    /**
+     * Store the bug's GitHub issue link and last synced snapshot (see
+     * github-sync.js). Syncing is not a change of the bug, so lastUpdated
+     * stays as it is.
+     */
+    linkIssue(bugId, link) {
+        return this.mutate(() => {
+            const bug = this.findBug(bugId);
+            if (!bug.github || bug.github.url !== link.url) {
+                this.addToHistory(bug, 'issue_linked', { repository: link.repository, number: link.number, url: link.url });
+            }
+            bug.github = link;
+            return bug;
+        });
+    }
+
+    generateCommentId() {
+        return `COMMENT-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+    }
+
+    // Root cause analysis
+    /**
+     * Derive the 5-Whys chain from the bug's evidence (see root-cause.js).
+     * options.patterns are the analysis rule matches supplied by BugAnalyzer;
+     * options.analysis stores an already built (e.g. reviewed) chain instead.
+     */
+    buildRootCauseAnalysis(bug, options = {}) {
+        return analyzeBug(bug, { bugs: this.bugs, patterns: options.patterns });
+    }
+
+    analyzeRootCause(bugId, options = {}) {
+        return this.mutate(() => {
+            const bug = this.findBug(bugId);
+            const chain = options.analysis || this.buildRootCauseAnalysis(bug, options);
+
+            const analysis = {
+                bugId: bug.id,
+                timestamp: new Date().toISOString(),
+                ...chain,
+                solutions: [],
+                impact: this.analyzeImpact(bug),
+                recommendations: []
+            };
+
+            // Generate solutions based on root cause
+            analysis.solutions = this.generateSolutions(analysis.rootCauseKind, bug.category);
+            analysis.recommendations = this.generateRecommendations(analysis.rootCause);
+
+            // Update bug with analysis
+            bug.rootCauseAnalysis = analysis;
+            if (bug.state === BUG_STATES.DETECTED) {
+                this.applyTransition(bug, BUG_STATES.ANALYZING, { actor: analysis.reviewedBy || 'system' });
+            }
+            this.addToHistory(bug, 'root_cause_analyzed', {
+                rootCause: analysis.rootCause,
+                evidence: analysis.evidence.length,
+                user: analysis.reviewedBy || 'system'
+            });
+
+            return analysis;
+        });
     }
 
     analyzeImpact(bug) {
@@ -448,34 +1073,44 @@ class BugTracker {
         return "Low - No security implications";
     }
 
-    generateSolutions(rootCause, category) {
+    generateSolutions(rootCauseKind, category) {
         const solutions = [];
 
-        switch (rootCause) {
-            case "Insufficient security practices in development":
+        switch (rootCauseKind) {
+            case 'known_pattern':
+                solutions.push(
+                    "Apply the known fix from the service's analysis rules",
+                    "Add a test reproducing the failing case"
+                );
+                break;
+
+            case 'recent_change':
+                solutions.push(
+                    "Review the recent commits touching the failing code",
+                    "Revert or amend the change if it introduced the defect",
+                    "Add a test for the failing case to the change's test suite"
+                );
+                break;
+
+            case 'untested_path':
                 solutions.push(
-                    "Implement comprehensive input validation",
-                    "Add security scanning to CI/CD pipeline",
-                    "Conduct security training for developers",
-                    "Implement code review checklist for security"
+                    "Add test coverage for the failing code path",
+                    "Review similar code paths that are not covered"
                 );
                 break;
 
-            case "Performance considerations not integrated into development process":
+            case 'fix_did_not_hold':
+            case 'recurring':
                 solutions.push(
-                    "Add performance testing to development workflow",
-                    "Implement performance monitoring",
-                    "Optimize database queries",
-                    "Add caching strategies"
+                    "Write a regression test reproducing the failure before fixing it again",
+                    "Check why validation of the previous fix did not catch the failure"
                 );
                 break;
 
-            case "Gap between requirements and implementation":
+            case 'systemic':
                 solutions.push(
-                    "Improve requirements gathering process",
-                    "Add acceptance criteria to user stories",
-                    "Implement behavior-driven development",
-                    "Enhance testing coverage"
+                    "Fix the related bugs together at the shared code location",
+                    "Refactor the shared code location and add tests around it"
                 );
                 break;
 
@@ -488,6 +1123,12 @@ class BugTracker {
                 );
         }
 
+        if (category === BUG_CATEGORIES.SECURITY) {
+            solutions.push("Add security scanning to CI/CD pipeline");
+        } else if (category === BUG_CATEGORIES.PERFORMANCE) {
+            solutions.push("Add performance testing to development workflow");
+        }
+
         return solutions;
     }
 
@@ -504,35 +1145,89 @@ class BugTracker {
         return recommendations;
     }
 
+    /**
+     * Store the service's test results from before the fix (see
+     * test-baseline.js); validateFix compares the rerun against them.
+     */
+    recordTestBaseline(bugId, baseline, capturedBy = 'system') {
+        return this.mutate(() => {
+            const bug = this.findBug(bugId);
+            bug.testBaseline = { ...baseline, capturedBy };
+            bug.lastUpdated = new Date().toISOString();
+
+            this.addToHistory(bug, 'test_baseline_captured', {
+                total: baseline.total,
+                passed: baseline.passed,
+                failed: baseline.failed,
+                user: capturedBy
+            });
+
+            return bug.testBaseline;
+        });
+    }
+
     // Fix implementation
     implementFix(bugId, fixData) {
-        const bug = this.bugs.find(b => b.id === bugId);
-        if (!bug) {
-            throw new Error(`Bug ${bugId} not found`);
-        }
-
-        const fix = {
-            id: this.generateFixId(),
-            description: fixData.description,
-            implementation: fixData.implementation,
-            filesChanged: fixData.filesChanged || [],
-            testsAdded: fixData.testsAdded || [],
-            riskAssessment: fixData.riskAssessment,
-            rollbackPlan: fixData.rollbackPlan,
-            implementedBy: fixData.implementedBy,
-            implementedAt: new Date().toISOString(),
-            status: 'implemented'
-        };
+        return this.mutate(() => {
+            const bug = this.findBug(bugId);
+
+            const fix = {
+                id: this.generateFixId(),
+                description: fixData.description,
+                implementation: fixData.implementation,
+                filesChanged: fixData.filesChanged || [],
+                testsAdded: fixData.testsAdded || [],
+                validationCommands: fixData.validationCommands || [],
+                riskAssessment: fixData.riskAssessment,
+                rollbackPlan: fixData.rollbackPlan,
+                backup: fixData.backup || null,
+                git: fixData.git || null,
+                implementedBy: fixData.implementedBy,
+                implementedAt: new Date().toISOString(),
+                status: 'implemented'
+            };
+
+            this.assertTransition(bug, BUG_STATES.FIXING, { actor: fix.implementedBy, fix });
+
+            bug.fix = fix;
+            this.applyTransition(bug, BUG_STATES.FIXING, { actor: fix.implementedBy, fix });
+            if (fixData.implementedBy) {
+                this.applyAssignment(bug, fixData.implementedBy, { method: 'fix', actor: fix.implementedBy });
+            }
+
+            this.addToHistory(bug, 'fix_implemented', { fix });
+
+            return fix;
+        });
+    }
 
-        bug.fix = fix;
-        bug.state = BUG_STATES.FIXING;
-        bug.assignedTo = fixData.implementedBy;
+    /**
+     * Record that the files of the bug's fix were restored from its backup
+     * and send the bug back to fixing.
+     */
+    rollbackFix(bugId, rollbackData) {
+        return this.mutate(() => {
+            const bug = this.findBug(bugId);
+            if (!bug.fix) {
+                throw new Error(`Bug ${bugId} has no fix to roll back`);
+            }
 
-        this.addToHistory(bug, 'fix_implemented', { fix });
-        this.saveBugs();
-        this.saveHistory();
+            const context = { actor: rollbackData.rolledBackBy, reason: rollbackData.reason || 'Fix rolled back' };
+            this.assertTransition(bug, BUG_STATES.FIXING, context);
+
+            bug.fix.status = 'rolled_back';
+            bug.fix.rolledBackAt = new Date().toISOString();
+            this.addToHistory(bug, 'fix_rolled_back', {
+                fixId: bug.fix.id,
+                backup: bug.fix.backup,
+                files: rollbackData.files || [],
+                reason: context.reason,
+                user: context.actor || 'system'
+            });
+            this.applyTransition(bug, BUG_STATES.FIXING, context);
 
-        return fix;
+            return bug;
+        });
     }
 
     generateFixId() {
@@ -541,31 +1236,33 @@ class BugTracker {
 
     // Testing and validation
     validateFix(bugId, validationData) {
-        const bug = this.bugs.find(b => b.id === bugId);
-        if (!bug) {
-            throw new Error(`Bug ${bugId} not found`);
-        }
-
-        const validation = {
-            id: this.generateValidationId(),
-            testsRun: validationData.testsRun || [],
-            results: validationData.results,
-            performanceImpact: validationData.performanceImpact,
-            securityImpact: validationData.securityImpact,
-            regressionTests: validationData.regressionTests || [],
-            validatedBy: validationData.validatedBy,
-            validatedAt: new Date().toISOString(),
-            status: validationData.passed ? 'passed' : 'failed'
-        };
+        return this.mutate(() => {
+            const bug = this.findBug(bugId);
+
+            const validation = {
+                id: this.generateValidationId(),
+                testsRun: validationData.testsRun || [],
+                results: validationData.results,
+                performanceImpact: validationData.performanceImpact,
+                securityImpact: validationData.securityImpact,
+                regressionTests: validationData.regressionTests || [],
+                baselineCapturedAt: validationData.baselineCapturedAt || null,
+                validatedBy: validationData.validatedBy,
+                validatedAt: new Date().toISOString(),
+                status: validationData.passed ? 'passed' : 'failed'
+            };
 
-        bug.validation = validation;
-        bug.state = validationData.passed ? BUG_STATES.TESTING : BUG_STATES.FIXING;
+            const nextState = validationData.passed ? BUG_STATES.TESTING : BUG_STATES.FIXING;
+            const context = { actor: validation.validatedBy, validation };
+            this.assertTransition(bug, nextState, context);
 
-        this.addToHistory(bug, 'fix_validated', { validation });
-        this.saveBugs();
-        this.saveHistory();
+            bug.validation = validation;
+            this.applyTransition(bug, nextState, context);
 
-        return validation;
+            this.addToHistory(bug, 'fix_validated', { validation });
+
+            return validation;
+        });
     }
 
     generateValidationId() {
@@ -574,29 +1271,33 @@ class BugTracker {
 
     // Deployment
     deployFix(bugId, deploymentData) {
-        const bug = this.bugs.find(b => b.id === bugId);
-        if (!bug) {
-            throw new Error(`Bug ${bugId} not found`);
-        }
+        return this.mutate(() => {
+            const bug = this.findBug(bugId);
+
+            // The commit that ships the fix, from fix/<bugId> when apply-fix --branch made it
+            const fixGit = (bug.fix && bug.fix.git) || {};
+            const deployment = {
+                id: this.generateDeploymentId(),
+                environment: deploymentData.environment,
+                deploymentStrategy: deploymentData.strategy,
+                commit: deploymentData.commit || fixGit.commit || null,
+                branch: deploymentData.branch || fixGit.branch || null,
+                deployedBy: deploymentData.deployedBy,
+                deployedAt: new Date().toISOString(),
+                monitoring: deploymentData.monitoring || {},
+                status: 'deployed'
+            };
 
-        const deployment = {
-            id: this.generateDeploymentId(),
-            environment: deploymentData.environment,
-            deploymentStrategy: deploymentData.strategy,
-            deployedBy: deploymentData.deployedBy,
-            deployedAt: new Date().toISOString(),
-            monitoring: deploymentData.monitoring || {},
-            status: 'deployed'
-        };
+            const context = { actor: deployment.deployedBy, deployment };
+            this.assertTransition(bug, BUG_STATES.DEPLOYING, context);
 
-        bug.deployment = deployment;
-        bug.state = BUG_STATES.DEPLOYING;
+            bug.deployment = deployment;
+            this.applyTransition(bug, BUG_STATES.DEPLOYING, context);
 
-        this.addToHistory(bug, 'fix_deployed', { deployment });
-        this.saveBugs();
-        this.saveHistory();
+            this.addToHistory(bug, 'fix_deployed', { deployment });
 
-        return deployment;
+            return deployment;
+        });
     }
 
     generateDeploymentId() {
@@ -605,32 +1306,31 @@ class BugTracker {
 
     // Resolution
     resolveBug(bugId, resolutionData) {
-        const bug = this.bugs.find(b => b.id === bugId);
-        if (!bug) {
-            throw new Error(`Bug ${bugId} not found`);
-        }
+        return this.mutate(() => {
+            const bug = this.findBug(bugId);
+
+            const resolution = {
+                id: this.generateResolutionId(),
+                resolutionType: resolutionData.type, // 'fixed', 'wont_fix', 'duplicate', 'not_reproducible'
+                description: resolutionData.description,
+                lessonsLearned: resolutionData.lessonsLearned || [],
+                preventionMeasures: resolutionData.preventionMeasures || [],
+                resolvedBy: resolutionData.resolvedBy,
+                resolvedAt: new Date().toISOString()
+            };
 
-        const resolution = {
-            id: this.generateResolutionId(),
-            resolutionType: resolutionData.type, // 'fixed', 'wont_fix', 'duplicate', 'not_reproducible'
-            description: resolutionData.description,
-            lessonsLearned: resolutionData.lessonsLearned || [],
-            preventionMeasures: resolutionData.preventionMeasures || [],
-            resolvedBy: resolutionData.resolvedBy,
-            resolvedAt: new Date().toISOString()
-        };
+            const context = { actor: resolution.resolvedBy, resolution };
+            this.assertTransition(bug, BUG_STATES.RESOLVED, context);
 
-        bug.resolution = resolution;
-        bug.state = BUG_STATES.RESOLVED;
-        bug.resolvedAt = new Date().toISOString();
+            bug.resolution = resolution;
+            this.applyTransition(bug, BUG_STATES.RESOLVED, context);
+            bug.resolvedAt = resolution.resolvedAt;
 
-        this.addToHistory(bug, 'bug_resolved', { resolution });
-        this.updateMetrics(bug, 'resolved');
-        this.saveBugs();
-        this.saveHistory();
-        this.saveMetrics();
+            this.addToHistory(bug, 'bug_resolved', { resolution });
+            this.updateMetrics(bug, 'resolved');
 
-        return resolution;
+            return resolution;
+        });
     }
 
     generateResolutionId() {
@@ -705,6 +1405,155 @@ class BugTracker {
         this.metrics.bugTrend = this.metrics.bugTrend.slice(-30);
     }
 
+    // SLA (see sla.js)
+    getSlaConfig() {
+        if (!this.slaConfig) {
+            this.slaConfig = loadSlaConfig(this.slaFile, {
+                severities: Object.values(SEVERITY_LEVELS),
+                categories: Object.values(BUG_CATEGORIES)
+            });
+        }
+        return this.slaConfig;
+    }
+
+    /**
+     * Set the bug's SLA due dates from the policy matching its severity and
+     * category. With `startedAt` a new cycle starts there (creation,
+     * reopening); without, the current cycle is kept and only the policy
+     * changes (severity or category changed).
+     */
+    scheduleSla(bug, startedAt) {
+        const previous = startedAt ? null : bug.sla;
+        const policy = matchPolicy(this.getSlaConfig().policies, bug);
+        if (!policy) {
+            bug.sla = null;
+            return;
+        }
+        bug.sla = {
+            ...dueDates(policy, startedAt || (previous ? previous.startedAt : bug.detectedAt)),
+            escalations: previous ? previous.escalations : []
+        };
+    }
+
+    // First response of the cycle: a person moved the bug out of detected, commented or reopened it
+    firstResponseAt(bug, since) {
+        const response = (bug.history || []).find(entry => {
+            if (entry.timestamp < since) return false;
+            if (entry.action === 'bug_reopened') return true;
+            if (entry.action === 'state_changed') {
+                return entry.details.from === BUG_STATES.DETECTED && getActorType(entry.user) === ACTOR_TYPES.HUMAN;
+            }
+            return entry.action === 'comment_added' && getActorType(entry.details.comment && entry.details.comment.author) === ACTOR_TYPES.HUMAN;
+        });
+        return response ? response.timestamp : null;
+    }
+
+    /**
+     * SLA state of a bug: policy, due dates, escalations and the response
+     * and resolution targets (status met, breached, at-risk or on-track).
+     * Bugs filed before SLA policies existed are measured from their
+     * detection. null when no policy applies.
+     */
+    getSlaStatus(bug, now = Date.now()) {
+        let sla = bug.sla;
+        if (sla === undefined) {
+            const policy = matchPolicy(this.getSlaConfig().policies, bug);
+            sla = policy ? { ...dueDates(policy, bug.detectedAt), escalations: [] } : null;
+        }
+        if (!sla) return null;
+
+        const { atRisk } = this.getSlaConfig();
+        const closed = bug.state === BUG_STATES.CLOSED && !bug.resolvedAt ? bug.lastUpdated : null;
+        const respondedAt = this.firstResponseAt(bug, sla.startedAt) || bug.resolvedAt || closed;
+        return {
+            ...sla,
+            response: targetStatus(sla.startedAt, sla.respondBy, respondedAt, now, atRisk),
+            resolution: targetStatus(sla.startedAt, sla.resolveBy, bug.resolvedAt || closed, now, atRisk)
+        };
+    }
+
+    /**
+     * Raise the priority of open bugs that missed a target, once per target
+     * and cycle, and record the escalation in the history. Returns the
+     * escalations made.
+     */
+    escalateSlaBreaches(now = Date.now()) {
+        return this.mutate(() => {
+            const { escalationStep } = this.getSlaConfig();
+            const escalations = [];
+
+            this.bugs.filter(bug => this.isOpen(bug)).forEach(bug => {
+                const status = this.getSlaStatus(bug, now);
+                if (!status) return;
+
+                ['response', 'resolution']
+                    .filter(target => status[target].status === 'breached')
+                    .filter(target => !status.escalations.some(escalation => escalation.target === target))
+                    .forEach(target => {
+                        if (!bug.sla) {
+                            const { response, resolution, ...sla } = status;
+                            bug.sla = sla;
+                        }
+                        const escalation = {
+                            target,
+                            policy: status.policy,
+                            dueAt: status[target].dueAt,
+                            escalatedAt: new Date(now).toISOString(),
+                            from: bug.priority,
+                            to: bug.priority + escalationStep
+                        };
+                        bug.sla.escalations.push(escalation);
+                        bug.priority = escalation.to;
+                        bug.lastUpdated = escalation.escalatedAt;
+                        this.addToHistory(bug, 'sla_escalated', { ...escalation, user: 'system' });
+                        escalations.push({ bugId: bug.id, ...escalation });
+                    });
+            });
+
+            return escalations;
+        });
+    }
+
+    /**
+     * Share of targets met among those decided (met, or breached), overall
+     * and per severity, plus the open bugs breached or at risk now.
+     */
+    getSlaCompliance(bugs = this.bugs, now = Date.now()) {
+        const targets = ['response', 'resolution'];
+        const count = () => Object.fromEntries(targets.map(target => [target, { met: 0, breached: 0 }]));
+        const overall = count();
+        const bySeverity = {};
+        let openBreached = 0;
+        let openAtRisk = 0;
+
+        bugs.forEach(bug => {
+            const status = this.getSlaStatus(bug, now);
+            if (!status) return;
+            bySeverity[bug.severity] = bySeverity[bug.severity] || count();
+            targets.forEach(target => {
+                const result = status[target].status;
+                if (result === 'met' || result === 'breached') {
+                    overall[target][result]++;
+                    bySeverity[bug.severity][target][result]++;
+                }
+            });
+            if (this.isOpen(bug)) {
+                const states = targets.map(target => status[target].status);
+                if (states.includes('breached')) openBreached++;
+                else if (states.includes('at-risk')) openAtRisk++;
+            }
+        });
+
+        const rate = ({ met, breached }) => (met + breached > 0 ? (met / (met + breached) * 100).toFixed(2) + '%' : 'n/a');
+        const withRates = (counts) => Object.fromEntries(targets.map(target => [target, { ...counts[target], compliance: rate(counts[target]) }]));
+        return {
+            ...withRates(overall),
+            bySeverity: Object.fromEntries(Object.entries(bySeverity).map(([severity, counts]) => [severity, withRates(counts)])),
+            openBreached,
+            openAtRisk
+        };
+    }
+
     // Reporting
     generateReport(reportType = 'summary') {
         const report = {
@@ -731,9 +1580,14 @@ class BugTracker {
             trends: {
                 bugTrend: this.metrics.bugTrend,
                 averageResolutionTime: this.metrics.averageResolutionTime
-            }
+            },
+            sla: this.getSlaCompliance()
         };
 
+        if (reportType === 'workload') {
+            report.workload = this.getWorkload();
+        }
+
         if (reportType === 'detailed') {
             report.bugs = this.bugs.map(b => ({
                 id: b.id,
@@ -757,7 +1611,7 @@ class BugTracker {
             filename = `bug-report-${report.type}-${timestamp}.json`;
         }
 
-        const filepath = path.join(CONFIG.reportsDir, filename);
+        const filepath = path.join(this.reportsDir, filename);
         fs.writeFileSync(filepath, JSON.stringify(report, null, 2));
         return filepath;
     }
@@ -796,92 +1650,269 @@ class BugTracker {
 
     // Cleanup
     cleanupOldBugs(daysOld = 365) {
-        const cutoffDate = new Date();
-        cutoffDate.setDate(cutoffDate.getDate() - daysOld);
+        return this.mutate(() => {
+            const cutoffDate = new Date();
+            cutoffDate.setDate(cutoffDate.getDate() - daysOld);
 
-        const oldBugs = this.bugs.filter(b => {
-            const bugDate = new Date(b.detectedAt);
-            return bugDate < cutoffDate && b.state === BUG_STATES.RESOLVED;
-        });
+            const oldBugs = this.bugs.filter(b => {
+                const bugDate = new Date(b.detectedAt);
+                return bugDate < cutoffDate && b.state === BUG_STATES.RESOLVED;
+            });
 
-        oldBugs.forEach(bug => {
-            bug.state = BUG_STATES.CLOSED;
-            this.addToHistory(bug, 'auto_closed', { reason: 'age' });
-        });
+            oldBugs.forEach(bug => {
+                this.applyTransition(bug, BUG_STATES.CLOSED, { actor: 'system', reason: 'age' });
+                this.addToHistory(bug, 'auto_closed', { reason: 'age' });
+            });
 
-        this.saveBugs();
-        this.saveHistory();
-        return oldBugs.length;
+            return oldBugs.length;
+        });
     }
 
     // Export and import
-    exportBugs(format = 'json') {
-        switch (format) {
-            case 'json':
-                return JSON.stringify(this.bugs, null, 2);
-            case 'csv':
-                return this.convertToCSV(this.bugs);
-            default:
-                throw new Error(`Unsupported format: ${format}`);
+
+    /**
+     * Serialize bugs as json, ndjson, csv, markdown or sarif (see
+     * bug-formats.js). options.criteria narrows the bugs as searchBugs does,
+     * options.columns picks the csv/markdown columns. SARIF only carries open
+     * security bugs.
+     */
+    exportBugs(format = 'json', options = {}) {
+        let bugs = options.criteria ? this.searchBugs(options.criteria) : this.bugs;
+        if (format === 'sarif') {
+            bugs = bugs.filter(bug => bug.category === BUG_CATEGORIES.SECURITY && this.isOpen(bug));
         }
+        return formatBugs(bugs, format, {
+            columns: options.columns,
+            tool: { name: 'nydart-bug-tracker', version: require('../package.json').version }
+        });
     }
 
-    convertToCSV(bugs) {
-        const headers = ['id', 'title', 'service', 'severity', 'category', 'state', 'detectedAt', 'resolvedAt', 'priority'];
-        const csv = [headers.join(',')];
+    /**
+     * Import json, ndjson or csv. Records with an id are restored as they are
+     * (state, comments and history included) and skipped when that id exists,
+     * unless options.replace; records without one are created as new bugs.
+     * Returns { processed, imported, created, replaced, skipped }.
+     */
+    importBugs(data, format = 'json', options = {}) {
+        const records = parseBugs(data, format);
+        records.forEach((record, index) => {
+            if (!record || typeof record !== 'object' || Array.isArray(record)) {
+                throw new Error(`Record ${index + 1} is not an object`);
+            }
+            if (!record.title) {
+                throw new Error(`Record ${index + 1} has no title`);
+            }
+            if (record.state && !Object.values(BUG_STATES).includes(record.state)) {
+                throw new Error(`Record ${index + 1} has an unknown state: ${record.state}`);
+            }
+        });
 
-        bugs.forEach(bug => {
-            const row = headers.map(header => {
-                const value = bug[header] || '';
-                return `"${value}"`;
+        return this.mutate(() => {
+            const summary = { processed: records.length, imported: 0, created: 0, replaced: 0, skipped: [] };
+
+            records.forEach(record => {
+                if (!record.id) {
+                    this.createBug(record);
+                    summary.created++;
+                    summary.imported++;
+                    return;
+                }
+
+                const position = this.bugs.findIndex(b => b.id === record.id);
+                if (position !== -1 && !options.replace) {
+                    summary.skipped.push(record.id);
+                    return;
+                }
+
+                const bug = this.restoreBug(record);
+                const replaced = position !== -1;
+                if (replaced) {
+                    this.bugs[position] = bug;
+                    summary.replaced++;
+                } else {
+                    this.enforceBugLimit();
+                    this.bugs.push(bug);
+                }
+
+                // The global history is append-only (the eventlog adapter relies on it):
+                // a replaced bug's old entries stay, and the import entry marks the switch
+                const known = new Set(this.history.map(entry => entry.id));
+                this.history.push(...bug.history.filter(entry => entry.bugId === bug.id && !known.has(entry.id)));
+                this.addToHistory(bug, 'imported', { format, replaced, user: options.user });
+                summary.imported++;
             });
-            csv.push(row.join(','));
+
+            if (summary.imported > 0) {
+                this.updateMetrics(null, 'import');
+            }
+            return summary;
         });
+    }
 
-        return csv.join('\n');
+    // An exported record as a bug, filling what older exports or CSV leave out
+    restoreBug(record) {
+        const now = new Date().toISOString();
+        const bug = {
+            ...record,
+            state: record.state || BUG_STATES.DETECTED,
+            detectedAt: record.detectedAt || now,
+            priority: record.priority || this.calculatePriority(record.severity, record.category),
+            tags: record.tags || [],
+            attachments: record.attachments || [],
+            occurrences: record.occurrences || 1,
+            comments: record.comments || [],
+            history: (record.history || []).map(entry => ({ ...entry, bugId: entry.bugId || record.id }))
+        };
+        bug.fingerprint = record.fingerprint || computeFingerprint(bug);
+        return bug;
     }
+}
 
-    importBugs(data, format = 'json') {
-        let bugs;
-        switch (format) {
-            case 'json':
-                bugs = JSON.parse(data);
-                break;
-            case 'csv':
-                bugs = this.parseCSV(data);
-                break;
-            default:
-                throw new Error(`Unsupported format: ${format}`);
-        }
+// CLI interface
+const CLI_ACTOR = process.env.BUG_ACTOR || process.env.USER || 'cli';
 
-        bugs.forEach(bugData => {
-            if (!this.bugs.find(b => b.id === bugData.id)) {
-                this.createBug(bugData);
-            }
-        });
+const getOption = (args, name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+};
 
-        return bugs.length;
+// One line per history entry for `show`
+const describeHistory = (entry) => {
+    const details = entry.details || {};
+    switch (entry.action) {
+        case 'state_changed':
+        case 'bug_reopened':
+            return `${details.from} → ${details.to}${details.reason ? ` (${details.reason})` : ''}`;
+        case 'assigned':
+        case 'reassigned':
+        case 'unassigned':
+            return `${details.from || '-'} → ${details.to || '-'} (${details.method}${details.reason ? `, ${details.reason}` : ''})`;
+        case 'comment_added':
+            return `comment by ${details.comment ? details.comment.author : 'unknown'}`;
+        case 'attachment_added':
+            return details.attachment ? details.attachment.name : '';
+        case 'watcher_added':
+        case 'watcher_removed':
+            return details.watcher;
+        case 'sla_escalated':
+            return `${details.target} due ${details.dueAt} missed, priority ${details.from} → ${details.to}`;
+        case 'fix_implemented':
+            return details.fix ? details.fix.description : '';
+        case 'fix_validated':
+            return details.validation ? details.validation.status : '';
+        case 'fix_deployed':
+            return details.deployment ? `${details.deployment.environment || ''} ${details.deployment.commit || ''}`.trim() : '';
+        case 'bug_resolved':
+            return details.resolution ? details.resolution.resolutionType : '';
+        case 'updated':
+            return Object.keys(details).filter(key => key !== 'user').join(', ');
+        default:
+            return '';
     }
+};
 
-    parseCSV(csvData) {
-        const lines = csvData.split('\n');
-        const headers = lines[0].split(',').map(h => h.replace(/"/g, ''));
-        const bugs = [];
+// The whole bug as text: fields, records, attachments, comments and timeline
+const formatBug = (tracker, bug) => {
+    const lines = [];
+    const section = (title) => lines.push('', title, '-'.repeat(title.length));
+    const field = (label, value) => {
+        if (value !== undefined && value !== null && value !== '') lines.push(`${`${label}:`.padEnd(14)}${value}`);
+    };
+
+    lines.push(`${bug.id}  ${bug.title}`, '='.repeat(Math.min(`${bug.id}  ${bug.title}`.length, 80)));
+    field('State', bug.state);
+    field('Severity', `${bug.severity} (${bug.category}), priority ${bug.priority}`);
+    field('Service', bug.component ? `${bug.service} / ${bug.component}` : bug.service);
+    field('Assigned to', bug.assignedTo ? `${bug.assignedTo}${bug.assignment ? ` (${bug.assignment.method})` : ''}` : 'nobody');
+    field('Watchers', (bug.watchers || []).join(', '));
+    field('Detected', `${bug.detectedAt} by ${bug.detectedBy}${(bug.occurrences || 1) > 1 ? `, seen ${bug.occurrences} times (last ${bug.lastSeenAt})` : ''}`);
+    field('Updated', bug.lastUpdated);
+    field('Resolved', bug.resolvedAt);
+    field('Reopened', bug.reopenCount ? `${bug.reopenCount} time(s)` : null);
+    field('Tags', (bug.tags || []).join(', '));
+    field('Test case', bug.testCase);
+    if (bug.codeLocation) {
+        field('Location', `${bug.codeLocation.file}:${bug.codeLocation.line}${bug.codeLocation.function ? ` (${bug.codeLocation.function})` : ''}`);
+    }
+    field('GitHub', bug.github ? bug.github.url : null);
 
-        for (let i = 1; i < lines.length; i++) {
-            const values = lines[i].split(',').map(v => v.replace(/"/g, ''));
-            const bug = {};
-            headers.forEach((header, index) => {
-                bug[header] = values[index];
-            });
-            bugs.push(bug);
-        }
+    const sla = tracker.getSlaStatus(bug);
+    if (sla) {
+        const target = (result) => `${result.status} (due ${result.dueAt}${result.doneAt ? `, done ${result.doneAt}` : ''})`;
+        field('SLA', `${sla.policy}: response ${target(sla.response)}, resolution ${target(sla.resolution)}`);
+    }
 
-        return bugs;
+    if (bug.description) {
+        section('Description');
+        lines.push(bug.description);
+    }
+    if (bug.errorMessage || bug.stackTrace) {
+        section('Error');
+        if (bug.errorMessage) lines.push(bug.errorMessage);
+        if (bug.stackTrace) lines.push(...String(bug.stackTrace).split('\n').slice(0, 15));
     }
-}
 
-// CLI interface
+    if (bug.fix) {
+        section('Fix');
+        field('Fix', `${bug.fix.id} (${bug.fix.status}) by ${bug.fix.implementedBy} at ${bug.fix.implementedAt}`);
+        field('Description', bug.fix.description);
+        field('Files', (bug.fix.filesChanged || []).join(', '));
+        field('Tests added', (bug.fix.testsAdded || []).join(', '));
+        if (bug.fix.git) field('Commit', `${bug.fix.git.commit} on ${bug.fix.git.branch}`);
+    }
+    if (bug.validation) {
+        section('Validation');
+        field('Validation', `${bug.validation.id} ${bug.validation.status} by ${bug.validation.validatedBy} at ${bug.validation.validatedAt}`);
+        field('Tests run', (bug.validation.testsRun || []).join(', '));
+    }
+    if (bug.deployment) {
+        section('Deployment');
+        field('Deployment', `${bug.deployment.id} ${bug.deployment.status} by ${bug.deployment.deployedBy} at ${bug.deployment.deployedAt}`);
+        field('Environment', bug.deployment.environment);
+        field('Strategy', bug.deployment.deploymentStrategy);
+        field('Commit', bug.deployment.commit ? `${bug.deployment.commit}${bug.deployment.branch ? ` (${bug.deployment.branch})` : ''}` : null);
+    }
+    if (bug.resolution) {
+        section('Resolution');
+        field('Resolution', `${bug.resolution.resolutionType} by ${bug.resolution.resolvedBy} at ${bug.resolution.resolvedAt}`);
+        field('Description', bug.resolution.description);
+    }
+    if (bug.previousCycles && bug.previousCycles.length > 0) {
+        section(`Previous cycles (${bug.previousCycles.length})`);
+        bug.previousCycles.forEach(cycle => {
+            lines.push(`  reopened ${cycle.reopenedAt}: ${cycle.reopenReason || ''}` +
+                `${cycle.resolution ? ` (was ${cycle.resolution.resolutionType} at ${cycle.resolvedAt})` : ''}`);
+        });
+    }
+
+    const attachments = bug.attachments || [];
+    if (attachments.length > 0) {
+        section(`Attachments (${attachments.length})`);
+        attachments.forEach(item => {
+            if (typeof item === 'string') {
+                lines.push(`  ${item}`);
+                return;
+            }
+            lines.push(`  ${item.id}  ${item.name}  ${formatSize(item.size)}, ${item.contentType}, by ${item.addedBy} at ${item.addedAt}`);
+            lines.push(`    ${attachmentPath(tracker.dataDir, item.sha256)}`);
+        });
+    }
+
+    const comments = bug.comments || [];
+    section(`Comments (${comments.length})`);
+    comments.forEach(comment => {
+        lines.push(`  [${comment.timestamp}] ${comment.author || 'unknown'}${comment.type && comment.type !== 'general' ? ` (${comment.type})` : ''}:`);
+        String(comment.content || '').split('\n').forEach(line => lines.push(`    ${line}`));
+    });
+
+    section('Timeline');
+    [...(bug.history || [])].sort((a, b) => a.timestamp.localeCompare(b.timestamp)).forEach(entry => {
+        lines.push(`  ${entry.timestamp}  ${entry.action.padEnd(20)} ${String(entry.user || 'system').padEnd(16)} ${describeHistory(entry)}`.trimEnd());
+    });
+
+    return lines.join('\n');
+};
+
 const main = () => {
     const tracker = new BugTracker();
     const args = process.argv.slice(2);
@@ -910,7 +1941,8 @@ const main = () => {
                 title: b.title,
                 service: b.service,
                 severity: b.severity,
-                state: b.state
+                state: b.state,
+                occurrences: b.occurrences || 1
             })));
             break;
 
@@ -924,7 +1956,7 @@ const main = () => {
         case 'analyze':
             const bugId = args[1];
             const analysis = tracker.analyzeRootCause(bugId);
-            console.log('Root cause analysis:', analysis);
+            console.log(formatAnalysis(analysis));
             break;
 
         case 'resolve':
@@ -932,25 +1964,355 @@ const main = () => {
             const resolutionData = {
                 type: args[2] || 'fixed',
                 description: args[3] || 'Bug fixed',
-                resolvedBy: args[4] || 'system'
+                resolvedBy: args[4] || CLI_ACTOR
             };
             const resolution = tracker.resolveBug(resolveBugId, resolutionData);
             console.log('Bug resolved:', resolution.id);
             break;
 
+        case 'update': {
+            const updateBugId = args[1];
+            const updates = {};
+            ['severity', 'category', 'title', 'component'].forEach(field => {
+                const value = getOption(args, `--${field}`);
+                if (value !== undefined) updates[field] = value;
+            });
+            if (!updateBugId || Object.keys(updates).length === 0) {
+                console.error('Usage: update <bugId> [--severity <level>] [--category <category>] [--title <text>] [--component <name>] [--by <actor>]');
+                process.exit(1);
+            }
+            if (updates.severity && !Object.values(SEVERITY_LEVELS).includes(updates.severity)) {
+                throw new Error(`Unknown severity "${updates.severity}". Valid: ${Object.values(SEVERITY_LEVELS).join(', ')}`);
+            }
+            if (updates.category && !Object.values(BUG_CATEGORIES).includes(updates.category)) {
+                throw new Error(`Unknown category "${updates.category}". Valid: ${Object.values(BUG_CATEGORIES).join(', ')}`);
+            }
+            const updated = tracker.updateBug(updateBugId, updates, { actor: getOption(args, '--by') || CLI_ACTOR });
+            console.log(`Bug ${updated.id} updated: ${Object.entries(updates).map(([field, value]) => `${field}=${value}`).join(', ')}`);
+            break;
+        }
+
+        case 'transition': {
+            const [, transitionBugId, targetState] = args;
+            if (!transitionBugId) {
+                console.error('Usage: transition <bugId> [state] [--by <actor>] [--reason <text>]');
+                process.exit(1);
+            }
+            if (!targetState) {
+                const current = tracker.findBug(transitionBugId);
+                const allowed = tracker.getAllowedTransitions(current);
+                console.log(`${current.id} is ${current.state}. Allowed next states: ${allowed.join(', ') || 'none'}`);
+                break;
+            }
+            const moved = tracker.transitionBug(transitionBugId, targetState, {
+                actor: getOption(args, '--by') || CLI_ACTOR,
+                reason: getOption(args, '--reason')
+            });
+            console.log(`Bug ${moved.id} is now ${moved.state}`);
+            break;
+        }
+
+        case 'reopen': {
+            const reopened = tracker.reopenBug(args[1], {
+                reason: args[2],
+                reopenedBy: args[3] || CLI_ACTOR
+            });
+            console.log(`Bug ${reopened.id} reopened (${reopened.state}, reopened ${reopened.reopenCount} time(s))`);
+            break;
+        }
+
+        case 'show': {
+            if (!args[1]) {
+                console.error('Usage: show <bugId>');
+                process.exit(1);
+            }
+            console.log(formatBug(tracker, tracker.findBug(args[1])));
+            break;
+        }
+
+        case 'comment': {
+            const [, commentBugId, text] = args;
+            if (!commentBugId || !text) {
+                console.error('Usage: comment <bugId> <text|-> [--type <type>] [--by <author>]');
+                process.exit(1);
+            }
+            // "-" reads the comment from stdin, for longer notes and pasted logs
+            const content = text === '-' ? fs.readFileSync(0, 'utf8').trim() : text;
+            if (!content) {
+                throw new Error('The comment is empty');
+            }
+            const added = tracker.addComment(commentBugId, {
+                author: getOption(args, '--by') || CLI_ACTOR,
+                content,
+                type: getOption(args, '--type')
+            });
+            console.log(`Comment ${added.id} added to ${commentBugId}`);
+            break;
+        }
+
+        case 'comments': {
+            if (!args[1]) {
+                console.error('Usage: comments <bugId>');
+                process.exit(1);
+            }
+            const comments = tracker.findBug(args[1]).comments || [];
+            if (comments.length === 0) {
+                console.log(`No comments on ${args[1]}`);
+                break;
+            }
+            comments.forEach(comment => {
+                console.log(`[${comment.timestamp}] ${comment.author || 'unknown'}${comment.type && comment.type !== 'general' ? ` (${comment.type})` : ''} ${comment.id}`);
+                console.log(`${comment.content}\n`);
+            });
+            break;
+        }
+
+        case 'attach': {
+            const [, attachBugId, ...files] = args;
+            const attachFiles = files.filter((file, index) => !file.startsWith('--') && files[index - 1] !== '--by' && files[index - 1] !== '--name');
+            if (!attachBugId || attachFiles.length === 0) {
+                console.error('Usage: attach <bugId> <file...> [--name <name>] [--by <actor>]');
+                process.exit(1);
+            }
+            if (getOption(args, '--name') && attachFiles.length > 1) {
+                throw new Error('--name only works with a single file');
+            }
+            // Unreadable or oversized files stop the command before anything is attached
+            attachFiles.forEach(file => checkAttachment(file));
+            attachFiles.forEach(file => {
+                let attachment;
+                try {
+                    attachment = tracker.attachFile(attachBugId, file, {
+                        name: getOption(args, '--name'),
+                        addedBy: getOption(args, '--by') || CLI_ACTOR
+                    });
+                } catch (error) {
+                    if (error.code !== 'ATTACHMENT_DUPLICATE') throw error;
+                    console.warn(`⚠️  Skipped ${file}: ${error.message}`);
+                    return;
+                }
+                console.log(`Attached ${attachment.name} to ${attachBugId} as ${attachment.id} (${formatSize(attachment.size)}, sha256 ${attachment.sha256.slice(0, 12)})`);
+            });
+            break;
+        }
+
+        case 'watch':
+        case 'unwatch': {
+            const [, watchBugId, watcher = CLI_ACTOR] = args;
+            if (!watchBugId) {
+                console.error(`Usage: ${command} <bugId> [person]`);
+                process.exit(1);
+            }
+            const changed = command === 'watch' ? tracker.watchBug(watchBugId, watcher) : tracker.unwatchBug(watchBugId, watcher);
+            console.log(changed
+                ? `${watcher} ${command === 'watch' ? 'now watches' : 'no longer watches'} ${watchBugId}`
+                : `${watcher} ${command === 'watch' ? 'already watches' : 'was not watching'} ${watchBugId}`);
+            break;
+        }
+
+        case 'assign': {
+            const [, assignBugId, assignee] = args;
+            if (!assignBugId || !assignee || assignee.startsWith('--')) {
+                console.error('Usage: assign <bugId> <person> [--by <actor>] [--reason <text>]');
+                process.exit(1);
+            }
+            const assigned = tracker.assignBug(assignBugId, assignee, { actor: getOption(args, '--by') || CLI_ACTOR, reason: getOption(args, '--reason') });
+            console.log(`Bug ${assigned.id} assigned to ${assigned.assignedTo}`);
+            break;
+        }
+
+        case 'unassign': {
+            if (!args[1]) {
+                console.error('Usage: unassign <bugId> [--by <actor>] [--reason <text>]');
+                process.exit(1);
+            }
+            const unassigned = tracker.unassignBug(args[1], { actor: getOption(args, '--by') || CLI_ACTOR, reason: getOption(args, '--reason') });
+            console.log(`Bug ${unassigned.id} is unassigned`);
+            break;
+        }
+
+        case 'mine': {
+            // CODEOWNERS names people as @login, BUG_ACTOR usually without the @
+            const me = (getOption(args, '--as') || CLI_ACTOR).replace(/^@/, '');
+            const mine = tracker.bugs
+                .filter(b => b.assignedTo && b.assignedTo.replace(/^@/, '') === me)
+                .filter(b => args.includes('--all') || tracker.isOpen(b))
+                .sort((a, b) => b.priority - a.priority);
+            if (mine.length === 0) {
+                console.log(`No ${args.includes('--all') ? '' : 'open '}bugs assigned to ${me}`);
+                break;
+            }
+            console.table(mine.map(b => ({
+                id: b.id,
+                title: b.title,
+                service: b.service,
+                severity: b.severity,
+                state: b.state,
+                priority: b.priority
+            })));
+            break;
+        }
+
+        case 'sla': {
+            const slaCommand = args[1] && !args[1].startsWith('--') ? args[1] : 'list';
+
+            if (slaCommand === 'policies') {
+                const slaConfig = tracker.getSlaConfig();
+                console.log(`SLA policies from ${slaConfig.file} (at risk after ${slaConfig.atRisk * 100}% of the time, +${slaConfig.escalationStep} priority per breach)`);
+                console.table(slaConfig.policies.map(policy => ({
+                    policy: policy.name,
+                    severity: policy.severity || '*',
+                    category: policy.category || '*',
+                    respondWithin: policy.respondWithin,
+                    resolveWithin: policy.resolveWithin
+                })));
+                break;
+            }
+
+            if (slaCommand === 'escalate') {
+                const escalations = tracker.escalateSlaBreaches();
+                escalations.forEach(escalation => {
+                    console.log(`${escalation.bugId}: ${escalation.target} due ${escalation.dueAt} missed, priority ${escalation.from} -> ${escalation.to}`);
+                });
+                console.log(`Escalated ${escalations.length} SLA breach(es)`);
+                break;
+            }
+
+            if (slaCommand !== 'list') {
+                console.error('Usage: sla [list] [--service <name>] [--all] | sla escalate | sla policies');
+                process.exit(1);
+            }
+            const now = Date.now();
+            const rows = [];
+            tracker.searchBugs(getOption(args, '--service') ? { service: getOption(args, '--service') } : {})
+                .filter(b => tracker.isOpen(b))
+                .forEach(b => {
+                    const status = tracker.getSlaStatus(b, now);
+                    if (!status) return;
+                    ['response', 'resolution'].forEach(target => {
+                        const result = status[target];
+                        if (!args.includes('--all') && !['breached', 'at-risk'].includes(result.status)) return;
+                        if (result.doneAt) return;
+                        rows.push({
+                            id: b.id,
+                            title: b.title,
+                            severity: b.severity,
+                            policy: status.policy,
+                            target,
+                            status: result.status,
+                            due: result.dueAt,
+                            left: formatDuration(result.remainingMs),
+                            priority: b.priority
+                        });
+                    });
+                });
+            const order = { breached: 0, 'at-risk': 1, 'on-track': 2 };
+            rows.sort((a, b) => order[a.status] - order[b.status] || new Date(a.due) - new Date(b.due));
+            if (rows.length === 0) {
+                console.log('No open bug is breaching or at risk of breaching its SLA');
+                break;
+            }
+            console.table(rows);
+            break;
+        }
+
+        case 'workload': {
+            const workload = tracker.getWorkload(args[1] ? { service: args[1] } : {});
+            if (workload.length === 0) {
+                console.log('No open bugs');
+                break;
+            }
+            console.table(workload.map(entry => ({
+                assignee: entry.assignee || '(unassigned)',
+                openBugs: entry.openBugs,
+                load: entry.load,
+                ...entry.bySeverity,
+                oldest: entry.oldestDetectedAt ? entry.oldestDetectedAt.split('T')[0] : ''
+            })));
+            break;
+        }
+
         case 'cleanup':
             const daysOld = parseInt(args[1]) || 365;
             const cleanedCount = tracker.cleanupOldBugs(daysOld);
             console.log(`Cleaned up ${cleanedCount} old bugs`);
             break;
 
-        case 'export':
-            const format = args[1] || 'json';
-            const exportData = tracker.exportBugs(format);
-            const exportFile = `bugs-export-${Date.now()}.${format}`;
-            fs.writeFileSync(exportFile, exportData);
-            console.log('Bugs exported to:', exportFile);
+        case 'export': {
+            const format = args[1] && !args[1].startsWith('--') ? args[1] : 'json';
+            const exportCriteria = {};
+            ['service', 'severity', 'category', 'state'].forEach(field => {
+                const value = getOption(args, `--${field}`);
+                if (value) exportCriteria[field] = value;
+            });
+            const exportData = tracker.exportBugs(format, {
+                columns: getOption(args, '--columns'),
+                criteria: Object.keys(exportCriteria).length > 0 ? exportCriteria : null
+            });
+            const exportFile = getOption(args, '--out') || `bugs-export-${Date.now()}.${EXTENSIONS[format]}`;
+            if (exportFile === '-') {
+                process.stdout.write(exportData);
+            } else {
+                fs.writeFileSync(exportFile, exportData);
+                console.log('Bugs exported to:', exportFile);
+            }
+            break;
+        }
+
+        case 'import': {
+            const importFile = args[1];
+            if (!importFile) {
+                console.error('Usage: import <file> [format] [--replace]');
+                process.exit(1);
+            }
+            const format = args[2] && !args[2].startsWith('--') ? args[2] : formatFromFile(importFile);
+            if (!format) {
+                console.error(`Cannot tell the format of ${importFile}; pass one of ${IMPORT_FORMATS.join(', ')}`);
+                process.exit(1);
+            }
+            const summary = tracker.importBugs(fs.readFileSync(importFile, 'utf8'), format, {
+                replace: args.includes('--replace'),
+                user: CLI_ACTOR
+            });
+            console.log(`Imported ${summary.imported} of ${summary.processed} bug(s): ${summary.imported - summary.created} restored (${summary.replaced} replaced), ${summary.created} created`);
+            if (summary.skipped.length > 0) {
+                console.log(`Skipped ${summary.skipped.length} existing bug(s) (use --replace to overwrite): ${summary.skipped.join(', ')}`);
+            }
             break;
+        }
+
+        case 'dedupe': {
+            const dryRun = args.includes('--dry-run');
+            const merges = tracker.dedupeBugs({ dryRun });
+            merges.forEach(merge => {
+                console.log(`${merge.kept} ${dryRun ? 'would absorb' : 'absorbed'} ${merge.merged.join(', ')} (fingerprint ${merge.fingerprint})`);
+            });
+            const count = merges.reduce((sum, merge) => sum + merge.merged.length, 0);
+            console.log(`${dryRun ? 'Would merge' : 'Merged'} ${count} duplicate bugs into ${merges.length} bugs`);
+            break;
+        }
+
+        case 'storage': {
+            const subcommand = args[1] || 'info';
+            if (subcommand === 'migrate') {
+                const target = args[2];
+                if (!ADAPTERS[target]) {
+                    console.error(`Unknown storage adapter: ${target}. Available: ${Object.keys(ADAPTERS).join(', ')}`);
+                    process.exit(1);
+                }
+                const destination = createStorage(target, { dataDir: tracker.dataDir });
+                destination.replaceAll({ bugs: tracker.bugs, history: tracker.history, metrics: tracker.metrics });
+                console.log(`Migrated ${tracker.bugs.length} bugs to the ${target} adapter:`, destination.describe().files.join(', '));
+                console.log(`Set BUG_STORAGE=${target} to use it.`);
+            } else {
+                const info = tracker.storage.describe();
+                console.log(`Storage adapter: ${info.adapter}`);
+                console.log(`Data directory:  ${tracker.dataDir}`);
+                console.log(`Files:           ${info.files.join(', ')}`);
+                console.log(`Bugs:            ${tracker.bugs.length}/${tracker.maxBugs}`);
+            }
+            break;
+        }
 
         case 'help':
         default:
@@ -967,19 +2329,89 @@ Commands:
     List bugs with optional filtering
 
   report [type]
-    Generate bug report (summary|detailed)
+    Generate bug report (summary|detailed|workload)
 
   analyze <bugId>
-    Perform root cause analysis
+    Perform 5-Whys root cause analysis from the bug's evidence (bug-analyzer.js
+    analyze also uses the analysis rules and has an interactive mode)
 
   resolve <bugId> [type] [description] [resolvedBy]
     Resolve a bug
 
+  update <bugId> [--severity <level>] [--category <category>] [--title <text>] [--component <name>] [--by <actor>]
+    Change a bug's descriptive fields. Severity and category changes made by
+    a person are recorded as corrections of the analysis rules (see
+    analysis-rules.js stats)
+
+  transition <bugId> [state] [--by <actor>] [--reason <text>]
+    Move a bug to another lifecycle state (without state: list allowed moves)
+
+  reopen <bugId> <reason> [reopenedBy]
+    Reopen a resolved or closed bug for a new analysis/fix cycle
+
+  show <bugId>
+    The whole bug: fields, SLA, fix/validation/deployment/resolution
+    records, attachments, comments and timeline
+
+  comment <bugId> <text|-> [--type <type>] [--by <author>]
+    Comment on a bug ("-" reads the text from stdin)
+
+  comments <bugId>
+    List a bug's comments
+
+  attach <bugId> <file...> [--name <name>] [--by <actor>]
+    Attach logs, screenshots or other files. They are copied into
+    <BUG_DATA_DIR>/attachments by content hash, up to 10 MB per file and
+    50 MB per bug
+
+  watch <bugId> [person]
+  unwatch <bugId> [person]
+    Follow or stop following a bug (default: you, BUG_ACTOR)
+
+  assign <bugId> <person> [--by <actor>] [--reason <text>]
+  unassign <bugId> [--by <actor>] [--reason <text>]
+    Change who works on a bug; every change is recorded in its history.
+    New bugs are assigned by their service's "assignment" strategy and
+    "team" roster in services.json (owner, round-robin or none)
+
+  mine [--as <person>] [--all]
+    Open bugs assigned to you (BUG_ACTOR), highest priority first
+
+  workload [service]
+    Open bugs and priority-weighted load per person, team members included
+
+  sla [list] [--service <name>] [--all]
+    Open bugs that breached or are about to breach their response or
+    resolution target (--all: every open target)
+
+  sla escalate
+    Raise the priority of bugs that missed a target, once per target (run it
+    from cron or CI)
+
+  sla policies
+    Check and show the SLA policies (sla-policies.json, or BUG_SLA_FILE)
+
   cleanup [daysOld]
     Clean up old resolved bugs
 
-  export [format]
-    Export bugs (json|csv)
+  dedupe [--dry-run]
+    Merge open bugs with the same fingerprint, keeping comments and history
+
+  export [format] [--columns <a,b,...>] [--service <name>] [--severity <level>] [--category <category>] [--state <state>] [--out <file|->]
+    Export bugs as json, ndjson, csv, markdown (release notes table) or sarif
+    (open security bugs, for code scanning). --columns picks the csv/markdown
+    columns, nested fields as codeLocation.file
+
+  import <file> [format] [--replace]
+    Import json, ndjson or csv (format defaults to the file extension). Bugs
+    with an id keep it, with their state, comments and history; existing ids
+    are skipped unless --replace
+
+  storage [info]
+    Show the storage adapter and data directory in use
+
+  storage migrate <json|eventlog>
+    Copy all bugs, history and metrics to another storage adapter
 
   help
     Show this help message
@@ -990,6 +2422,31 @@ Examples:
   node scripts/bug-tracker.js report detailed
   node scripts/bug-tracker.js analyze BUG-1234567890-123
   node scripts/bug-tracker.js resolve BUG-1234567890-123 fixed "Fixed authentication issue" developer
+  node scripts/bug-tracker.js update BUG-1234567890-123 --severity medium --by alice
+  node scripts/bug-tracker.js transition BUG-1234567890-123 analyzing
+  node scripts/bug-tracker.js reopen BUG-1234567890-123 "Login fails again after deploy"
+  node scripts/bug-tracker.js show BUG-1234567890-123
+  node scripts/bug-tracker.js attach BUG-1234567890-123 logs/auth.log screenshot.png
+  npm test 2>&1 | node scripts/bug-tracker.js comment BUG-1234567890-123 -
+  node scripts/bug-tracker.js assign BUG-1234567890-123 @alice --reason "Knows the OAuth flow"
+  node scripts/bug-tracker.js workload auth_service
+  node scripts/bug-tracker.js export markdown --state resolved --columns id,title,service --out RELEASE-BUGS.md
+  node scripts/bug-tracker.js export sarif --out bugs.sarif
+  node scripts/bug-tracker.js import bugs-export.ndjson --replace
+  BUG_STORAGE=eventlog BUG_DATA_DIR=/var/lib/nydart-bugs node scripts/bug-tracker.js list
+
+Environment:
+  BUG_STORAGE     Storage adapter: json (default) or eventlog
+  BUG_DATA_DIR    Directory holding the bug data (default: repository root)
+  BUG_SLA_FILE    SLA policy file (default: sla-policies.json in the repository root)
+  BUG_ACTOR       Name recorded for CLI changes (default: $USER). "system" and
+                  "automated-*" count as automation, which may not resolve a
+                  bug before its fix is deployed
+
+Lifecycle:
+  detected → analyzing → fixing → testing → deploying → resolved → closed
+  fixing needs a fix, testing a passed validation, deploying a deployment,
+  resolved a resolution; resolved/closed bugs go back to analyzing on reopen
 `);
             break;
     }
@@ -997,7 +2454,16 @@ Examples:
 
 // Run CLI if called directly
 if (require.main === module) {
-    main();
+    try {
+        main();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
 }
 
 module.exports = BugTracker;
+module.exports.BUG_STATES = BUG_STATES;
+module.exports.STATE_TRANSITIONS = STATE_TRANSITIONS;
+module.exports.BUG_CATEGORIES = BUG_CATEGORIES;
+module.exports.SEVERITY_LEVELS = SEVERITY_LEVELS;
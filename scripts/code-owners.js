@@ -0,0 +1,170 @@
+/**
+ * NydArt Advisor - Code Ownership
+ *
+ * Resolves the owners of a repository file from CODEOWNERS files, with the
+ * GitHub syntax:
+ *
+ *   # comment
+ *   *                       @NydArt-Advisor/maintainers
+ *   /src/controllers/       @alice @bob
+ *   *.sql                   dba@nydart.example
+ *   /src/generated/                          # no owners: explicitly unowned
+ *
+ * Patterns follow .gitignore rules: a pattern with a leading or inner "/" is
+ * anchored to the file's directory, anything else matches at any depth; a
+ * pattern naming a directory covers everything below it. The last matching
+ * line wins.
+ *
+ * Each service is its own repository, so a service can ship a CODEOWNERS file
+ * (in .github/, the root or docs/, like GitHub) whose patterns are relative
+ * to the service directory. It takes precedence over the CODEOWNERS file of
+ * this repository, which sees paths relative to the repository root.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const registry = require('./service-registry');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Where GitHub looks for the file, in order
+const CODEOWNERS_LOCATIONS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+const OWNER_PATTERN = /^(@[A-Za-z0-9][A-Za-z0-9-]*(\/[A-Za-z0-9][A-Za-z0-9._-]*)?|[^@\s]+@[^@\s]+\.[^@\s]+)$/;
+
+// CODEOWNERS pattern -> RegExp on a "/"-separated path relative to the file's base
+const patternToRegExp = (pattern) => {
+    const directoryOnly = pattern.endsWith('/');
+    const trimmed = pattern.replace(/^\//, '').replace(/\/$/, '');
+    const anchored = pattern.startsWith('/') || trimmed.includes('/');
+
+    let source = '';
+    for (let i = 0; i < trimmed.length; i++) {
+        const char = trimmed[i];
+        if (char === '*' && trimmed[i + 1] === '*') {
+            const slash = trimmed[i + 2] === '/';
+            source += slash ? '(?:.*/)?' : '.*';
+            i += slash ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '\\' && i + 1 < trimmed.length) {
+            source += trimmed[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    // "docs/" and "docs" cover the whole directory, "docs/*" only its direct entries
+    const lastSegment = trimmed.split('/').pop();
+    const subtree = directoryOnly ? '/.*' : /[*?]/.test(lastSegment) ? '' : '(?:/.*)?';
+    return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}${subtree}$`);
+};
+
+/**
+ * Parse a CODEOWNERS file. Returns the rules in file order and the problems
+ * found (unsupported syntax, malformed owners); bad lines are skipped.
+ */
+const parseCodeOwners = (text, label = 'CODEOWNERS') => {
+    const rules = [];
+    const errors = [];
+
+    String(text).replace(/\r\n?/g, '\n').split('\n').forEach((raw, index) => {
+        const line = raw.replace(/(^|\s)#.*$/, '').trim();
+        if (!line) return;
+
+        const [pattern, ...owners] = line.split(/\s+/);
+        const where = `${label}:${index + 1}`;
+        if (pattern.startsWith('!')) {
+            errors.push(`${where}: negated patterns ("${pattern}") are not supported in CODEOWNERS`);
+            return;
+        }
+        if (/\[|\]/.test(pattern)) {
+            errors.push(`${where}: character ranges ("${pattern}") are not supported in CODEOWNERS`);
+            return;
+        }
+        const invalid = owners.filter(owner => !OWNER_PATTERN.test(owner));
+        if (invalid.length > 0) {
+            errors.push(`${where}: invalid owner(s) ${invalid.join(', ')}, expected @user, @org/team or an email address`);
+            return;
+        }
+
+        rules.push({ pattern, owners, line: index + 1, regex: patternToRegExp(pattern) });
+    });
+
+    return { rules, errors };
+};
+
+// Parsed files, re-read when they change on disk
+const cache = new Map();
+
+const loadCodeOwners = (file) => {
+    const stat = fs.statSync(file);
+    const cached = cache.get(file);
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+        return cached.parsed;
+    }
+
+    const parsed = parseCodeOwners(fs.readFileSync(file, 'utf8'), path.relative(ROOT_DIR, file) || file);
+    parsed.errors.forEach(message => console.warn(`⚠️  ${message}`));
+    cache.set(file, { mtimeMs: stat.mtimeMs, size: stat.size, parsed });
+    return parsed;
+};
+
+const findCodeOwnersFile = (baseDir) => CODEOWNERS_LOCATIONS
+    .map(location => path.join(baseDir, location))
+    .find(file => fs.existsSync(file)) || null;
+
+// The owning service of a repository-relative path
+const serviceOf = (repoFile) => registry.getServices()
+    .find(service => repoFile === service.path || repoFile.startsWith(`${service.path}/`)) || null;
+
+/**
+ * Owners of a file given relative to the repository root. Returns
+ * { owners, pattern, file, line } for the deciding CODEOWNERS line (owners is
+ * empty for an explicitly unowned path), or null when no line matches.
+ */
+const findOwners = (repoFile) => {
+    const normalized = String(repoFile).split(path.sep).join('/').replace(/^\.?\//, '');
+    const service = serviceOf(normalized);
+    const candidates = [];
+
+    if (service) {
+        candidates.push({
+            baseDir: registry.servicePath(service),
+            relative: normalized.slice(service.path.length).replace(/^\//, '')
+        });
+    }
+    candidates.push({ baseDir: ROOT_DIR, relative: normalized });
+
+    for (const { baseDir, relative } of candidates) {
+        const file = findCodeOwnersFile(baseDir);
+        if (!file) continue;
+
+        const match = loadCodeOwners(file).rules.filter(rule => rule.regex.test(relative)).pop();
+        if (match) {
+            return {
+                owners: match.owners,
+                pattern: match.pattern,
+                file: path.relative(ROOT_DIR, file).split(path.sep).join('/'),
+                line: match.line
+            };
+        }
+    }
+    return null;
+};
+
+// Every CODEOWNERS file of the repository and the service checkouts
+const allCodeOwnersFiles = () => [
+    findCodeOwnersFile(ROOT_DIR),
+    ...registry.getServices().map(service => findCodeOwnersFile(registry.servicePath(service)))
+].filter(Boolean);
+
+module.exports = {
+    CODEOWNERS_LOCATIONS,
+    patternToRegExp,
+    parseCodeOwners,
+    findOwners,
+    allCodeOwnersFiles
+};
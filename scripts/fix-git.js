@@ -0,0 +1,361 @@
+/**
+ * NydArt Advisor - Fix Branches
+ *
+ * With `apply-fix --branch`, an automated fix is not left as uncommitted
+ * edits on whatever branch is checked out. In the git repository of the
+ * affected service it:
+ *
+ *   1. checks that the files the fix touches have no uncommitted changes and
+ *      that fix/<bugId> does not exist yet
+ *   2. creates fix/<bugId> from the current HEAD and switches to it
+ *   3. commits exactly the fixed files with a conventional commit message:
+ *
+ *        fix(auth): implement proper jwt validation middleware
+ *
+ *        Test failure: login validates token
+ *
+ *        Files changed:
+ *        - src/middleware/verifyToken.js
+ *
+ *        FIXES-BUG-1234567890-123
+ *
+ * If writing, committing or recording the fix fails (e.g. a commit hook
+ * rejects the commit), the files are restored, the previous branch is
+ * checked out again and fix/<bugId> is deleted.
+ *
+ * The message is checked against the commitlint configuration of the service
+ * (or of this repository) before any file is written. The commit SHA is kept
+ * in the bug's fix record (fix.git) and deployments reference it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+const CONFIG = {
+    branchPrefix: 'fix/',
+    commitType: 'fix',
+    footerPrefix: 'FIXES-',
+    bodyWidth: 72,
+    gitTimeout: 30000
+};
+
+const COMMITLINT_FILES = ['.commitlintrc.js', '.commitlintrc.json', 'commitlint.config.js'];
+
+// Rules of @commitlint/config-conventional that .commitlintrc.js does not override
+const CONVENTIONAL_RULES = {
+    'body-leading-blank': [1, 'always'],
+    'body-max-line-length': [2, 'always', 100],
+    'footer-leading-blank': [1, 'always'],
+    'footer-max-line-length': [2, 'always', 100],
+    'header-max-length': [2, 'always', 100],
+    'subject-case': [2, 'never', ['sentence-case', 'start-case', 'pascal-case', 'upper-case']],
+    'subject-empty': [2, 'never'],
+    'subject-full-stop': [2, 'never', '.'],
+    'type-case': [2, 'always', 'lower-case'],
+    'type-empty': [2, 'never'],
+    'type-enum': [2, 'always', ['build', 'chore', 'ci', 'docs', 'feat', 'fix', 'perf', 'refactor', 'revert', 'style', 'test']]
+};
+
+const git = (cwd, args, options = {}) => {
+    try {
+        return execFileSync('git', args, {
+            cwd,
+            encoding: 'utf8',
+            timeout: CONFIG.gitTimeout,
+            input: options.input,
+            stdio: ['pipe', 'pipe', 'pipe']
+        }).trim();
+    } catch (error) {
+        const detail = String(error.stderr || error.stdout || error.message).trim();
+        throw new Error(`git ${args[0]} failed in ${path.relative(ROOT_DIR, cwd) || '.'}: ${detail}`);
+    }
+};
+
+const fixBranchName = (bugId) => `${CONFIG.branchPrefix}${bugId}`;
+
+/**
+ * The commitlint configuration that applies to a service: its own file, else
+ * the one of this repository. Returns { file, rules, issuePrefixes }.
+ */
+const loadCommitlintConfig = (serviceDir) => {
+    const file = [serviceDir, ROOT_DIR]
+        .flatMap(dir => COMMITLINT_FILES.map(name => path.join(dir, name)))
+        .find(candidate => fs.existsSync(candidate));
+    if (!file) {
+        return { file: null, rules: { ...CONVENTIONAL_RULES }, issuePrefixes: ['#'] };
+    }
+
+    delete require.cache[require.resolve(file)];
+    const config = file.endsWith('.json') ? JSON.parse(fs.readFileSync(file, 'utf8')) : require(file);
+    const extended = [].concat(config.extends || []).includes('@commitlint/config-conventional');
+    const parserOpts = (config.parserPreset && config.parserPreset.parserOpts) || {};
+
+    return {
+        file,
+        rules: { ...(extended ? CONVENTIONAL_RULES : {}), ...(config.rules || {}) },
+        issuePrefixes: parserOpts.issuePrefixes || ['#']
+    };
+};
+
+const CASES = {
+    'lower-case': (text) => text === text.toLowerCase(),
+    'upper-case': (text) => text === text.toUpperCase(),
+    'sentence-case': (text) => text === text.charAt(0).toUpperCase() + text.slice(1).toLowerCase(),
+    'start-case': (text) => text.split(/\s+/).every(word => word === word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()),
+    'pascal-case': (text) => /^([A-Z][a-z0-9]*)+$/.test(text)
+};
+CASES.lower = CASES['lower-case'];
+CASES.upper = CASES['upper-case'];
+
+const parseCommitMessage = (message, issuePrefixes) => {
+    const lines = message.replace(/\r\n?/g, '\n').replace(/\n+$/, '').split('\n');
+    const header = lines[0] || '';
+    const match = header.match(/^(\w*)(?:\(([^)]*)\))?!?: (.*)$/);
+    const rest = lines.slice(1);
+
+    // The footer is the last paragraph when it only holds references or trailers
+    const paragraphs = rest.join('\n').split(/\n\s*\n/).filter(paragraph => paragraph.trim());
+    const last = paragraphs[paragraphs.length - 1] || '';
+    const isFooter = paragraphs.length > 0 && last.split('\n').every(line =>
+        issuePrefixes.some(prefix => line.startsWith(prefix)) || /^[\w-]+(: | #)|^BREAKING[ -]CHANGE: /.test(line));
+    const footer = isFooter ? last : '';
+    const footerStart = isFooter ? rest.lastIndexOf(last.split('\n')[0]) : -1;
+
+    return {
+        header,
+        type: match ? match[1] : '',
+        scope: match ? match[2] || '' : '',
+        subject: match ? match[3] : '',
+        lines: rest,
+        body: (isFooter ? rest.slice(0, footerStart) : rest).join('\n').trim(),
+        bodyStart: rest.findIndex(line => line.trim()),
+        footer,
+        footerStart
+    };
+};
+
+/**
+ * Check a commit message against commitlint rules. Supports the rules used
+ * by .commitlintrc.js and config-conventional; returns the problems found
+ * at error level ([2, ...]).
+ */
+const lintCommitMessage = (message, config) => {
+    const parsed = parseCommitMessage(message, config.issuePrefixes || ['#']);
+    const errors = [];
+
+    Object.entries(config.rules).forEach(([name, [level, when = 'always', value]]) => {
+        if (level !== 2) return;
+        const expect = (condition) => (when === 'never' ? !condition : condition);
+        const fail = (detail) => errors.push(`${name}: ${detail}`);
+        const caseOf = (text, cases) => [].concat(cases).some(name => (CASES[name] || (() => true))(text));
+
+        switch (name) {
+            case 'type-enum':
+                if (parsed.type && !expect(value.includes(parsed.type))) fail(`type "${parsed.type}" is not one of ${value.join(', ')}`);
+                break;
+            case 'type-empty':
+            case 'subject-empty': {
+                const part = name === 'type-empty' ? parsed.type : parsed.subject;
+                if (!expect(part === '')) fail(`${name.split('-')[0]} may not be empty`);
+                break;
+            }
+            case 'type-case':
+            case 'scope-case':
+            case 'subject-case': {
+                const part = parsed[name.split('-')[0]];
+                if (part && !expect(caseOf(part, value))) fail(`"${part}" must ${when === 'never' ? 'not ' : ''}be ${[].concat(value).join(' or ')}`);
+                break;
+            }
+            case 'scope-enum':
+                if (parsed.scope && !expect(value.includes(parsed.scope))) fail(`scope "${parsed.scope}" is not one of ${value.join(', ')}`);
+                break;
+            case 'subject-full-stop':
+                if (!expect(parsed.subject.endsWith(value))) fail(`subject may not end with "${value}"`);
+                break;
+            case 'header-max-length':
+                if (parsed.header.length > value) fail(`header is ${parsed.header.length} characters, at most ${value}`);
+                break;
+            case 'body-max-line-length':
+            case 'footer-max-line-length': {
+                const text = name.startsWith('body') ? parsed.body : parsed.footer;
+                const long = text.split('\n').find(line => line.length > value);
+                if (long) fail(`line longer than ${value} characters: "${long}"`);
+                break;
+            }
+            case 'body-leading-blank':
+                if (parsed.bodyStart !== -1 && parsed.lines[0] !== undefined && parsed.lines[0].trim() !== '') fail('body must start after a blank line');
+                break;
+            case 'footer-leading-blank':
+                if (parsed.footerStart > 0 && parsed.lines[parsed.footerStart - 1].trim() !== '') fail('footer must start after a blank line');
+                break;
+            default:
+                break;
+        }
+    });
+
+    return errors;
+};
+
+const wrap = (text, width) => String(text).split(/\s+/).filter(Boolean).reduce((lines, word) => {
+    const last = lines[lines.length - 1];
+    if (last && (last + ' ' + word).length <= width) {
+        lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+        lines.push(word);
+    }
+    return lines;
+}, []);
+
+/**
+ * Conventional commit message for a fix: `fix(<service alias>): <fix>`, the
+ * bug title and changed files in the body and a FIXES-<bugId> footer. The
+ * subject is shortened on a word boundary to the header length limit.
+ */
+const buildCommitMessage = ({ bug, service, description, files }, config) => {
+    const scope = service.alias || service.id;
+    const maxHeader = (config.rules['header-max-length'] || [0, 'always', 100])[2];
+    const prefix = `${CONFIG.commitType}(${scope}): `;
+
+    let subject = String(description || bug.title).split('\n')[0].toLowerCase().replace(/[.\s]+$/, '').trim();
+    if (prefix.length + subject.length > maxHeader) {
+        subject = subject.slice(0, maxHeader - prefix.length + 1).replace(/\s+\S*$/, '').replace(/[\s,;:.-]+$/, '');
+    }
+
+    const body = [
+        ...wrap(bug.title, CONFIG.bodyWidth),
+        '',
+        'Files changed:',
+        ...files.map(file => `- ${file}`)
+    ];
+
+    return [`${prefix}${subject}`, '', ...body, '', `${CONFIG.footerPrefix}${bug.id}`].join('\n') + '\n';
+};
+
+/**
+ * Everything the branch workflow needs, checked before the fix touches a
+ * file: the git repository of the service, the branch to create from and a
+ * commit message that passes commitlint. Throws when the fix cannot be
+ * committed cleanly.
+ */
+const prepareFixBranch = ({ bug, service, serviceDir, description, files }) => {
+    if (!fs.existsSync(serviceDir)) {
+        throw new Error(`Service directory ${service.path}/ not found`);
+    }
+    let repoDir;
+    try {
+        repoDir = execFileSync('git', ['rev-parse', '--show-toplevel'], {
+            cwd: serviceDir, encoding: 'utf8', timeout: CONFIG.gitTimeout, stdio: ['ignore', 'pipe', 'ignore']
+        }).trim();
+    } catch (error) {
+        throw new Error(`${service.path}/ is not a git repository, apply the fix without --branch`);
+    }
+
+    const branch = fixBranchName(bug.id);
+    try {
+        git(serviceDir, ['check-ref-format', '--branch', branch]);
+    } catch (error) {
+        throw new Error(`"${branch}" is not a valid branch name`);
+    }
+    if (git(serviceDir, ['branch', '--list', branch])) {
+        throw new Error(`Branch ${branch} already exists in ${service.path}/, delete it or apply the fix without --branch`);
+    }
+
+    const dirty = files.length > 0 ? git(serviceDir, ['status', '--porcelain', '--', ...files]) : '';
+    if (dirty) {
+        throw new Error(`Files of the fix have uncommitted changes in ${service.path}/, commit or stash them first:\n${dirty}`);
+    }
+
+    const commitlint = loadCommitlintConfig(serviceDir);
+    const message = buildCommitMessage({ bug, service, description, files }, commitlint);
+    const problems = lintCommitMessage(message, commitlint);
+    if (problems.length > 0) {
+        const source = commitlint.file ? path.relative(ROOT_DIR, commitlint.file) : 'commitlint defaults';
+        throw new Error(`Commit message for ${bug.id} does not pass ${source}:\n${problems.map(problem => `  ${problem}`).join('\n')}`);
+    }
+
+    let baseSha = null;
+    try {
+        baseSha = git(serviceDir, ['rev-parse', '--verify', 'HEAD']);
+    } catch (error) {
+        // repository without commits: the fix is the first one
+    }
+    let base = null;
+    try {
+        base = git(serviceDir, ['symbolic-ref', '--short', '-q', 'HEAD']);
+    } catch (error) {
+        // detached HEAD
+    }
+
+    return {
+        repoDir,
+        serviceDir,
+        branch,
+        base: base || baseSha,
+        baseSha,
+        message,
+        commitlint: commitlint.file ? path.relative(ROOT_DIR, commitlint.file) : null
+    };
+};
+
+// Create and switch to the fix branch, keeping the working tree as it is
+const createFixBranch = (prepared) => {
+    git(prepared.serviceDir, ['checkout', '-b', prepared.branch]);
+};
+
+/**
+ * Commit the fixed files on the fix branch. Commit hooks run as for any
+ * commit. Returns the record stored on the bug's fix.
+ */
+const commitFix = (prepared, files) => {
+    git(prepared.serviceDir, ['add', '--', ...files]);
+    git(prepared.serviceDir, ['commit', '-F', '-', '--', ...files], { input: prepared.message });
+
+    return {
+        repository: path.relative(ROOT_DIR, prepared.repoDir).split(path.sep).join('/') || '.',
+        branch: prepared.branch,
+        base: prepared.base,
+        baseCommit: prepared.baseSha,
+        commit: git(prepared.serviceDir, ['rev-parse', 'HEAD']),
+        message: prepared.message.split('\n')[0],
+        committedAt: new Date().toISOString()
+    };
+};
+
+/**
+ * Go back to the branch the fix started from when the fix fails to commit or
+ * to be recorded. The files must already have their old content; their
+ * staged changes are dropped and fix/<bugId> is deleted, with its commit if
+ * one was made.
+ */
+const abandonFixBranch = (prepared, files) => {
+    const dir = prepared.serviceDir;
+    if (prepared.baseSha) {
+        git(dir, ['reset', '-q', prepared.baseSha, '--', ...files]);
+    } else {
+        git(dir, ['rm', '-q', '--cached', '--ignore-unmatch', '--', ...files]);
+    }
+
+    if (prepared.baseSha) {
+        git(dir, ['checkout', '-q', prepared.base]);
+    } else if (prepared.base) {
+        git(dir, ['symbolic-ref', 'HEAD', `refs/heads/${prepared.base}`]);
+    }
+    if (git(dir, ['branch', '--list', prepared.branch])) {
+        git(dir, ['branch', '-D', prepared.branch]);
+    }
+};
+
+module.exports = {
+    CONFIG,
+    fixBranchName,
+    loadCommitlintConfig,
+    lintCommitMessage,
+    buildCommitMessage,
+    prepareFixBranch,
+    createFixBranch,
+    commitFix,
+    abandonFixBranch
+};
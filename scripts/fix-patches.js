@@ -0,0 +1,394 @@
+/**
+ * NydArt Advisor - Fix Patches
+ *
+ * Automated fixes change code through patches instead of overwriting whole
+ * files. Each entry of a fix's `implementation.changes` is one of:
+ *
+ *   { file, diff }    unified diff (diff -u / git diff) for the file; `file`
+ *                     may be omitted when the diff has ---/+++ headers
+ *   { file, edits }   anchored search/replace edits:
+ *                     [{ search, replace, anchor?, occurrence? }]
+ *                     anchor      text that must appear before `search`
+ *                     occurrence  which match to replace when there are several
+ *   { file, create }  content of a new file (refused if the file exists)
+ *
+ * Paths are relative to the service directory. planChanges() computes the
+ * new content of every file without writing anything, so a conflict in one
+ * change stops the whole fix before a single file is touched.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./bug-storage');
+
+const DIFF_CONTEXT = 3;
+const MAX_DIFF_CELLS = 25000000; // LCS table limit before falling back to a full replace
+
+const splitLines = (content) => content.split(/\r?\n/);
+
+// Unified diff parsing
+
+const diffPath = (header) => {
+    const name = header.split('\t')[0].trim();
+    if (name === '/dev/null') return null;
+    return name.replace(/^[ab]\//, '');
+};
+
+const parseUnifiedDiff = (text) => {
+    const files = [];
+    let current = null;
+    let hunk = null;
+
+    splitLines(text).forEach(line => {
+        if (hunk) {
+            if (line.startsWith('\\')) return; // "\ No newline at end of file"
+            const marker = line === '' ? ' ' : line[0];
+            if (![' ', '-', '+'].includes(marker)) {
+                throw new Error(`Malformed hunk line: ${line}`);
+            }
+            hunk.lines.push(line === '' ? ' ' : line);
+            if (marker !== '+') hunk.remainingOld--;
+            if (marker !== '-') hunk.remainingNew--;
+            if (hunk.remainingOld <= 0 && hunk.remainingNew <= 0) hunk = null;
+            return;
+        }
+
+        if (line.startsWith('--- ')) {
+            current = { oldFile: diffPath(line.slice(4)), newFile: null, hunks: [] };
+            files.push(current);
+            return;
+        }
+        if (line.startsWith('+++ ') && current) {
+            current.newFile = diffPath(line.slice(4));
+            return;
+        }
+
+        const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+        if (header) {
+            if (!current) {
+                current = { oldFile: null, newFile: null, hunks: [] };
+                files.push(current);
+            }
+            const oldLines = header[2] === undefined ? 1 : Number(header[2]);
+            const newLines = header[4] === undefined ? 1 : Number(header[4]);
+            hunk = {
+                header: line,
+                oldStart: Number(header[1]),
+                oldLines,
+                newStart: Number(header[3]),
+                newLines,
+                remainingOld: oldLines,
+                remainingNew: newLines,
+                lines: []
+            };
+            current.hunks.push(hunk);
+        }
+    });
+
+    if (hunk) {
+        throw new Error(`Truncated hunk ${hunk.header}`);
+    }
+    return files;
+};
+
+const sameLines = (lines, start, expected) => {
+    if (start < 0 || start + expected.length > lines.length) return false;
+    return expected.every((line, index) => lines[start + index] === line);
+};
+
+// Nearest position to `preferred` where `expected` matches, or -1
+const findNearest = (lines, expected, preferred) => {
+    for (let distance = 0; distance <= lines.length; distance++) {
+        if (sameLines(lines, preferred - distance, expected)) return preferred - distance;
+        if (distance > 0 && sameLines(lines, preferred + distance, expected)) return preferred + distance;
+    }
+    return -1;
+};
+
+/**
+ * Apply unified diff hunks to `content`. Hunks may have moved (other edits
+ * above them) but their context and removed lines must match exactly.
+ */
+const applyHunks = (content, hunks) => {
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    const lines = splitLines(content);
+    const conflicts = [];
+    let delta = 0;
+
+    hunks.forEach(hunk => {
+        const expected = hunk.lines.filter(line => line[0] !== '+').map(line => line.slice(1));
+        const replacement = hunk.lines.filter(line => line[0] !== '-').map(line => line.slice(1));
+        const preferred = (hunk.oldLines === 0 ? hunk.oldStart : hunk.oldStart - 1) + delta;
+
+        const position = findNearest(lines, expected, preferred);
+        if (position === -1) {
+            const alreadyApplied = replacement.length > 0 && findNearest(lines, replacement, preferred) !== -1;
+            conflicts.push(`${hunk.header} ${alreadyApplied ? 'is already applied' : 'does not match the current file'}`);
+            return;
+        }
+
+        lines.splice(position, expected.length, ...replacement);
+        delta += replacement.length - expected.length;
+    });
+
+    return { content: lines.join(eol), conflicts };
+};
+
+const indexesOf = (content, search, from = 0) => {
+    const indexes = [];
+    let index = content.indexOf(search, from);
+    while (index !== -1) {
+        indexes.push(index);
+        index = content.indexOf(search, index + search.length);
+    }
+    return indexes;
+};
+
+const applyEdit = (content, edit) => {
+    if (typeof edit.search !== 'string' || edit.search === '' || typeof edit.replace !== 'string') {
+        return { conflict: 'edit needs a non-empty "search" and a "replace" string' };
+    }
+
+    let from = 0;
+    if (edit.anchor) {
+        const anchors = indexesOf(content, edit.anchor);
+        if (anchors.length === 0) return { conflict: `anchor ${JSON.stringify(edit.anchor)} not found` };
+        if (anchors.length > 1) return { conflict: `anchor ${JSON.stringify(edit.anchor)} is ambiguous (${anchors.length} matches)` };
+        from = anchors[0] + edit.anchor.length;
+    }
+
+    const matches = indexesOf(content, edit.search, from);
+    if (matches.length === 0) {
+        const alreadyApplied = edit.replace !== '' && content.indexOf(edit.replace, from) !== -1;
+        return { conflict: `${JSON.stringify(edit.search)} ${alreadyApplied ? 'already replaced' : 'not found'}${edit.anchor ? ' after anchor' : ''}` };
+    }
+
+    let index;
+    if (edit.occurrence) {
+        index = matches[edit.occurrence - 1];
+        if (index === undefined) return { conflict: `${JSON.stringify(edit.search)} has only ${matches.length} occurrence(s)` };
+    } else if (edit.anchor) {
+        index = matches[0];
+    } else if (matches.length > 1) {
+        return { conflict: `${JSON.stringify(edit.search)} is ambiguous (${matches.length} matches), add an anchor or occurrence` };
+    } else {
+        index = matches[0];
+    }
+
+    return { content: content.slice(0, index) + edit.replace + content.slice(index + edit.search.length) };
+};
+
+// Line diff for dry runs and fix records
+
+const diffOperations = (before, after) => {
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) start++;
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+        endBefore--;
+        endAfter--;
+    }
+
+    const a = before.slice(start, endBefore);
+    const b = after.slice(start, endAfter);
+    const middle = [];
+
+    if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) {
+        a.forEach(line => middle.push({ type: '-', line }));
+        b.forEach(line => middle.push({ type: '+', line }));
+    } else {
+        // Longest common subsequence table, walked from the start
+        const table = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                middle.push({ type: ' ', line: a[i++] });
+                j++;
+            } else if (i < a.length && (j === b.length || table[i + 1][j] >= table[i][j + 1])) {
+                middle.push({ type: '-', line: a[i++] });
+            } else {
+                middle.push({ type: '+', line: b[j++] });
+            }
+        }
+    }
+
+    return [
+        ...before.slice(0, start).map(line => ({ type: ' ', line })),
+        ...middle,
+        ...before.slice(endBefore).map(line => ({ type: ' ', line }))
+    ];
+};
+
+const withoutFinalNewline = (content) => {
+    const lines = splitLines(content);
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+};
+
+const createUnifiedDiff = (file, before, after, context = DIFF_CONTEXT) => {
+    const operations = diffOperations(
+        before === null ? [] : withoutFinalNewline(before),
+        withoutFinalNewline(after)
+    );
+
+    // Old/new line numbers of every operation
+    let oldLine = 1;
+    let newLine = 1;
+    const numbered = operations.map(operation => {
+        const entry = { ...operation, oldLine, newLine };
+        if (operation.type !== '+') oldLine++;
+        if (operation.type !== '-') newLine++;
+        return entry;
+    });
+
+    const changed = numbered.map((operation, index) => (operation.type === ' ' ? -1 : index)).filter(index => index !== -1);
+    if (changed.length === 0) return '';
+
+    const ranges = [];
+    changed.forEach(index => {
+        const from = Math.max(0, index - context);
+        const to = Math.min(numbered.length - 1, index + context);
+        const last = ranges[ranges.length - 1];
+        if (last && from <= last.to + 1) {
+            last.to = Math.max(last.to, to);
+        } else {
+            ranges.push({ from, to });
+        }
+    });
+
+    const output = [`--- ${before === null ? '/dev/null' : `a/${file}`}`, `+++ b/${file}`];
+    ranges.forEach(({ from, to }) => {
+        const slice = numbered.slice(from, to + 1);
+        const oldCount = slice.filter(operation => operation.type !== '+').length;
+        const newCount = slice.filter(operation => operation.type !== '-').length;
+        const oldStart = oldCount === 0 ? slice[0].oldLine - 1 : slice[0].oldLine;
+        const newStart = newCount === 0 ? slice[0].newLine - 1 : slice[0].newLine;
+        output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        slice.forEach(operation => output.push(`${operation.type}${operation.line}`));
+    });
+
+    return output.join('\n') + '\n';
+};
+
+// Planning and writing
+
+/**
+ * Compute the result of `changes` relative to `baseDir` without writing.
+ * Returns { files: [{ file, path, before, after, diff }], conflicts: [{ file, reason }] }
+ */
+const planChanges = (changes, options = {}) => {
+    const baseDir = path.resolve(options.baseDir || process.cwd());
+    const files = new Map();
+    const conflicts = [];
+
+    const target = (file) => {
+        const resolved = path.resolve(baseDir, file);
+        if (resolved !== baseDir && !resolved.startsWith(baseDir + path.sep)) {
+            throw new Error(`${file} is outside ${baseDir}`);
+        }
+        if (!files.has(resolved)) {
+            const exists = fs.existsSync(resolved);
+            const before = exists ? fs.readFileSync(resolved, 'utf8') : null;
+            files.set(resolved, { file: path.relative(baseDir, resolved), path: resolved, before, after: before });
+        }
+        return files.get(resolved);
+    };
+
+    changes.forEach((change, index) => {
+        const label = change.file || `change ${index + 1}`;
+        try {
+            if (change.code !== undefined && !change.diff && !change.edits && change.create === undefined) {
+                throw new Error('whole-file "code" replacement is not supported, express the change as a diff or edits');
+            }
+
+            if (change.create !== undefined) {
+                const entry = target(change.file);
+                if (entry.after !== null) throw new Error('file already exists');
+                entry.after = change.create;
+                return;
+            }
+
+            if (change.edits) {
+                const entry = target(change.file);
+                if (entry.after === null) throw new Error('file does not exist');
+                change.edits.forEach((edit, editIndex) => {
+                    const result = applyEdit(entry.after, edit);
+                    if (result.conflict) throw new Error(`edit ${editIndex + 1}: ${result.conflict}`);
+                    entry.after = result.content;
+                });
+                return;
+            }
+
+            if (change.diff) {
+                parseUnifiedDiff(change.diff).forEach(filePatch => {
+                    const file = change.file || filePatch.newFile || filePatch.oldFile;
+                    if (!file) throw new Error('diff has no file name, set "file" on the change');
+                    const entry = target(file);
+
+                    if (filePatch.oldFile === null) {
+                        if (entry.after !== null) throw new Error(`${file} already exists`);
+                        entry.after = '';
+                    } else if (entry.after === null) {
+                        throw new Error(`${file} does not exist`);
+                    }
+
+                    const result = applyHunks(entry.after, filePatch.hunks);
+                    if (result.conflicts.length > 0) {
+                        throw new Error(`${file}: ${result.conflicts.join('; ')}`);
+                    }
+                    entry.after = result.content;
+                });
+                return;
+            }
+
+            throw new Error('change needs "diff", "edits" or "create"');
+        } catch (error) {
+            conflicts.push({ file: label, reason: error.message });
+        }
+    });
+
+    const planned = [...files.values()]
+        .filter(entry => entry.after !== entry.before)
+        .map(entry => ({ ...entry, diff: createUnifiedDiff(entry.file, entry.before, entry.after) }));
+
+    return { files: planned, conflicts };
+};
+
+const formatPlanDiff = (plan) => plan.files.map(entry => entry.diff).join('');
+
+const writePlan = (plan) => {
+    plan.files.forEach(entry => {
+        fs.mkdirSync(path.dirname(entry.path), { recursive: true });
+        writeFileAtomic(entry.path, entry.after);
+    });
+    return plan.files.map(entry => entry.file);
+};
+
+// Undo writePlan: files get their old content back, created files are removed
+const restorePlan = (plan) => {
+    plan.files.forEach(entry => {
+        if (entry.before === null) {
+            fs.rmSync(entry.path, { force: true });
+        } else {
+            writeFileAtomic(entry.path, entry.before);
+        }
+    });
+};
+
+module.exports = {
+    parseUnifiedDiff,
+    applyHunks,
+    applyEdit,
+    createUnifiedDiff,
+    planChanges,
+    formatPlanDiff,
+    writePlan,
+    restorePlan
+};
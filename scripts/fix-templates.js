@@ -0,0 +1,499 @@
+/**
+ * NydArt Advisor - Fix Templates
+ *
+ * A fix template turns an analysis rule's autoFix into concrete changes. The
+ * templates live in fix-templates/<id>.yml (or .json); a rule uses the
+ * template named by autoFix.template, or its own id:
+ *
+ *   id: jwt-validation
+ *   description: Verify JWT signatures in a dedicated middleware
+ *   risk: medium                          # optional, the rule's risk wins
+ *   appliesTo: [auth_service]             # optional, services it fits
+ *   parameters:
+ *     middlewareFile:
+ *       description: Module that gets the middleware
+ *       default: ['{{affectedFile}}', src/middleware/verifyToken.js]  # first with a value
+ *     secretEnv:
+ *       default: JWT_SECRET
+ *   changes:                              # code, as fix-patches changes
+ *     - file: '{{middlewareFile}}'
+ *       create: |
+ *         const secret = process.env.{{secretEnv}};
+ *   tests:                                # required: at least one test
+ *     - file: 'tests/{{bugId | lower}}.test.js'
+ *       description: Rejects tokens with a bad signature
+ *       create: |
+ *         ...
+ *   config:                               # optional configuration
+ *     - env: JWT_SECRET
+ *       description: Secret the tokens are signed with
+ *     - file: .env.example
+ *       description: Document the secret
+ *       edits: [...]
+ *   steps:                                # optional manual follow-ups
+ *     - Use the middleware on the protected routes
+ *   validation:
+ *     commands: ['npx jest tests/{{bugId | lower}}.test.js']
+ *
+ * `{{name}}` placeholders are filled from the template's parameters and from
+ * the bug: bugId, service, serviceName, title, error, errorMessage, testCase,
+ * component, file and line (the failing code location, relative to the
+ * service), function, affectedFile (first existing file of the rule's
+ * autoFix.files), fix (the rule's fix text) and templateId. A parameter
+ * without a value makes the template unusable for that bug, unless it is
+ * declared `required: false` (empty then). Filters: {{error | json}} (a
+ * quoted JavaScript string), lower, upper, camel, basename, dirname. Write
+ * \{{ for a literal "{{".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseYaml } = require('./yaml-lite');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const TEMPLATES_DIR = path.join(ROOT_DIR, 'fix-templates');
+const EXTENSIONS = ['.yml', '.yaml', '.json'];
+
+const TEMPLATE_FIELDS = ['id', 'description', 'risk', 'appliesTo', 'parameters', 'changes', 'tests', 'config', 'steps', 'validation'];
+const PARAMETER_FIELDS = ['description', 'default', 'required'];
+const CHANGE_KINDS = ['create', 'edits', 'diff'];
+const EDIT_FIELDS = ['search', 'replace', 'anchor', 'occurrence'];
+const RISKS = ['low', 'medium', 'high'];
+
+const BUILTIN_PARAMETERS = [
+    'bugId', 'service', 'serviceName', 'title', 'error', 'errorMessage', 'testCase', 'component',
+    'file', 'line', 'function', 'affectedFile', 'fix', 'templateId'
+];
+
+const FILTERS = {
+    json: (value) => JSON.stringify(value),
+    lower: (value) => value.toLowerCase(),
+    upper: (value) => value.toUpperCase(),
+    camel: (value) => value.replace(/[-_\s.]+(\w)/g, (match, char) => char.toUpperCase()).replace(/^\w/, char => char.toLowerCase()),
+    basename: (value) => path.posix.basename(value),
+    dirname: (value) => path.posix.dirname(value)
+};
+
+const PLACEHOLDER = /\\\{\{|\{\{\s*([A-Za-z_][\w]*)\s*(?:\|\s*([A-Za-z]+)\s*)?\}\}/g;
+
+const isMapping = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const readTemplateFile = (file) => {
+    const text = fs.readFileSync(file, 'utf8');
+    return path.extname(file) === '.json' ? JSON.parse(text) : parseYaml(text);
+};
+
+// Fill the placeholders of one string; unknown names are reported through `missing`
+const renderString = (text, values, missing = new Set()) => text.replace(PLACEHOLDER, (match, name, filter) => {
+    if (match === '\\{{') return '{{';
+    const value = values[name];
+    if (value === undefined || value === null) {
+        missing.add(name);
+        return match;
+    }
+    return filter ? FILTERS[filter](String(value)) : String(value);
+});
+
+// Render every string inside a template section
+const renderValue = (value, values, missing) => {
+    if (typeof value === 'string') return renderString(value, values, missing);
+    if (Array.isArray(value)) return value.map(item => renderValue(item, values, missing));
+    if (isMapping(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, renderValue(item, values, missing)]));
+    }
+    return value;
+};
+
+// Every placeholder used in a section, with its filter
+const placeholdersIn = (value, found = []) => {
+    if (typeof value === 'string') {
+        for (const match of value.matchAll(PLACEHOLDER)) {
+            if (match[1]) found.push({ name: match[1], filter: match[2] });
+        }
+    } else if (Array.isArray(value)) {
+        value.forEach(item => placeholdersIn(item, found));
+    } else if (isMapping(value)) {
+        Object.values(value).forEach(item => placeholdersIn(item, found));
+    }
+    return found;
+};
+
+/**
+ * Built-in parameters for a bug. `context` holds the rule (from
+ * findMatchingPatterns), the service and the rule's existing files.
+ */
+const bugParameters = (bug, context = {}) => {
+    const service = context.service || null;
+    const location = bug.codeLocation || null;
+    const inService = location && service && location.file && location.file.startsWith(`${service.path}/`);
+
+    return {
+        bugId: bug.id,
+        service: service ? service.id : bug.service,
+        serviceName: service ? (service.displayName || service.name) : bug.service,
+        title: bug.title,
+        error: String(bug.errorMessage || '').split('\n')[0].trim() || undefined,
+        errorMessage: bug.errorMessage,
+        testCase: bug.testCase,
+        component: bug.component,
+        file: inService ? location.file.slice(service.path.length + 1) : undefined,
+        line: location && location.line ? location.line : undefined,
+        function: location ? location.function : undefined,
+        affectedFile: (context.affectedFiles || [])[0],
+        fix: context.rule ? context.rule.fix : undefined
+    };
+};
+
+/**
+ * Resolve the declared parameters: explicit overrides first, then the
+ * default (which may use the built-ins). Returns { values, missing }.
+ */
+const resolveParameters = (template, builtins, overrides = {}) => {
+    const values = { ...builtins, templateId: template.id };
+    const missing = [];
+
+    Object.entries(template.parameters || {}).forEach(([name, spec]) => {
+        let value = overrides[name];
+        if (value === undefined && spec.default !== undefined) {
+            // A list of defaults: the first one whose placeholders all have values
+            value = [].concat(spec.default).map(candidate => {
+                const unresolved = new Set();
+                const rendered = renderString(String(candidate), values, unresolved);
+                return unresolved.size === 0 ? rendered : undefined;
+            }).find(rendered => rendered !== undefined && rendered !== '');
+        }
+        if (value === undefined || value === '') {
+            if (spec.required === false) {
+                value = '';
+            } else {
+                missing.push(name);
+                return;
+            }
+        }
+        values[name] = value;
+    });
+
+    return { values, missing };
+};
+
+/**
+ * Render a template for a bug. Returns the changes to plan (code, tests and
+ * configuration files together) plus what to report, or { missing } with the
+ * parameters that have no value.
+ */
+const renderTemplate = (template, builtins, overrides = {}) => {
+    const { values, missing } = resolveParameters(template, builtins, overrides);
+    const unresolved = new Set(missing);
+    const render = (value) => renderValue(value, values, unresolved);
+
+    const changes = render(template.changes || []);
+    const tests = render(template.tests || []);
+    const config = render(template.config || []);
+    const steps = render(template.steps || []);
+    const validation = render(template.validation || {});
+
+    if (unresolved.size > 0) {
+        return { missing: [...unresolved] };
+    }
+
+    const withoutDescription = ({ description, ...change }) => change;
+    return {
+        parameters: Object.fromEntries(Object.keys(template.parameters || {}).map(name => [name, values[name]])),
+        changes: [
+            ...changes,
+            ...tests.map(withoutDescription),
+            ...config.filter(item => item.file).map(withoutDescription)
+        ],
+        tests: tests.map(test => ({ file: test.file, description: test.description })),
+        configuration: config.map(item => (item.env
+            ? { env: item.env, description: item.description }
+            : { file: item.file, description: item.description })),
+        steps,
+        validation: { commands: validation.commands || [] }
+    };
+};
+
+const templateFiles = (dir = TEMPLATES_DIR) => {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(name => EXTENSIONS.includes(path.extname(name)))
+        .sort()
+        .map(name => path.join(dir, name));
+};
+
+/**
+ * Load every template of the directory. Files that fail to parse or
+ * validate are reported through `onError` and skipped.
+ */
+const loadTemplates = (dir = TEMPLATES_DIR, onError = (file, message) => console.error(`Error loading template ${file}: ${message}`)) => {
+    const templates = {};
+    templateFiles(dir).forEach(file => {
+        try {
+            const template = readTemplateFile(file);
+            const issues = validateTemplate(template, path.basename(file));
+            if (issues.errors.length > 0) {
+                throw new Error(issues.errors.join('; '));
+            }
+            if (templates[template.id]) {
+                throw new Error(`id "${template.id}" is already used by ${path.relative(ROOT_DIR, templates[template.id].file)}`);
+            }
+            templates[template.id] = { ...template, file };
+        } catch (error) {
+            onError(path.relative(ROOT_DIR, file), error.message);
+        }
+    });
+    return templates;
+};
+
+const validateChange = (change, where, issues, options = {}) => {
+    if (!isMapping(change)) {
+        issues.errors.push(`${where}: expected a mapping`);
+        return;
+    }
+    if (typeof change.file !== 'string' || change.file === '') {
+        issues.errors.push(`${where}: file is required`);
+    } else if (path.isAbsolute(change.file) || change.file.split('/').includes('..')) {
+        issues.errors.push(`${where}: file must stay inside the service directory`);
+    }
+    if (options.description && typeof change.description !== 'string') {
+        issues.errors.push(`${where}: description is required`);
+    }
+
+    const kinds = CHANGE_KINDS.filter(kind => change[kind] !== undefined);
+    if (kinds.length !== 1) {
+        issues.errors.push(`${where}: needs exactly one of ${CHANGE_KINDS.join(', ')}`);
+        return;
+    }
+    if (change.create !== undefined && typeof change.create !== 'string') {
+        issues.errors.push(`${where}: create must be the file content`);
+    }
+    if (change.diff !== undefined && typeof change.diff !== 'string') {
+        issues.errors.push(`${where}: diff must be a unified diff`);
+    }
+    if (change.edits !== undefined) {
+        if (!Array.isArray(change.edits) || change.edits.length === 0) {
+            issues.errors.push(`${where}: edits must be a non-empty list`);
+            return;
+        }
+        change.edits.forEach((edit, index) => {
+            const editWhere = `${where} edits[${index}]`;
+            if (!isMapping(edit) || typeof edit.search !== 'string' || edit.search === '' || typeof edit.replace !== 'string') {
+                issues.errors.push(`${editWhere}: search and replace are required`);
+                return;
+            }
+            Object.keys(edit).filter(key => !EDIT_FIELDS.includes(key)).forEach(key => {
+                issues.warnings.push(`${editWhere}: unknown field "${key}"`);
+            });
+        });
+    }
+};
+
+/**
+ * Check a parsed template against the format. Returns { errors, warnings }.
+ */
+const validateTemplate = (template, label = 'template') => {
+    const issues = { errors: [], warnings: [] };
+    if (!isMapping(template)) {
+        issues.errors.push(`${label}: expected a mapping`);
+        return issues;
+    }
+
+    Object.keys(template).filter(key => !TEMPLATE_FIELDS.includes(key)).forEach(key => {
+        issues.warnings.push(`${label}: unknown field "${key}"`);
+    });
+
+    const expectedId = path.basename(label, path.extname(label));
+    if (typeof template.id !== 'string' || !/^[A-Za-z0-9][\w.-]*$/.test(template.id)) {
+        issues.errors.push(`${label}: id is required (letters, digits, ".", "_" and "-")`);
+    } else if (label !== 'template' && template.id !== expectedId) {
+        issues.errors.push(`${label}: id "${template.id}" does not match the file name`);
+    }
+    if (typeof template.description !== 'string' || template.description === '') {
+        issues.errors.push(`${label}: description is required`);
+    }
+    if (template.risk !== undefined && !RISKS.includes(template.risk)) {
+        issues.errors.push(`${label}: risk must be one of ${RISKS.join(', ')}`);
+    }
+    if (template.appliesTo !== undefined && (!Array.isArray(template.appliesTo) || template.appliesTo.some(item => typeof item !== 'string'))) {
+        issues.errors.push(`${label}: appliesTo must be a list of service ids`);
+    }
+
+    const parameters = template.parameters === undefined ? {} : template.parameters;
+    if (!isMapping(parameters)) {
+        issues.errors.push(`${label}: parameters must be a mapping of name to { description, default, required }`);
+    } else {
+        Object.entries(parameters).forEach(([name, spec]) => {
+            const where = `${label}: parameters.${name}`;
+            if (BUILTIN_PARAMETERS.includes(name)) {
+                issues.errors.push(`${where}: "${name}" is a built-in parameter`);
+            }
+            if (!isMapping(spec)) {
+                issues.errors.push(`${where}: expected a mapping`);
+                return;
+            }
+            Object.keys(spec).filter(key => !PARAMETER_FIELDS.includes(key)).forEach(key => {
+                issues.warnings.push(`${where}: unknown field "${key}"`);
+            });
+            if (spec.default !== undefined && ![].concat(spec.default).every(value => ['string', 'number'].includes(typeof value))) {
+                issues.errors.push(`${where}: default must be text or a list of text`);
+            }
+            if (spec.required !== undefined && typeof spec.required !== 'boolean') {
+                issues.errors.push(`${where}: required must be true or false`);
+            }
+        });
+    }
+
+    if (!Array.isArray(template.changes) || template.changes.length === 0) {
+        issues.errors.push(`${label}: changes must be a non-empty list`);
+    } else {
+        template.changes.forEach((change, index) => validateChange(change, `${label}: changes[${index}]`, issues));
+    }
+
+    if (!Array.isArray(template.tests) || template.tests.length === 0) {
+        issues.errors.push(`${label}: tests must list at least one test the fix adds`);
+    } else {
+        template.tests.forEach((test, index) => validateChange(test, `${label}: tests[${index}]`, issues, { description: true }));
+    }
+
+    if (template.config !== undefined) {
+        if (!Array.isArray(template.config)) {
+            issues.errors.push(`${label}: config must be a list`);
+        } else {
+            template.config.forEach((item, index) => {
+                const where = `${label}: config[${index}]`;
+                if (isMapping(item) && typeof item.env === 'string') {
+                    if (typeof item.description !== 'string') issues.errors.push(`${where}: description is required`);
+                } else {
+                    validateChange(item, where, issues, { description: true });
+                }
+            });
+        }
+    }
+
+    if (template.steps !== undefined && (!Array.isArray(template.steps) || template.steps.some(step => typeof step !== 'string'))) {
+        issues.errors.push(`${label}: steps must be a list of text`);
+    }
+
+    const commands = isMapping(template.validation) ? template.validation.commands : undefined;
+    if (!Array.isArray(commands) || commands.length === 0 || commands.some(command => typeof command !== 'string' || command === '')) {
+        issues.errors.push(`${label}: validation.commands must list at least one command`);
+    }
+
+    // Placeholders must name a declared or built-in parameter
+    const declared = isMapping(parameters) ? Object.keys(parameters) : [];
+    const used = placeholdersIn([template.changes, template.tests, template.config, template.steps, template.validation,
+        ...Object.values(isMapping(parameters) ? parameters : {}).map(spec => (isMapping(spec) ? spec.default : undefined))]);
+    used.forEach(({ name, filter }) => {
+        if (!declared.includes(name) && !BUILTIN_PARAMETERS.includes(name)) {
+            issues.errors.push(`${label}: unknown parameter "{{${name}}}"`);
+        }
+        if (filter && !FILTERS[filter]) {
+            issues.errors.push(`${label}: unknown filter "${filter}" in {{${name} | ${filter}}}, available: ${Object.keys(FILTERS).join(', ')}`);
+        }
+    });
+    declared.filter(name => !used.some(placeholder => placeholder.name === name)).forEach(name => {
+        issues.warnings.push(`${label}: parameter "${name}" is never used`);
+    });
+
+    return issues;
+};
+
+// Stand-in values to check that a template renders
+const SAMPLE_PARAMETERS = {
+    bugId: 'BUG-1700000000000-1',
+    service: 'sample_service',
+    serviceName: 'Sample Service',
+    title: 'Test failure: sample',
+    error: 'Error: sample failure',
+    errorMessage: 'Error: sample failure',
+    testCase: 'sample > fails',
+    component: 'services/sample',
+    file: 'src/services/sample.js',
+    line: 1,
+    function: 'sample',
+    affectedFile: 'src/services/sample.js',
+    fix: 'Sample fix'
+};
+
+/**
+ * Lint every template file: the format, a sample render, and that every
+ * auto-fix rule has a template. `autoFixRules` lists { service, rule } for
+ * the effective rules of all services; `services` the known service ids.
+ */
+const lintTemplates = (files, autoFixRules = [], services = []) => {
+    const results = [];
+    const ids = new Map();
+
+    files.forEach(file => {
+        const label = path.relative(ROOT_DIR, file);
+        const issues = { errors: [], warnings: [] };
+        let template;
+        try {
+            template = readTemplateFile(file);
+        } catch (error) {
+            issues.errors.push(`${label}: ${error.message}`);
+            results.push({ file: label, ...issues });
+            return;
+        }
+
+        const found = validateTemplate(template, label);
+        issues.errors.push(...found.errors);
+        issues.warnings.push(...found.warnings);
+
+        if (isMapping(template) && typeof template.id === 'string') {
+            if (ids.has(template.id)) {
+                issues.errors.push(`${label}: id "${template.id}" is already used by ${ids.get(template.id)}`);
+            }
+            ids.set(template.id, label);
+
+            (Array.isArray(template.appliesTo) ? template.appliesTo : [])
+                .filter(service => services.length > 0 && !services.includes(service))
+                .forEach(service => issues.errors.push(`${label}: appliesTo names unknown service "${service}"`));
+
+            if (found.errors.length === 0) {
+                // Parameters without a default come from the bug or the user, use stand-ins
+                const overrides = Object.fromEntries(Object.entries(template.parameters || {})
+                    .filter(([, spec]) => spec.default === undefined)
+                    .map(([name]) => [name, `sample-${name}`]));
+                try {
+                    const rendered = renderTemplate(template, SAMPLE_PARAMETERS, overrides);
+                    if (rendered.missing) {
+                        issues.errors.push(`${label}: does not render, no value for ${rendered.missing.join(', ')}`);
+                    }
+                } catch (error) {
+                    issues.errors.push(`${label}: does not render: ${error.message}`);
+                }
+
+                const users = autoFixRules.filter(entry => (entry.rule.autoFix.template || entry.rule.id) === template.id);
+                if (autoFixRules.length > 0 && users.length === 0) {
+                    issues.warnings.push(`${label}: no analysis rule uses this template`);
+                }
+            }
+        }
+        results.push({ file: label, ...issues });
+    });
+
+    // Auto-fix rules without a template only ever produce manual fixes
+    const missing = autoFixRules.filter(entry => !ids.has(entry.rule.autoFix.template || entry.rule.id));
+    if (missing.length > 0) {
+        results.push({
+            file: path.relative(ROOT_DIR, TEMPLATES_DIR),
+            errors: [],
+            warnings: missing.map(entry => `no template "${entry.rule.autoFix.template || entry.rule.id}" for rule ${entry.rule.id} of ${entry.service}, its fixes stay manual`)
+        });
+    }
+
+    return results;
+};
+
+module.exports = {
+    TEMPLATES_DIR,
+    BUILTIN_PARAMETERS,
+    templateFiles,
+    readTemplateFile,
+    loadTemplates,
+    validateTemplate,
+    lintTemplates,
+    bugParameters,
+    renderTemplate
+};
@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+
+/**
+ * NydArt Advisor - Fake GitHub Issues API
+ *
+ * In-memory stand-in for the part of the GitHub REST API that github-sync.js
+ * uses, so the sync can be tried and tested without touching real
+ * repositories:
+ *
+ *   GET    /repos/:owner/:repo/issues                state, labels, per_page, page
+ *   POST   /repos/:owner/:repo/issues
+ *   GET    /repos/:owner/:repo/issues/:number
+ *   PATCH  /repos/:owner/:repo/issues/:number        title, body, labels, state, state_reason
+ *   GET    /repos/:owner/:repo/issues/:number/comments
+ *   POST   /repos/:owner/:repo/issues/:number/comments
+ *
+ * Repositories exist as soon as they are used. Requests act as the login in
+ * the X-Fake-User header (default: the server's login), which lets a test
+ * play a person closing an issue or commenting. With a token configured,
+ * requests without it get 401 like GitHub.
+ *
+ * Usage: node scripts/github-fake.js [start] [--port <port>] [--host <host>] [--token <token>]
+ */
+
+const express = require('express');
+
+// Server configuration
+const CONFIG = {
+    port: Number(process.env.GITHUB_FAKE_PORT) || 5060,
+    host: '127.0.0.1',
+    login: 'nydart-bot',
+    defaultPerPage: 30,
+    maxPerPage: 100
+};
+
+const log = (message, type = 'info') => {
+    const timestamp = new Date().toISOString();
+    const prefix = type === 'error' ? '❌' : type === 'success' ? '✅' : type === 'warning' ? '⚠️' : 'ℹ️';
+    console.log(`${prefix} [${timestamp}] ${message}`);
+};
+
+const fail = (res, status, message) => res.status(status).json({ message, documentation_url: 'https://docs.github.com/rest' });
+
+const toLabels = (labels) => labels.map(label => ({ name: typeof label === 'string' ? label : label.name }));
+
+/**
+ * Express app of a fake GitHub. Returns { app, state }; state.repos maps
+ * "owner/repo" to { issues, comments } for inspection.
+ */
+const createFakeGitHub = (options = {}) => {
+    const login = options.login || CONFIG.login;
+    const state = { repos: new Map(), nextId: 1 };
+    const app = express();
+    app.use(express.json({ limit: '1mb' }));
+
+    app.use((req, res, next) => {
+        if (options.token && req.get('authorization') !== `Bearer ${options.token}` && req.get('authorization') !== `token ${options.token}`) {
+            fail(res, 401, 'Bad credentials');
+            return;
+        }
+        req.login = req.get('x-fake-user') || login;
+        next();
+    });
+
+    const repoOf = (req) => {
+        const key = `${req.params.owner}/${req.params.repo}`;
+        if (!state.repos.has(key)) state.repos.set(key, { key, issues: [], comments: [] });
+        return state.repos.get(key);
+    };
+
+    const issueOf = (req, res) => {
+        const repo = repoOf(req);
+        const issue = repo.issues.find(item => item.number === Number(req.params.number));
+        if (!issue) fail(res, 404, 'Not Found');
+        return issue;
+    };
+
+    const baseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+    app.get('/repos/:owner/:repo/issues', (req, res) => {
+        const wanted = req.query.state || 'open';
+        const labels = req.query.labels ? String(req.query.labels).split(',') : [];
+        const perPage = Math.min(Number(req.query.per_page) || CONFIG.defaultPerPage, CONFIG.maxPerPage);
+        const page = Math.max(Number(req.query.page) || 1, 1);
+
+        const issues = repoOf(req).issues
+            .filter(issue => wanted === 'all' || issue.state === wanted)
+            .filter(issue => labels.every(label => issue.labels.some(item => item.name === label)))
+            .sort((a, b) => b.number - a.number);
+
+        if (page * perPage < issues.length) {
+            const next = new URL(req.originalUrl, baseUrl(req));
+            next.searchParams.set('page', String(page + 1));
+            res.set('Link', `<${next}>; rel="next"`);
+        }
+        res.json(issues.slice((page - 1) * perPage, page * perPage));
+    });
+
+    app.post('/repos/:owner/:repo/issues', (req, res) => {
+        if (!req.body || typeof req.body.title !== 'string' || !req.body.title) {
+            fail(res, 422, 'Validation Failed: title is required');
+            return;
+        }
+        const repo = repoOf(req);
+        const now = new Date().toISOString();
+        const number = repo.issues.length + 1;
+        const issue = {
+            id: state.nextId++,
+            number,
+            title: req.body.title,
+            body: req.body.body || null,
+            labels: toLabels(req.body.labels || []),
+            state: 'open',
+            state_reason: null,
+            user: { login: req.login },
+            comments: 0,
+            html_url: `https://github.com/${repo.key}/issues/${number}`,
+            url: `${baseUrl(req)}/repos/${repo.key}/issues/${number}`,
+            created_at: now,
+            updated_at: now,
+            closed_at: null,
+            closed_by: null
+        };
+        repo.issues.push(issue);
+        res.status(201).json(issue);
+    });
+
+    app.get('/repos/:owner/:repo/issues/:number', (req, res) => {
+        const issue = issueOf(req, res);
+        if (issue) res.json(issue);
+    });
+
+    app.patch('/repos/:owner/:repo/issues/:number', (req, res) => {
+        const issue = issueOf(req, res);
+        if (!issue) return;
+        const changes = req.body || {};
+        if (changes.state && !['open', 'closed'].includes(changes.state)) {
+            fail(res, 422, 'Validation Failed: state must be open or closed');
+            return;
+        }
+
+        if (changes.title !== undefined) issue.title = changes.title;
+        if (changes.body !== undefined) issue.body = changes.body;
+        if (changes.labels !== undefined) issue.labels = toLabels(changes.labels);
+        if (changes.state === 'closed' && issue.state === 'open') {
+            issue.state = 'closed';
+            issue.state_reason = changes.state_reason || 'completed';
+            issue.closed_at = new Date().toISOString();
+            issue.closed_by = { login: req.login };
+        } else if (changes.state === 'open' && issue.state === 'closed') {
+            issue.state = 'open';
+            issue.state_reason = 'reopened';
+            issue.closed_at = null;
+            issue.closed_by = null;
+        }
+        issue.updated_at = new Date().toISOString();
+        res.json(issue);
+    });
+
+    app.get('/repos/:owner/:repo/issues/:number/comments', (req, res) => {
+        const issue = issueOf(req, res);
+        if (issue) res.json(repoOf(req).comments.filter(comment => comment.issueNumber === issue.number));
+    });
+
+    app.post('/repos/:owner/:repo/issues/:number/comments', (req, res) => {
+        const issue = issueOf(req, res);
+        if (!issue) return;
+        if (!req.body || typeof req.body.body !== 'string' || !req.body.body) {
+            fail(res, 422, 'Validation Failed: body is required');
+            return;
+        }
+        const now = new Date().toISOString();
+        const id = state.nextId++;
+        const comment = {
+            id,
+            issueNumber: issue.number,
+            body: req.body.body,
+            user: { login: req.login },
+            html_url: `${issue.html_url}#issuecomment-${id}`,
+            created_at: now,
+            updated_at: now
+        };
+        repoOf(req).comments.push(comment);
+        issue.comments++;
+        issue.updated_at = now;
+        res.status(201).json(comment);
+    });
+
+    app.use((req, res) => fail(res, 404, 'Not Found'));
+
+    return { app, state };
+};
+
+const startFakeGitHub = (options = {}) => {
+    const { app, state } = createFakeGitHub(options);
+    const port = options.port !== undefined ? options.port : CONFIG.port;
+    const host = options.host || CONFIG.host;
+
+    return new Promise((resolve, reject) => {
+        const server = app.listen(port, host, (error) => {
+            if (error) {
+                reject(error);
+                return;
+            }
+            log(`Fake GitHub API listening on http://${host}:${server.address().port}`, 'success');
+            resolve({ server, state });
+        });
+    });
+};
+
+// CLI interface
+const getOption = (args, name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+};
+
+const main = async (args) => {
+    const command = args[0] && !args[0].startsWith('--') ? args[0] : 'start';
+
+    switch (command) {
+        case 'start': {
+            const port = getOption(args, '--port');
+            const { server } = await startFakeGitHub({
+                port: port !== undefined ? Number(port) : undefined,
+                host: getOption(args, '--host'),
+                token: getOption(args, '--token')
+            });
+            const stop = () => server.close(() => process.exit(0));
+            process.on('SIGINT', stop);
+            process.on('SIGTERM', stop);
+            break;
+        }
+
+        case 'help':
+        default:
+            console.log(`
+NydArt Advisor Fake GitHub Issues API
+
+Usage: node scripts/github-fake.js [start] [--port <port>] [--host <host>] [--token <token>]
+
+Serves an in-memory GitHub Issues API (default http://${CONFIG.host}:${CONFIG.port},
+or GITHUB_FAKE_PORT) for trying github-sync.js. Data is lost on exit.
+
+Example:
+  node scripts/github-fake.js start --token test &
+  GITHUB_API_URL=http://127.0.0.1:${CONFIG.port} GITHUB_TOKEN=test npm run bug:sync
+`);
+            break;
+    }
+};
+
+// Run CLI if called directly
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        log(error.message, 'error');
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    CONFIG,
+    createFakeGitHub,
+    startFakeGitHub
+};
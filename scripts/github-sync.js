@@ -0,0 +1,527 @@
+#!/usr/bin/env node
+
+/**
+ * NydArt Advisor - GitHub Issues Sync
+ *
+ * Keeps bugs and GitHub issues in the service repositories of the org in
+ * step, both ways:
+ *
+ *   bug                     issue
+ *   title               <-> title
+ *   severity, category  <-> labels severity:<level>, category:<category>
+ *   state               ->  label state:<state> and the body
+ *   resolved / closed   <-> closed (wont_fix and duplicate as "not planned")
+ *   comments            <-> comments
+ *
+ * The issue lives in the repository of the bug's service (services.json) and
+ * its number is kept on the bug (bug.github), along with the values of the
+ * last sync. A field changed on one side since then is copied to the other;
+ * changed on both sides it is a conflict, left alone and reported until
+ * `--prefer bug|github` settles it. Issues closed or reopened on GitHub
+ * resolve or reopen the bug as the person who did it ("github:<login>").
+ *
+ * All HTTP goes through createGitHubClient, whose transport can be replaced;
+ * GITHUB_API_URL points it at another server such as github-fake.js.
+ *
+ * Usage: node scripts/github-sync.js <sync|status> [options]
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const BugTracker = require('./bug-tracker');
+const registry = require('./service-registry');
+
+const { SEVERITY_LEVELS, BUG_CATEGORIES } = BugTracker;
+
+// Sync configuration
+const CONFIG = {
+    apiUrl: process.env.GITHUB_API_URL || 'https://api.github.com',
+    owner: process.env.GITHUB_OWNER || null, // default: "org" of services.json
+    timeout: 15000,
+    userAgent: 'nydart-bug-tracker',
+    actor: 'github', // actor of changes pulled from GitHub when the person is unknown
+    trackerLabel: 'bug-tracker',
+    labelPrefixes: { severity: 'severity:', category: 'category:', state: 'state:' }
+};
+
+const SYNCED_FIELDS = ['title', 'severity', 'category', 'open'];
+const BUG_MARKER = /<!-- nydart-bug: (\S+) -->/;
+const COMMENT_MARKER = /<!-- nydart-comment: (\S+) -->/;
+
+const log = (message, type = 'info') => {
+    const timestamp = new Date().toISOString();
+    const prefix = type === 'error' ? '❌' : type === 'success' ? '✅' : type === 'warning' ? '⚠️' : 'ℹ️';
+    console.log(`${prefix} [${timestamp}] ${message}`);
+};
+
+// HTTP layer
+
+const axiosTransport = async (request) => {
+    const response = await axios({ ...request, validateStatus: () => true });
+    return { status: response.status, headers: response.headers, data: response.data };
+};
+
+const nextLink = (header) => {
+    const match = /<([^>]+)>;\s*rel="next"/.exec(header || '');
+    return match ? match[1] : null;
+};
+
+const apiError = (method, url, response) => {
+    const detail = response.data && response.data.message ? response.data.message : `HTTP ${response.status}`;
+    const limited = (response.status === 403 || response.status === 429) && response.headers['x-ratelimit-remaining'] === '0';
+    const error = new Error(`GitHub ${method} ${url} failed (${response.status}): ${limited ? 'rate limit exceeded' : detail}`);
+    error.status = response.status;
+    error.code = 'GITHUB_API_ERROR';
+    return error;
+};
+
+/**
+ * GitHub Issues client. options.transport(request) -> { status, headers,
+ * data } performs the HTTP requests (default: axios), options.baseUrl and
+ * options.token default to GITHUB_API_URL and GITHUB_TOKEN. Non-2xx answers
+ * throw with error.status set.
+ */
+const createGitHubClient = (options = {}) => {
+    const baseUrl = (options.baseUrl || CONFIG.apiUrl).replace(/\/$/, '');
+    const token = options.token !== undefined ? options.token : process.env.GITHUB_TOKEN;
+    const transport = options.transport || axiosTransport;
+
+    const request = async (method, url, data) => {
+        const response = await transport({
+            method,
+            url: url.startsWith('http') ? url : `${baseUrl}${url}`,
+            data,
+            headers: {
+                Accept: 'application/vnd.github+json',
+                'X-GitHub-Api-Version': '2022-11-28',
+                'User-Agent': CONFIG.userAgent,
+                ...(token ? { Authorization: `Bearer ${token}` } : {})
+            },
+            timeout: CONFIG.timeout
+        });
+        if (response.status < 200 || response.status >= 300) {
+            throw apiError(method, url, response);
+        }
+        return response;
+    };
+
+    // All pages, following the Link header
+    const paginate = async (url) => {
+        const items = [];
+        for (let next = url; next;) {
+            const response = await request('GET', next);
+            items.push(...response.data);
+            next = nextLink(response.headers.link);
+        }
+        return items;
+    };
+
+    return {
+        listIssues: async (repo, query = {}) => {
+            const params = new URLSearchParams({ state: 'all', per_page: '100', ...query });
+            const issues = await paginate(`/repos/${repo}/issues?${params}`);
+            return issues.filter(issue => !issue.pull_request);
+        },
+        getIssue: async (repo, number) => (await request('GET', `/repos/${repo}/issues/${number}`)).data,
+        createIssue: async (repo, issue) => (await request('POST', `/repos/${repo}/issues`, issue)).data,
+        updateIssue: async (repo, number, changes) => (await request('PATCH', `/repos/${repo}/issues/${number}`, changes)).data,
+        listComments: (repo, number) => paginate(`/repos/${repo}/issues/${number}/comments?per_page=100`),
+        createComment: async (repo, number, body) => (await request('POST', `/repos/${repo}/issues/${number}/comments`, { body })).data
+    };
+};
+
+// Bug <-> issue mapping
+
+const fence = (text) => {
+    let marks = '```';
+    while (text.includes(marks)) marks += '`';
+    return `${marks}\n${text}\n${marks}`;
+};
+
+const issueBody = (bug) => {
+    const lines = [
+        `<!-- nydart-bug: ${bug.id} -->`,
+        `**${bug.id}** · service \`${bug.service}\` · severity **${bug.severity}** · category \`${bug.category}\` · state \`${bug.state}\``,
+        ''
+    ];
+    if (bug.description) lines.push(bug.description, '');
+    if (bug.errorMessage) lines.push('**Error**', fence(bug.errorMessage), '');
+    if (bug.codeLocation && bug.codeLocation.file) {
+        lines.push(`**Location:** \`${bug.codeLocation.file}${bug.codeLocation.line ? `:${bug.codeLocation.line}` : ''}\``, '');
+    }
+    if (bug.resolution) {
+        lines.push(`**Resolution:** ${bug.resolution.resolutionType}${bug.resolution.description ? ` - ${bug.resolution.description}` : ''}`, '');
+    }
+    lines.push('_Synced from the NydArt bug tracker: title, labels, open/closed and comments sync both ways, this description is regenerated._');
+    return lines.join('\n');
+};
+
+const commentBody = (comment) => [
+    `<!-- nydart-comment: ${comment.id} -->`,
+    `**${comment.author || 'unknown'}** commented in the bug tracker:`,
+    '',
+    comment.content || ''
+].join('\n');
+
+const hash = (text) => crypto.createHash('sha1').update(text).digest('hex');
+
+const labelNames = (issue) => (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name));
+
+const isOwnLabel = (name) => name === CONFIG.trackerLabel || Object.values(CONFIG.labelPrefixes).some(prefix => name.startsWith(prefix));
+
+// Tracker labels for the given values, after the issue's other labels
+const issueLabels = (issue, values, state) => [
+    ...(issue ? labelNames(issue).filter(name => !isOwnLabel(name)) : []),
+    CONFIG.trackerLabel,
+    `${CONFIG.labelPrefixes.severity}${values.severity}`,
+    `${CONFIG.labelPrefixes.category}${values.category}`,
+    `${CONFIG.labelPrefixes.state}${state}`
+];
+
+// The one valid value of a label group, undefined when missing or ambiguous
+const labelValue = (issue, prefix, allowed) => {
+    const values = labelNames(issue)
+        .filter(name => name.startsWith(prefix))
+        .map(name => name.slice(prefix.length))
+        .filter(value => allowed.includes(value));
+    return values.length === 1 ? values[0] : undefined;
+};
+
+const remoteValues = (issue) => ({
+    title: issue.title,
+    severity: labelValue(issue, CONFIG.labelPrefixes.severity, Object.values(SEVERITY_LEVELS)),
+    category: labelValue(issue, CONFIG.labelPrefixes.category, Object.values(BUG_CATEGORIES)),
+    open: issue.state === 'open'
+});
+
+const closeReason = (bug) => (bug.resolution && ['wont_fix', 'duplicate'].includes(bug.resolution.resolutionType) ? 'not_planned' : 'completed');
+
+/**
+ * Three-way merge of the synced fields against `base`, the values of the
+ * last sync (null for a first sync, where the bug wins). Returns the values
+ * to pull into the bug, the merged values and the conflicts; `prefer`
+ * ("bug" or "github") settles conflicts instead.
+ */
+const mergeValues = (base, local, remote, prefer) => {
+    const result = { pull: {}, merged: {}, conflicts: [] };
+
+    SYNCED_FIELDS.forEach(field => {
+        // A removed or doubled label is no change
+        const remoteValue = remote[field] === undefined ? (base ? base[field] : local[field]) : remote[field];
+        if (local[field] === remoteValue) {
+            result.merged[field] = local[field];
+            return;
+        }
+
+        const localChanged = !base || local[field] !== base[field];
+        const remoteChanged = Boolean(base) && remoteValue !== base[field];
+        if (localChanged && remoteChanged && !prefer) {
+            result.conflicts.push({ field, bug: local[field], github: remoteValue, base: base[field] });
+            result.merged[field] = remoteValue;
+            return;
+        }
+
+        if (remoteChanged && (!localChanged || prefer === 'github')) {
+            result.pull[field] = remoteValue;
+            result.merged[field] = remoteValue;
+        } else {
+            result.merged[field] = local[field];
+        }
+    });
+
+    return result;
+};
+
+// Sync engine
+
+class GitHubSync {
+    /**
+     * options.client is a createGitHubClient() result, options.owner the
+     * GitHub org (default: GITHUB_OWNER or the services.json org),
+     * options.prefer settles conflicts ("bug" or "github").
+     */
+    constructor(options = {}) {
+        this.tracker = options.tracker || new BugTracker();
+        this.client = options.client || createGitHubClient();
+        this.owner = options.owner || CONFIG.owner || registry.loadManifest().org;
+        this.prefer = options.prefer || null;
+        this.issueIndex = new Map(); // repository -> Map(bugId -> issue)
+
+        if (this.prefer && !['bug', 'github'].includes(this.prefer)) {
+            throw new Error(`Unknown conflict preference "${this.prefer}", use bug or github`);
+        }
+    }
+
+    repositoryFor(bug) {
+        const service = registry.getService(bug.service);
+        return service ? `${this.owner}/${service.repo}` : null;
+    }
+
+    // Tracker issues of a repository by bug id, for bugs that lost their link
+    async findIssue(repository, bugId) {
+        if (!this.issueIndex.has(repository)) {
+            const issues = await this.client.listIssues(repository, { labels: CONFIG.trackerLabel });
+            const index = new Map();
+            issues.forEach(issue => {
+                const marker = BUG_MARKER.exec(issue.body || '');
+                if (marker && !index.has(marker[1])) index.set(marker[1], issue);
+            });
+            this.issueIndex.set(repository, index);
+        }
+        return this.issueIndex.get(repository).get(bugId) || null;
+    }
+
+    localValues(bug) {
+        return { title: bug.title, severity: bug.severity, category: bug.category, open: this.tracker.isOpen(bug) };
+    }
+
+    /**
+     * Sync every bug linked to an issue, and every open bug without one
+     * (options.all: resolved and closed bugs too). options.service limits
+     * the run to one service. Returns a summary; failures of single bugs are
+     * collected in summary.errors, authentication failures stop the run.
+     */
+    async sync(options = {}) {
+        const service = options.service ? registry.getService(options.service) : null;
+        if (options.service && !service) {
+            throw new Error(`Unknown service: ${options.service}`);
+        }
+
+        const summary = { created: [], updated: [], pulled: [], conflicts: [], skipped: [], errors: [], commentsPushed: 0, commentsPulled: 0 };
+        const bugIds = this.tracker.reload().bugs
+            .filter(bug => !service || (registry.getService(bug.service) || {}).id === service.id)
+            .filter(bug => bug.github || options.all || this.tracker.isOpen(bug))
+            .map(bug => bug.id);
+
+        for (const bugId of bugIds) {
+            try {
+                await this.syncBug(bugId, summary);
+            } catch (error) {
+                if (error.status === 401 || error.status === 403) throw error;
+                summary.errors.push({ bugId, message: error.message });
+            }
+        }
+        return summary;
+    }
+
+    async syncBug(bugId, summary) {
+        let bug = this.tracker.reload().findBug(bugId);
+        const repository = this.repositoryFor(bug);
+        if (!repository) {
+            summary.skipped.push({ bugId, reason: `service "${bug.service}" is not in services.json` });
+            return;
+        }
+
+        // The linked issue, or one that carries the bug's marker
+        const linked = bug.github && bug.github.repository === repository ? bug.github : null;
+        let issue = linked
+            ? await this.client.getIssue(repository, linked.number)
+            : await this.findIssue(repository, bug.id);
+
+        if (!issue) {
+            issue = await this.client.createIssue(repository, {
+                title: bug.title,
+                body: issueBody(bug),
+                labels: issueLabels(null, bug, bug.state)
+            });
+            if (!this.tracker.isOpen(bug)) {
+                issue = await this.client.updateIssue(repository, issue.number, { state: 'closed', state_reason: closeReason(bug) });
+            }
+            summary.created.push({ bugId, issue: issue.html_url });
+        }
+
+        const base = linked ? linked.synced : null;
+        const { pull, merged, conflicts } = mergeValues(base, this.localValues(bug), remoteValues(issue), this.prefer);
+
+        // GitHub -> bug
+        if (Object.keys(pull).length > 0) {
+            bug = this.pull(bug, issue, pull);
+            summary.pulled.push({ bugId, fields: Object.keys(pull).map(field => (field === 'open' ? 'open/closed' : field)) });
+        }
+        conflicts.forEach(conflict => summary.conflicts.push({ bugId, issue: issue.html_url, ...conflict }));
+
+        // Bug -> GitHub, leaving conflicting fields as GitHub has them
+        const body = issueBody(bug);
+        const changes = {};
+        if (merged.title !== issue.title) changes.title = merged.title;
+        const labels = issueLabels(issue, merged, bug.state);
+        if ([...labels].sort().join('\n') !== [...labelNames(issue)].sort().join('\n')) changes.labels = labels;
+        if ((!base || hash(body) !== base.bodyHash) && body !== issue.body) changes.body = body;
+        if (merged.open !== (issue.state === 'open')) {
+            changes.state = merged.open ? 'open' : 'closed';
+            if (!merged.open) changes.state_reason = closeReason(bug);
+        }
+        if (Object.keys(changes).length > 0) {
+            issue = await this.client.updateIssue(repository, issue.number, changes);
+            summary.updated.push({ bugId, fields: Object.keys(changes) });
+        }
+
+        const comments = await this.syncComments(repository, issue, bug, linked ? linked.comments : {}, summary);
+
+        // Conflicting fields keep their last synced value, so they stay conflicts
+        const synced = { ...merged, bodyHash: hash(body) };
+        conflicts.forEach(conflict => { synced[conflict.field] = conflict.base; });
+
+        this.tracker.linkIssue(bug.id, {
+            repository,
+            number: issue.number,
+            url: issue.html_url,
+            syncedAt: new Date().toISOString(),
+            synced,
+            comments,
+            conflicts: conflicts.map(({ field, bug: bugValue, github }) => ({ field, bug: bugValue, github }))
+        });
+    }
+
+    // Apply GitHub changes to the bug, as the person when GitHub names one
+    pull(bug, issue, pull) {
+        const { open, ...fields } = pull;
+        if (Object.keys(fields).length > 0) {
+            this.tracker.updateBug(bug.id, fields, { actor: CONFIG.actor });
+        }
+        if (open === false) {
+            this.tracker.resolveBug(bug.id, {
+                type: issue.state_reason === 'not_planned' ? 'wont_fix' : 'fixed',
+                description: `Issue closed on GitHub: ${issue.html_url}`,
+                resolvedBy: issue.closed_by ? `github:${issue.closed_by.login}` : CONFIG.actor
+            });
+        } else if (open === true) {
+            this.tracker.reopenBug(bug.id, {
+                reason: `Issue reopened on GitHub: ${issue.html_url}`,
+                reopenedBy: CONFIG.actor
+            });
+        }
+        return this.tracker.reload().findBug(bug.id);
+    }
+
+    /**
+     * Copy new comments both ways. `known` maps bug comment ids to GitHub
+     * comment ids of earlier syncs; returns the updated map.
+     */
+    async syncComments(repository, issue, bug, known = {}, summary) {
+        const map = { ...known };
+        const remoteComments = await this.client.listComments(repository, issue.number);
+
+        // Comments posted by an earlier sync whose map was lost
+        remoteComments.forEach(comment => {
+            const marker = COMMENT_MARKER.exec(comment.body || '');
+            if (marker && !map[marker[1]]) map[marker[1]] = comment.id;
+        });
+
+        const localComments = bug.comments || [];
+        const mapped = new Set(Object.values(map).map(String));
+
+        remoteComments
+            .filter(comment => !mapped.has(String(comment.id)) && !COMMENT_MARKER.test(comment.body || ''))
+            .forEach(comment => {
+                const added = this.tracker.addComment(bug.id, {
+                    author: `github:${comment.user ? comment.user.login : 'unknown'}`,
+                    content: comment.body,
+                    type: 'github'
+                });
+                map[added.id] = comment.id;
+                summary.commentsPulled++;
+            });
+
+        for (const comment of localComments.filter(item => !map[item.id])) {
+            const posted = await this.client.createComment(repository, issue.number, commentBody(comment));
+            map[comment.id] = posted.id;
+            summary.commentsPushed++;
+        }
+
+        return map;
+    }
+}
+
+// CLI interface
+const getOption = (args, name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+};
+
+const main = async (args) => {
+    const command = args[0];
+
+    switch (command) {
+        case 'sync': {
+            const sync = new GitHubSync({ prefer: getOption(args, '--prefer') });
+            log(`Syncing bugs with GitHub issues of ${sync.owner} (${CONFIG.apiUrl})`);
+            const summary = await sync.sync({ service: getOption(args, '--service'), all: args.includes('--all') });
+
+            summary.created.forEach(item => log(`${item.bugId}: created ${item.issue}`, 'success'));
+            summary.pulled.forEach(item => log(`${item.bugId}: took ${item.fields.join(', ')} from GitHub`));
+            summary.updated.forEach(item => log(`${item.bugId}: updated ${item.fields.join(', ')} on GitHub`));
+            summary.conflicts.forEach(item => log(`${item.bugId}: ${item.field} changed on both sides (bug: ${item.bug}, GitHub: ${item.github}), rerun with --prefer bug|github`, 'warning'));
+            summary.skipped.forEach(item => log(`${item.bugId}: skipped, ${item.reason}`, 'warning'));
+            summary.errors.forEach(item => log(`${item.bugId}: ${item.message}`, 'error'));
+            log(`${summary.created.length} created, ${summary.updated.length} updated, ${summary.pulled.length} pulled, ` +
+                `${summary.commentsPushed}/${summary.commentsPulled} comment(s) pushed/pulled, ${summary.conflicts.length} conflict(s)`,
+                summary.errors.length > 0 ? 'error' : 'success');
+            if (summary.errors.length > 0) process.exit(1);
+            break;
+        }
+
+        case 'status': {
+            const tracker = new BugTracker();
+            const linked = tracker.bugs.filter(bug => bug.github);
+            if (linked.length === 0) {
+                log('No bugs are linked to GitHub issues yet');
+                break;
+            }
+            console.table(linked.map(bug => ({
+                id: bug.id,
+                issue: `${bug.github.repository}#${bug.github.number}`,
+                state: bug.state,
+                syncedAt: bug.github.syncedAt,
+                conflicts: (bug.github.conflicts || []).map(conflict => conflict.field).join(', ')
+            })));
+            break;
+        }
+
+        case 'help':
+        default:
+            console.log(`
+NydArt Advisor GitHub Issues Sync
+
+Usage: node scripts/github-sync.js <command> [options]
+
+Commands:
+  sync [--service <name>] [--prefer bug|github] [--all]
+    Two-way sync of bugs and issues in the service repositories. Open bugs
+    without an issue get one (--all: resolved and closed bugs too). Fields
+    changed on both sides are reported as conflicts and left alone, unless
+    --prefer says which side wins
+
+  status
+    List linked bugs, their issues and open conflicts
+
+Environment:
+  GITHUB_TOKEN     token with issues read/write access to the service repos
+  GITHUB_API_URL   API base URL (default: https://api.github.com)
+  GITHUB_OWNER     org or user owning the repos (default: "org" in services.json)
+  BUG_DATA_DIR, BUG_STORAGE  as for bug-tracker.js
+
+Examples:
+  GITHUB_TOKEN=... npm run bug:sync -- --service auth
+  node scripts/github-fake.js start --token test &
+  GITHUB_API_URL=http://127.0.0.1:5060 GITHUB_TOKEN=test npm run bug:sync
+`);
+            break;
+    }
+};
+
+// Run CLI if called directly
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        log(error.message, 'error');
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    CONFIG,
+    createGitHubClient,
+    mergeValues,
+    issueBody,
+    GitHubSync
+};
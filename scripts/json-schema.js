@@ -0,0 +1,121 @@
+/**
+ * NydArt Advisor - JSON Schema Validation
+ *
+ * Validates values against the subset of JSON Schema (draft-07) the bug
+ * tracker API uses for its request bodies, without a dependency:
+ *
+ *   type (string or list), enum, const
+ *   properties, required, minProperties,
+ *   additionalProperties (boolean or schema)
+ *   items, minItems, maxItems, uniqueItems
+ *   minLength, maxLength, pattern, format (date-time)
+ *   minimum, maximum
+ *   anyOf
+ *
+ * Unknown keywords are ignored, as JSON Schema does.
+ */
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const FORMATS = {
+    'date-time': (value) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(value) && !Number.isNaN(Date.parse(value))
+};
+
+const pointer = (where, key) => `${where}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+
+/**
+ * Validate `value` against `schema`. Returns a list of
+ * { path, message } (JSON pointer paths, "" for the root); empty when valid.
+ */
+const validateSchema = (schema, value, where = '') => {
+    const errors = [];
+    const fail = (message, at = where) => errors.push({ path: at, message });
+
+    if (schema.anyOf) {
+        const passing = schema.anyOf.some(option => validateSchema(option, value, where).length === 0);
+        if (!passing) fail('does not match any of the allowed forms');
+        return errors;
+    }
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            fail(`must be ${types.join(' or ')}`);
+            return errors;
+        }
+    }
+    if (schema.const !== undefined && value !== schema.const) {
+        fail(`must be ${JSON.stringify(schema.const)}`);
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        fail(`must be one of ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            fail(`must match ${schema.pattern}`);
+        }
+        if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+            fail(`must be a ${schema.format}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item(s)`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} item(s)`);
+        if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+            fail('must not contain duplicates');
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, pointer(where, index))));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+            fail(`must have at least ${schema.minProperties} propert${schema.minProperties === 1 ? 'y' : 'ies'}`);
+        }
+        (schema.required || [])
+            .filter(key => !Object.hasOwn(value, key) || value[key] === undefined)
+            .forEach(key => fail('is required', pointer(where, key)));
+
+        Object.entries(value).forEach(([key, item]) => {
+            // Own properties only: "constructor", "toString" or "__proto__" are not declared
+            if (Object.hasOwn(properties, key)) {
+                errors.push(...validateSchema(properties[key], item, pointer(where, key)));
+            } else if (schema.additionalProperties === false) {
+                fail('is not an allowed property', pointer(where, key));
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                errors.push(...validateSchema(schema.additionalProperties, item, pointer(where, key)));
+            }
+        });
+    }
+
+    return errors;
+};
+
+module.exports = {
+    validateSchema
+};
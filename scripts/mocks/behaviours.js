@@ -0,0 +1,115 @@
+/**
+ * NydArt Advisor - Mock Server Behaviours
+ *
+ * Scripted behaviours let a scenario inject latency, failures and 401s into
+ * the mock servers. A scenario file looks like:
+ *
+ * {
+ *   "auth": [
+ *     { "method": "POST", "path": "/api/auth/login", "latency": 1500 },
+ *     { "path": "/api/auth/*", "status": 503, "times": 2 },
+ *     { "path": "/api/health", "unauthorized": true, "rate": 0.5 }
+ *   ],
+ *   "*": [{ "latency": [50, 200] }]
+ * }
+ *
+ * Keys are service aliases or ids ("*" applies to every service). Each rule
+ * can match on method and path (a trailing "*" matches a prefix) and apply:
+ *   latency       delay in ms, or [min, max] for a random delay
+ *   status/body   reply with this status (and optional JSON body)
+ *   unauthorized  shorthand for a 401 reply
+ *   times         only apply to the first N matching requests
+ *   rate          probability (0-1) that the rule applies to a request
+ */
+
+const fs = require('fs');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const loadScenario = (file) => {
+    if (!file) return {};
+    const scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+    validateScenario(scenario);
+    return scenario;
+};
+
+const validateScenario = (scenario) => {
+    Object.entries(scenario).forEach(([key, rules]) => {
+        if (!Array.isArray(rules)) {
+            throw new Error(`Scenario entry "${key}" must be an array of rules`);
+        }
+        rules.forEach((rule, index) => {
+            const label = `${key}[${index}]`;
+            if (rule.rate !== undefined && (rule.rate < 0 || rule.rate > 1)) {
+                throw new Error(`${label}: rate must be between 0 and 1`);
+            }
+            if (rule.times !== undefined && (!Number.isInteger(rule.times) || rule.times < 0)) {
+                throw new Error(`${label}: times must be a non-negative integer`);
+            }
+            if (rule.status !== undefined && (!Number.isInteger(rule.status) || rule.status < 100 || rule.status > 599)) {
+                throw new Error(`${label}: status must be an HTTP status code`);
+            }
+            const latency = [].concat(rule.latency ?? []);
+            if (latency.some(value => typeof value !== 'number' || value < 0)) {
+                throw new Error(`${label}: latency must be a number or [min, max]`);
+            }
+        });
+    });
+};
+
+const rulesFor = (scenario, service) => {
+    return [...(scenario['*'] || []), ...(scenario[service.alias] || []), ...(scenario[service.id] || [])]
+        .map(rule => ({ ...rule, hits: 0 }));
+};
+
+const matches = (rule, req) => {
+    if (rule.method && rule.method.toUpperCase() !== req.method) return false;
+    if (!rule.path) return true;
+    if (rule.path.endsWith('*')) return req.path.startsWith(rule.path.slice(0, -1));
+    return req.path === rule.path;
+};
+
+const pickLatency = (latency) => {
+    if (Array.isArray(latency)) {
+        const [min, max] = latency;
+        return min + Math.random() * (max - min);
+    }
+    return latency || 0;
+};
+
+/**
+ * Express middleware applying the service's scripted behaviours. The rule
+ * list lives on `controls.rules` so it can be replaced at runtime.
+ */
+const createBehaviourMiddleware = (controls) => async (req, res, next) => {
+    if (req.path.startsWith('/__mock')) return next();
+
+    for (const rule of controls.rules) {
+        if (!matches(rule, req)) continue;
+        if (rule.times !== undefined && rule.hits >= rule.times) continue;
+        if (rule.rate !== undefined && Math.random() >= rule.rate) continue;
+
+        rule.hits++;
+
+        const delay = pickLatency(rule.latency);
+        if (delay > 0) {
+            await sleep(delay);
+        }
+
+        if (rule.unauthorized) {
+            return res.status(401).json(rule.body || { error: 'Unauthorized' });
+        }
+        if (rule.status) {
+            return res.status(rule.status).json(rule.body || { error: `Mock failure (${rule.status})` });
+        }
+    }
+
+    next();
+};
+
+module.exports = {
+    loadScenario,
+    validateScenario,
+    rulesFor,
+    createBehaviourMiddleware
+};
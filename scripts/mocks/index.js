@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * NydArt Advisor - Local Mock Servers
+ *
+ * Boots stand-in auth/db/ai/payment/notification/metrics/front servers on the
+ * registry ports so the test book, test data setup and the security and
+ * performance suites can run without MongoDB, OpenAI, Stripe or SendGrid.
+ *
+ * Every mock also exposes a small control API:
+ *   GET  /__mock/requests     requests received so far
+ *   GET  /__mock/behaviours   active scripted behaviours
+ *   PUT  /__mock/behaviours   replace the scripted behaviours (JSON array)
+ *   POST /__mock/reset        clear requests and restore the scenario rules
+ */
+
+const express = require('express');
+const registry = require('../service-registry');
+const routes = require('./routes');
+const { loadScenario, validateScenario, rulesFor, createBehaviourMiddleware } = require('./behaviours');
+
+const log = (message, type = 'info') => {
+    const timestamp = new Date().toISOString();
+    const prefix = type === 'error' ? '❌' : type === 'success' ? '✅' : type === 'warning' ? '⚠️' : 'ℹ️';
+    console.log(`${prefix} [${timestamp}] ${message}`);
+};
+
+const createStore = () => ({
+    users: new Map(),
+    tokens: new Map(),
+    artworks: new Map()
+});
+
+const createMockApp = (service, store, scenario) => {
+    const app = express();
+    const controls = { rules: rulesFor(scenario, service), requests: [] };
+
+    app.use(express.json());
+    app.use((req, res, next) => {
+        if (!req.path.startsWith('/__mock')) {
+            controls.requests.push({ method: req.method, path: req.path, at: new Date().toISOString() });
+        }
+        next();
+    });
+
+    // Control API
+    app.get('/__mock/requests', (req, res) => res.json(controls.requests));
+    app.get('/__mock/behaviours', (req, res) => res.json(controls.rules));
+    app.put('/__mock/behaviours', (req, res) => {
+        try {
+            validateScenario({ [service.alias]: req.body });
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        controls.rules = req.body.map(rule => ({ ...rule, hits: 0 }));
+        res.json(controls.rules);
+    });
+    app.post('/__mock/reset', (req, res) => {
+        controls.rules = rulesFor(scenario, service);
+        controls.requests = [];
+        res.status(204).end();
+    });
+
+    app.use(createBehaviourMiddleware(controls));
+
+    app.get(service.healthPath, (req, res) => {
+        res.json({ status: 'ok', service: service.id, mock: true, timestamp: new Date().toISOString() });
+    });
+
+    if (routes[service.alias]) {
+        routes[service.alias](app, store);
+    }
+
+    app.use((req, res) => {
+        res.status(404).json({ error: `Mock ${service.alias} has no route ${req.method} ${req.path}` });
+    });
+
+    return { app, controls };
+};
+
+const listen = (app, port) => new Promise((resolve, reject) => {
+    const server = app.listen(port);
+    server.once('listening', () => resolve(server));
+    server.once('error', reject);
+});
+
+/**
+ * Start mock servers for the given services (default: every registered one).
+ * Resolves to { servers, store, stop() }.
+ */
+const startMockServers = async (options = {}) => {
+    const services = options.services || registry.getServices();
+    const scenario = options.scenario || {};
+    const store = createStore();
+    const servers = [];
+
+    try {
+        for (const service of services) {
+            const { app, controls } = createMockApp(service, store, scenario);
+            const server = await listen(app, service.port);
+            servers.push({ service, server, controls });
+            if (!options.quiet) {
+                log(`Mock ${service.alias} listening on ${registry.baseUrl(service)}`, 'success');
+            }
+        }
+    } catch (error) {
+        servers.forEach(({ server }) => server.close());
+        throw new Error(`Could not start mock servers: ${error.message}`);
+    }
+
+    const stop = () => Promise.all(servers.map(({ server }) => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+    })));
+
+    return { servers, store, stop };
+};
+
+const parseServices = (value) => {
+    if (!value) return registry.getServices();
+    return value.split(',').map(key => {
+        const service = registry.getService(key.trim());
+        if (!service) {
+            throw new Error(`Unknown service "${key}"`);
+        }
+        return service;
+    });
+};
+
+const main = async (args) => {
+    const optionValue = (name) => {
+        const index = args.indexOf(name);
+        return index !== -1 ? args[index + 1] : undefined;
+    };
+
+    const { stop } = await startMockServers({
+        services: parseServices(optionValue('--services')),
+        scenario: loadScenario(optionValue('--scenario'))
+    });
+
+    log('Mock servers running. Press Ctrl+C to stop.');
+
+    const shutdown = async () => {
+        await stop();
+        log('Mock servers stopped', 'success');
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+};
+
+// Run CLI if called directly
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    if (args.includes('--help') || args.includes('-h')) {
+        console.log(`
+NydArt Advisor Mock Servers
+
+Usage: node scripts/mocks/index.js [options]
+
+Options:
+  --help, -h           Show this help message
+  --services <list>    Only start these services (comma-separated aliases)
+  --scenario <file>    JSON file of scripted behaviours (latency, failures, 401s)
+
+Examples:
+  node scripts/mocks/index.js
+  node scripts/mocks/index.js --services auth,db
+  node scripts/mocks/index.js --scenario scripts/mocks/scenarios/flaky-auth.json
+`);
+        process.exit(0);
+    }
+
+    main(args).catch(error => {
+        log(error.message, 'error');
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    startMockServers,
+    createMockApp
+};
@@ -0,0 +1,116 @@
+/**
+ * NydArt Advisor - Mock Service Routes
+ *
+ * Endpoint implementations for the stand-in servers, keyed by registry alias.
+ * They cover what the project scripts call; anything else gets a JSON 404.
+ * All services share one in-memory store so a token issued by the auth mock
+ * is accepted by the db mock.
+ */
+
+const crypto = require('crypto');
+
+const EMAIL_PATTERN = /^[^\s@'";]+@[^\s@'";]+\.[^\s@'";]+$/;
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const publicUser = (user) => ({ id: user.id, email: user.email, name: user.name, role: user.role });
+
+const requireToken = (store) => (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    const userId = token && store.tokens.get(token);
+
+    if (!userId) {
+        return res.status(401).json({ error: 'Invalid token' });
+    }
+    req.user = store.users.get(userId);
+    next();
+};
+
+const auth = (app, store) => {
+    // Registration is idempotent so the same fixture user can be registered
+    // from several test book phases.
+    app.post('/api/auth/register', (req, res) => {
+        const { email, password, name } = req.body || {};
+        if (!email || !EMAIL_PATTERN.test(email) || !password) {
+            return res.status(400).json({ error: 'Email and password are required' });
+        }
+
+        const existing = [...store.users.values()].find(user => user.email === email);
+        const user = {
+            id: existing ? existing.id : crypto.randomUUID(),
+            email,
+            password,
+            name: escapeHtml(name || ''),
+            role: 'user'
+        };
+        store.users.set(user.id, user);
+
+        res.status(201).json({ user: publicUser(user) });
+    });
+
+    app.post('/api/auth/login', (req, res) => {
+        const { email, password } = req.body || {};
+        if (!email || !EMAIL_PATTERN.test(email)) {
+            return res.status(400).json({ error: 'Invalid email' });
+        }
+
+        const user = [...store.users.values()].find(candidate => candidate.email === email);
+        if (!user || user.password !== password) {
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        const token = crypto.randomBytes(24).toString('hex');
+        store.tokens.set(token, user.id);
+        res.json({ token, user: publicUser(user) });
+    });
+};
+
+const db = (app, store) => {
+    app.get('/api/users/profile', requireToken(store), (req, res) => {
+        res.json({ user: publicUser(req.user) });
+    });
+
+    app.get('/api/artworks', (req, res) => {
+        res.json({ artworks: [...store.artworks.values()] });
+    });
+
+    app.post('/api/artworks', (req, res) => {
+        const { title } = req.body || {};
+        if (!title) {
+            return res.status(400).json({ error: 'Title is required' });
+        }
+
+        const artwork = { ...req.body, id: crypto.randomUUID(), createdAt: new Date().toISOString() };
+        store.artworks.set(artwork.id, artwork);
+        res.status(201).json({ artwork });
+    });
+};
+
+const front = (app) => {
+    app.get('/', (req, res) => {
+        res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head><title>NydArt Advisor (mock)</title></head>
+<body>
+  <a class="skip-navigation" href="#main">Skip to content</a>
+  <nav aria-label="Main navigation"><a href="/">Home</a></nav>
+  <main id="main">
+    <h1>NydArt Advisor</h1>
+    <img src="/logo.png" alt="NydArt Advisor logo">
+  </main>
+</body>
+</html>`);
+    });
+};
+
+module.exports = {
+    auth,
+    db,
+    front
+};
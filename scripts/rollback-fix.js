@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+
+/**
+ * NydArt Advisor - Fix Rollback and Backup Management
+ *
+ * Before an automated fix is written, BugAnalyzer.applyFix stores a backup of
+ * exactly the files the fix touches in backup/<service>-<timestamp>/:
+ *
+ *   manifest.json   bug, fix service and, per file, whether it existed and
+ *                   its sha256 before and after the fix
+ *   files/...       copies of the original files
+ *
+ * Rolling back restores those files (and deletes files the fix created),
+ * verifies every checksum, records a fix_rolled_back history entry and moves
+ * the bug back to fixing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const BugTracker = require('./bug-tracker');
+const registry = require('./service-registry');
+const { writeFileAtomic } = require('./bug-storage');
+
+// Configuration
+const CONFIG = {
+    backupDir: 'backup',
+    manifestFile: 'manifest.json',
+    pruneOlderThanDays: 30
+};
+
+const log = (message, type = 'info') => {
+    const timestamp = new Date().toISOString();
+    const prefix = type === 'error' ? '❌' : type === 'success' ? '✅' : type === 'warning' ? '⚠️' : 'ℹ️';
+    console.log(`${prefix} [${timestamp}] ${message}`);
+};
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+const fileChecksum = (filePath) => (fs.existsSync(filePath) ? sha256(fs.readFileSync(filePath)) : null);
+
+const readManifest = (backupDir) => {
+    const manifestPath = path.join(backupDir, CONFIG.manifestFile);
+    if (!fs.existsSync(manifestPath)) {
+        throw new Error(`No ${CONFIG.manifestFile} in ${backupDir}`);
+    }
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+};
+
+const writeManifest = (backupDir, manifest) => {
+    writeFileAtomic(path.join(backupDir, CONFIG.manifestFile), JSON.stringify(manifest, null, 2));
+};
+
+/**
+ * Back up the files a planned fix (see fix-patches.planChanges) is about to
+ * change. Returns the absolute backup directory.
+ */
+const createFixBackup = ({ bugId, service, plan }) => {
+    const createdAt = new Date().toISOString();
+    const backupDir = path.resolve(CONFIG.backupDir, `${service.id}-${createdAt.replace(/[:.]/g, '-')}`);
+    fs.mkdirSync(path.join(backupDir, 'files'), { recursive: true });
+
+    const files = plan.files.map(entry => {
+        if (entry.before !== null) {
+            const copy = path.join(backupDir, 'files', entry.file);
+            fs.mkdirSync(path.dirname(copy), { recursive: true });
+            fs.writeFileSync(copy, entry.before);
+        }
+        return {
+            file: entry.file,
+            existed: entry.before !== null,
+            before: entry.before !== null ? sha256(entry.before) : null,
+            after: sha256(entry.after)
+        };
+    });
+
+    writeManifest(backupDir, {
+        bugId,
+        service: service.id,
+        servicePath: registry.servicePath(service),
+        createdAt,
+        files
+    });
+
+    return backupDir;
+};
+
+/**
+ * Restore the files of `bugId`'s fix from its backup. Files changed since the
+ * fix was applied are not overwritten unless `options.force` is set.
+ */
+const rollbackFix = (bugId, options = {}) => {
+    const tracker = options.tracker || new BugTracker();
+    const bug = tracker.findBug(bugId);
+
+    if (!bug.fix) {
+        throw new Error(`Bug ${bugId} has no fix to roll back`);
+    }
+    if (bug.fix.status === 'rolled_back') {
+        throw new Error(`The fix ${bug.fix.id} of ${bugId} was already rolled back on ${bug.fix.rolledBackAt}`);
+    }
+    if (!bug.fix.backup) {
+        throw new Error(`The fix ${bug.fix.id} of ${bugId} has no recorded backup, roll it back manually`);
+    }
+
+    const actor = options.rolledBackBy || 'system';
+    const reason = options.reason || 'Fix rolled back';
+    tracker.assertTransition(bug, BugTracker.BUG_STATES.FIXING, { actor, reason });
+
+    const manifest = readManifest(bug.fix.backup);
+    const problems = [];
+
+    // Verify the backup itself and detect files edited after the fix
+    manifest.files.forEach(entry => {
+        const current = fileChecksum(path.join(manifest.servicePath, entry.file));
+        if (entry.existed && fileChecksum(path.join(bug.fix.backup, 'files', entry.file)) !== entry.before) {
+            problems.push(`${entry.file}: backup copy is missing or corrupt`);
+        }
+        if (current !== entry.after && !options.force) {
+            problems.push(`${entry.file}: changed since the fix was applied (use --force to overwrite)`);
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new Error(`Cannot roll back ${bugId}:\n  ${problems.join('\n  ')}`);
+    }
+
+    const restored = manifest.files.map(entry => {
+        const target = path.join(manifest.servicePath, entry.file);
+        if (entry.existed) {
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            writeFileAtomic(target, fs.readFileSync(path.join(bug.fix.backup, 'files', entry.file)));
+        } else {
+            fs.rmSync(target, { force: true });
+        }
+
+        if (fileChecksum(target) !== entry.before) {
+            throw new Error(`Checksum mismatch after restoring ${entry.file}`);
+        }
+        return entry.file;
+    });
+
+    tracker.rollbackFix(bugId, { rolledBackBy: actor, reason, files: restored });
+
+    return { bugId, backup: bug.fix.backup, files: restored, git: bug.fix.git || null };
+};
+
+// Backup snapshots, newest first. Old directories without a manifest are
+// whole-service snapshots from earlier versions.
+const listBackups = (tracker = new BugTracker()) => {
+    const root = path.resolve(CONFIG.backupDir);
+    if (!fs.existsSync(root)) return [];
+
+    const activeBackups = new Set(tracker.bugs
+        .filter(bug => bug.fix && bug.fix.backup && bug.fix.status !== 'rolled_back')
+        .map(bug => bug.fix.backup));
+
+    return fs.readdirSync(root, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => {
+            const dir = path.join(root, entry.name);
+            let manifest = null;
+            try {
+                manifest = readManifest(dir);
+            } catch (error) {
+                // legacy snapshot
+            }
+            return {
+                name: entry.name,
+                path: dir,
+                bugId: manifest ? manifest.bugId : null,
+                service: manifest ? manifest.service : null,
+                createdAt: manifest ? manifest.createdAt : fs.statSync(dir).mtime.toISOString(),
+                files: manifest ? manifest.files.length : null,
+                active: activeBackups.has(dir)
+            };
+        })
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+};
+
+/**
+ * Delete backups older than `olderThanDays`, always keeping the newest `keep`
+ * per service and the backups of fixes that could still be rolled back.
+ */
+const pruneBackups = (options = {}) => {
+    const olderThanDays = options.olderThanDays !== undefined ? options.olderThanDays : CONFIG.pruneOlderThanDays;
+    const cutoff = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+    const keptPerService = {};
+
+    const pruned = listBackups(options.tracker).filter(backup => {
+        const key = backup.service || backup.name.replace(/-\d{4}-.*$|-\d+$/, '');
+        keptPerService[key] = (keptPerService[key] || 0) + 1;
+
+        if (backup.active && !options.force) return false;
+        if (keptPerService[key] <= (options.keep || 0)) return false;
+        return new Date(backup.createdAt).getTime() < cutoff;
+    });
+
+    if (!options.dryRun) {
+        pruned.forEach(backup => fs.rmSync(backup.path, { recursive: true, force: true }));
+    }
+    return pruned;
+};
+
+const getOption = (args, name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+};
+
+// CLI interface
+const main = (args) => {
+    const command = args[0];
+
+    switch (command) {
+        case 'backup': {
+            const subcommand = args[1] || 'list';
+
+            if (subcommand === 'list') {
+                const backups = listBackups();
+                if (backups.length === 0) {
+                    log(`No backups in ${CONFIG.backupDir}/`);
+                    break;
+                }
+                console.table(backups.map(backup => ({
+                    name: backup.name,
+                    bug: backup.bugId || '(legacy snapshot)',
+                    created: backup.createdAt,
+                    files: backup.files === null ? '-' : backup.files,
+                    active: backup.active ? 'yes' : ''
+                })));
+            } else if (subcommand === 'prune') {
+                const dryRun = args.includes('--dry-run');
+                const olderThan = getOption(args, '--older-than');
+                const keep = getOption(args, '--keep');
+                const pruned = pruneBackups({
+                    olderThanDays: olderThan !== undefined ? Number(olderThan) : undefined,
+                    keep: keep !== undefined ? Number(keep) : 0,
+                    force: args.includes('--force'),
+                    dryRun
+                });
+                pruned.forEach(backup => log(`${dryRun ? 'Would delete' : 'Deleted'} ${backup.name}`));
+                log(`${dryRun ? 'Would prune' : 'Pruned'} ${pruned.length} backup(s)`, 'success');
+            } else {
+                throw new Error(`Unknown backup command "${subcommand}" (expected list or prune)`);
+            }
+            break;
+        }
+
+        case undefined:
+        case 'help':
+        case '--help':
+        case '-h':
+            console.log(`
+NydArt Advisor Fix Rollback
+
+Usage: node scripts/rollback-fix.js <command> [options]
+
+Commands:
+  <bugId> [--reason <text>] [--by <actor>] [--force]
+    Restore the files changed by the bug's fix from its backup, verify
+    checksums and move the bug back to fixing. --force overwrites files that
+    were edited after the fix was applied
+
+  backup list
+    List fix backups (active = the fix can still be rolled back)
+
+  backup prune [--older-than <days>] [--keep <n>] [--force] [--dry-run]
+    Delete backups older than ${CONFIG.pruneOlderThanDays} days (or --older-than), keeping the newest
+    <n> per service. Backups of active fixes are kept unless --force
+
+Examples:
+  node scripts/rollback-fix.js BUG-1234567890-123 --reason "Broke login on Safari"
+  node scripts/rollback-fix.js backup list
+  node scripts/rollback-fix.js backup prune --older-than 7 --keep 2
+`);
+            break;
+
+        default: {
+            const result = rollbackFix(command, {
+                reason: getOption(args, '--reason'),
+                rolledBackBy: getOption(args, '--by') || process.env.BUG_ACTOR || process.env.USER,
+                force: args.includes('--force')
+            });
+            result.files.forEach(file => log(`Restored ${file}`));
+            log(`Rolled back the fix of ${result.bugId} from ${result.backup}; the bug is back in fixing`, 'success');
+            if (result.git) {
+                log(`The fix commit ${result.git.commit.slice(0, 12)} is still on ${result.git.branch}, the restore is left uncommitted`, 'warning');
+            }
+            break;
+        }
+    }
+};
+
+// Run CLI if called directly
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (error) {
+        log(error.message, 'error');
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    createFixBackup,
+    rollbackFix,
+    listBackups,
+    pruneBackups
+};
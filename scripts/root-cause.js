@@ -0,0 +1,367 @@
+/**
+ * NydArt Advisor - Evidence-based Root Cause Analysis
+ *
+ * Derives a 5-Whys chain from what is actually known about a bug instead of
+ * fixed text per category. Evidence is collected first, each item gets an id
+ * (E1, E2, ...) and every "why" lists the evidence it was derived from:
+ *
+ *   occurrences    how often and since when the failure was seen, reopens
+ *   rule_pattern   analysis rules (scripts/rules/) the error message matches
+ *   stack_frame    application frames of the stack trace
+ *   commit         recent commits touching the files in those frames
+ *   related_bug    other bugs with the same error message or code location
+ *
+ * The chain goes from the symptom to the most systemic finding the evidence
+ * supports; the last why is the root cause.
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { normalizeMessage, parseFrames } = require('./bug-fingerprint');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+const CONFIG = {
+    maxFrames: 3,
+    commitLookbackDays: 90,
+    maxCommits: 5,
+    maxRelatedBugs: 5,
+    gitTimeout: 10000
+};
+
+const firstLine = (text) => String(text || '').split('\n')[0].trim();
+
+const frameLabel = (frame) => `${frame.function} (${frame.file}${frame.line ? `:${frame.line}` : ''})`;
+
+/**
+ * Recent commits touching `file` (relative to the project root). Service
+ * directories are separate clones, so git runs in the file's own directory.
+ */
+const gitLog = (file, options = {}) => {
+    const absolute = path.resolve(ROOT_DIR, file);
+    if (!fs.existsSync(absolute)) return [];
+
+    try {
+        const output = execFileSync('git', [
+            '-C', path.dirname(absolute),
+            'log',
+            `--since=${options.days || CONFIG.commitLookbackDays} days ago`,
+            '-n', String(options.max || CONFIG.maxCommits),
+            '--format=%H%x1f%an%x1f%aI%x1f%s',
+            '--', absolute
+        ], { encoding: 'utf8', timeout: CONFIG.gitTimeout, stdio: ['ignore', 'pipe', 'ignore'] });
+
+        return output.split('\n').filter(Boolean).map(line => {
+            const [sha, author, date, subject] = line.split('\x1f');
+            return { sha, author, date, subject, file };
+        });
+    } catch (error) {
+        // not a git checkout, or git is not installed
+        return [];
+    }
+};
+
+const relatedBugs = (bug, bugs, frames) => {
+    const message = normalizeMessage(bug.errorMessage || bug.title);
+    const files = new Set(frames.map(frame => frame.file));
+
+    return bugs
+        .filter(other => other.id !== bug.id)
+        .map(other => {
+            const reasons = [];
+            if (bug.errorMessage && normalizeMessage(other.errorMessage || other.title) === message) {
+                reasons.push('same error message');
+            }
+            const sharedFile = parseFrames(other.stackTrace).find(frame => files.has(frame.file));
+            if (sharedFile) {
+                reasons.push(`same code location ${sharedFile.file}`);
+            }
+            if (bug.component && other.service === bug.service && other.component === bug.component) {
+                reasons.push(`same component ${bug.component}`);
+            }
+            return { bug: other, reasons };
+        })
+        .filter(entry => entry.reasons.length > 0)
+        .slice(0, CONFIG.maxRelatedBugs);
+};
+
+/**
+ * Collect the evidence for a bug.
+ *   options.bugs      all tracked bugs, for related bugs
+ *   options.patterns  rule matches from BugAnalyzer.matchRulePatterns
+ *   options.gitLog    commit lookup, (file) => commits
+ */
+const gatherEvidence = (bug, options = {}) => {
+    const evidence = [];
+    const add = (type, summary, data) => {
+        const item = { id: `E${evidence.length + 1}`, type, summary, data };
+        evidence.push(item);
+        return item;
+    };
+
+    const occurrences = bug.occurrences || 1;
+    const reopenCount = bug.reopenCount || 0;
+    add('occurrences',
+        `Seen ${occurrences} time(s) since ${bug.detectedAt}` +
+        (bug.lastSeenAt && occurrences > 1 ? `, last on ${bug.lastSeenAt}` : '') +
+        (reopenCount > 0 ? `, reopened ${reopenCount} time(s)` : ''),
+        {
+            occurrences,
+            detectedAt: bug.detectedAt,
+            lastSeenAt: bug.lastSeenAt || bug.detectedAt,
+            reopenCount,
+            previousFixes: (bug.previousCycles || []).map(cycle => cycle.fix && cycle.fix.id).filter(Boolean)
+        });
+
+    (options.patterns || []).forEach(pattern => {
+        const summary = pattern.type === 'auto-fix'
+            ? `Matches the known failure "${pattern.name}" of ${bug.service}: ${pattern.rule.fix}`
+            : `Matches the ${bug.service} ${pattern.level} pattern ${pattern.pattern}`;
+        add('rule_pattern', summary, pattern);
+    });
+
+    const frames = parseFrames(bug.stackTrace).slice(0, CONFIG.maxFrames);
+    frames.forEach(frame => add('stack_frame', `Raised in ${frameLabel(frame)}`, frame));
+
+    const lookup = options.gitLog || gitLog;
+    const seen = new Set();
+    [...new Set(frames.map(frame => frame.file))].forEach(file => {
+        lookup(file)
+            .filter(commit => !seen.has(commit.sha))
+            .forEach(commit => {
+                seen.add(commit.sha);
+                add('commit',
+                    `${commit.sha.slice(0, 7)} ${commit.date.slice(0, 10)} ${commit.author}: ${commit.subject} (touches ${commit.file})`,
+                    commit);
+            });
+    });
+
+    relatedBugs(bug, options.bugs || [], frames).forEach(({ bug: other, reasons }) => {
+        add('related_bug', `${other.id} (${other.state}): ${reasons.join(', ')}`, {
+            bugId: other.id,
+            state: other.state,
+            reasons
+        });
+    });
+
+    return evidence;
+};
+
+const ofType = (evidence, type) => evidence.filter(item => item.type === type);
+
+const ids = (items) => items.map(item => item.id);
+
+// Candidate answers ordered from the symptom to the most systemic cause
+const findings = (bug, evidence) => {
+    const result = [];
+    const occurrences = ofType(evidence, 'occurrences')[0];
+    const patterns = ofType(evidence, 'rule_pattern');
+    const frames = ofType(evidence, 'stack_frame');
+    const commits = ofType(evidence, 'commit');
+    const related = ofType(evidence, 'related_bug');
+
+    result.push({
+        kind: 'symptom',
+        answer: bug.errorMessage
+            ? `${bug.testCase || bug.title} fails with "${firstLine(bug.errorMessage)}"`
+            : `${bug.title}${bug.actualBehavior ? `: ${firstLine(bug.actualBehavior)}` : ''}`,
+        evidence: ids([occurrences])
+    });
+
+    if (frames.length > 0) {
+        const top = frames[0].data;
+        result.push({
+            kind: 'location',
+            answer: `The error is raised in ${frameLabel(top)}` +
+                (frames.length > 1 ? `, called from ${frames.slice(1).map(item => frameLabel(item.data)).join(' <- ')}` : ''),
+            evidence: ids(frames)
+        });
+    }
+
+    const autoFix = patterns.filter(item => item.data.type === 'auto-fix');
+    if (autoFix.length > 0) {
+        result.push({
+            kind: 'known_pattern',
+            answer: `It is the known ${bug.service} failure "${autoFix[0].data.name}" (known fix: ${autoFix[0].data.rule.fix})`,
+            evidence: ids(patterns)
+        });
+    } else if (patterns.length > 0) {
+        result.push({
+            kind: 'known_pattern',
+            answer: `The error matches the ${patterns[0].data.level} ${bug.service} pattern ${patterns[0].data.pattern}`,
+            evidence: ids(patterns)
+        });
+    }
+
+    if (commits.length > 0) {
+        const latest = commits[0].data;
+        result.push({
+            kind: 'recent_change',
+            answer: `${latest.file} was changed recently by ${latest.sha.slice(0, 7)} "${latest.subject}" (${latest.author}, ${latest.date.slice(0, 10)})` +
+                (commits.length > 1 ? ` and ${commits.length - 1} other commit(s)` : ''),
+            evidence: ids(commits)
+        });
+    } else if (frames.length > 0) {
+        result.push({
+            kind: 'untested_path',
+            answer: `No recent commit touches ${frames[0].data.file}: the defect is long-standing and no test covered this path before ${bug.testCase || 'this report'}`,
+            evidence: ids(frames)
+        });
+    }
+
+    if (occurrences.data.reopenCount > 0) {
+        result.push({
+            kind: 'fix_did_not_hold',
+            answer: `Earlier fixes (${occurrences.data.previousFixes.join(', ') || 'unrecorded'}) did not hold: the bug was reopened ${occurrences.data.reopenCount} time(s)`,
+            evidence: ids([occurrences])
+        });
+    } else if (occurrences.data.occurrences > 1) {
+        result.push({
+            kind: 'recurring',
+            answer: `The failure keeps recurring (${occurrences.data.occurrences} occurrences) without being fixed`,
+            evidence: ids([occurrences])
+        });
+    }
+
+    if (related.length > 0) {
+        const location = frames.length > 0 ? frames[0].data.file : (bug.component || bug.service);
+        result.push({
+            kind: 'systemic',
+            answer: `${related.length} other bug(s) share this error or code location (${related.map(item => item.data.bugId).join(', ')}): ${location} is a recurring weak spot`,
+            evidence: ids(related)
+        });
+    }
+
+    return result;
+};
+
+// Fill why1..why5 and the root cause from the (possibly edited) chain
+const finalizeChain = (analysis) => {
+    analysis.whys = analysis.whys.map((why, index) => ({ ...why, level: index + 1 }));
+    for (let level = 1; level <= 5; level++) {
+        const why = analysis.whys[level - 1];
+        analysis[`why${level}`] = why ? why.answer : null;
+    }
+
+    const last = analysis.whys[analysis.whys.length - 1];
+    if (analysis.rootCauseEdited) {
+        return analysis;
+    }
+    if (!last || (last.kind === 'symptom' && !last.edited)) {
+        analysis.rootCause = 'Unknown: no evidence beyond the symptom (add a stack trace or review the analysis with --interactive)';
+        analysis.rootCauseKind = 'insufficient_evidence';
+        analysis.rootCauseEvidence = [];
+    } else {
+        analysis.rootCause = last.answer;
+        analysis.rootCauseKind = last.kind;
+        analysis.rootCauseEvidence = last.evidence;
+    }
+    return analysis;
+};
+
+/**
+ * Build the 5-Whys chain for a bug. Returns { evidence, whys, why1..why5,
+ * rootCause, rootCauseKind, rootCauseEvidence }.
+ */
+const analyzeBug = (bug, options = {}) => {
+    const evidence = gatherEvidence(bug, options);
+    const candidates = findings(bug, evidence);
+
+    // Keep the symptom and the most systemic finding when there are more than five
+    const whys = candidates.length > 5
+        ? [...candidates.slice(0, 4), candidates[candidates.length - 1]]
+        : candidates;
+
+    return finalizeChain({ evidence, whys });
+};
+
+const formatAnalysis = (analysis) => {
+    const evidenceById = Object.fromEntries(analysis.evidence.map(item => [item.id, item]));
+    const lines = [`Root cause analysis of ${analysis.bugId}${analysis.reviewedBy ? ` (reviewed by ${analysis.reviewedBy})` : ''}`, ''];
+
+    analysis.whys.forEach(why => {
+        lines.push(`Why ${why.level}: ${why.answer}${why.edited ? ' (edited)' : ''}`);
+        why.evidence.forEach(id => lines.push(`    [${id}] ${evidenceById[id] ? evidenceById[id].summary : 'unknown evidence'}`));
+    });
+
+    lines.push('', `Root cause: ${analysis.rootCause}`);
+    if (analysis.solutions && analysis.solutions.length > 0) {
+        lines.push('', 'Solutions:', ...analysis.solutions.map(solution => `  - ${solution}`));
+    }
+    return lines.join('\n');
+};
+
+/**
+ * Walk an engineer through the chain: every why can be accepted, replaced or
+ * dropped, further whys added (up to five) and the root cause rewritten.
+ */
+const reviewAnalysis = async (analysis, options = {}) => {
+    const readline = require('readline');
+    const output = options.output || process.stdout;
+    const rl = readline.createInterface({ input: options.input || process.stdin, output });
+
+    // Queue answers so piped input is not lost between questions
+    const lines = [];
+    const waiting = [];
+    let closed = false;
+    const aborted = () => new Error('Review aborted before it was finished, nothing was saved');
+    rl.on('line', line => (waiting.length > 0 ? waiting.shift().resolve(line) : lines.push(line)));
+    rl.on('close', () => {
+        closed = true;
+        waiting.splice(0).forEach(pending => pending.reject(aborted()));
+    });
+    const ask = (prompt) => {
+        output.write(prompt);
+        if (lines.length > 0) return Promise.resolve(lines.shift());
+        if (closed) return Promise.reject(aborted());
+        return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    };
+
+    const evidenceById = Object.fromEntries(analysis.evidence.map(item => [item.id, item]));
+
+    try {
+        output.write(`Evidence for ${analysis.bugId || 'the bug'}:\n`);
+        analysis.evidence.forEach(item => output.write(`  [${item.id}] ${item.summary}\n`));
+
+        const whys = [];
+        for (const why of analysis.whys) {
+            output.write(`\nWhy ${whys.length + 1}: ${why.answer}\n`);
+            why.evidence.forEach(id => output.write(`    [${id}] ${evidenceById[id].summary}\n`));
+
+            const answer = (await ask('  Enter = accept, "-" = drop, or type a replacement: ')).trim();
+            if (answer === '-') continue;
+            whys.push(answer ? { ...why, answer, edited: true, original: why.answer } : why);
+        }
+
+        while (whys.length < 5) {
+            const extra = (await ask(`\nAdd why ${whys.length + 1} (Enter to finish): `)).trim();
+            if (!extra) break;
+            whys.push({ kind: 'manual', answer: extra, evidence: [], edited: true });
+        }
+
+        analysis.whys = whys;
+        finalizeChain(analysis);
+
+        const rootCause = (await ask(`\nRoot cause: ${analysis.rootCause}\n  Enter = accept, or type a replacement: `)).trim();
+        if (rootCause) {
+            analysis.rootCause = rootCause;
+            analysis.rootCauseEdited = true;
+        }
+
+        analysis.reviewedBy = options.reviewer || 'system';
+        analysis.reviewedAt = new Date().toISOString();
+        return analysis;
+    } finally {
+        rl.close();
+    }
+};
+
+module.exports = {
+    gitLog,
+    gatherEvidence,
+    analyzeBug,
+    finalizeChain,
+    formatAnalysis,
+    reviewAnalysis
+};
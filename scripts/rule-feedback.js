@@ -0,0 +1,252 @@
+/**
+ * NydArt Advisor - Analysis Rule Feedback
+ *
+ * Every failure the analyzer grades is logged with the rules it matched and
+ * the rule (or fallback) that decided its severity and category. When a
+ * person later changes the severity or category of that bug, the correction
+ * is logged too. Both go to rule-feedback.jsonl in the bug data directory,
+ * which outlives bug eviction and archiving:
+ *
+ *   { type: 'classified', at, bugId, service, newBug, matchedRules,
+ *     severity: { value, rule, source }, category: { value, rule, source } }
+ *   { type: 'corrected', at, bugId, service, field, from, to, rule, source, user }
+ *
+ * `source` is "rule", "default" (no rule sets a severity), "keywords" (the
+ * category heuristics) or "caller" (the category was given by the caller).
+ *
+ * From the log we compute, per rule, how often its severity or category was
+ * kept, and suggest rules to promote, demote, recategorize or delete.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FEEDBACK_FILE = 'rule-feedback.jsonl';
+
+// Severity order, most severe first
+const SEVERITY_ORDER = ['critical', 'high', 'medium', 'low'];
+
+// Fallback deciders reported next to the rules
+const FALLBACKS = {
+    default: '(no rule: default)',
+    keywords: '(no rule: keywords)'
+};
+
+const SUGGESTION_DEFAULTS = {
+    minSamples: 5, // decisions needed before a rule is judged
+    lowPrecision: 0.5, // below this, change what the rule sets
+    deletePrecision: 0.2, // below this for everything it sets, the rule does more harm than good
+    unusedAfter: 100 // analyzed failures of a service before a rule that never matched is dead
+};
+
+const feedbackPath = (dataDir) => path.join(dataDir, FEEDBACK_FILE);
+
+const appendFeedback = (dataDir, event) => {
+    const entry = { at: new Date().toISOString(), ...event };
+    fs.appendFileSync(feedbackPath(dataDir), JSON.stringify(entry) + '\n');
+    return entry;
+};
+
+const readFeedback = (dataDir) => {
+    const file = feedbackPath(dataDir);
+    if (!fs.existsSync(file)) return [];
+
+    return fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim()).flatMap((line, index) => {
+        try {
+            return [JSON.parse(line)];
+        } catch (error) {
+            console.warn(`⚠️  ${FEEDBACK_FILE} line ${index + 1} is not valid JSON, skipped`);
+            return [];
+        }
+    });
+};
+
+/**
+ * Build the classification record stored on a new bug from an
+ * evaluateRules() result and the final severity/category.
+ */
+const describeClassification = (result, severity, category, categorySource) => ({
+    matchedRules: result.matches.map(match => match.rule.id),
+    severity: result.severity && result.severity.value === severity
+        ? { value: severity, rule: result.severity.rule, source: 'rule' }
+        : { value: severity, rule: null, source: 'default' },
+    category: categorySource === 'caller'
+        ? { value: category, rule: null, source: 'caller' }
+        : result.category && result.category.value === category
+            ? { value: category, rule: result.category.rule, source: 'rule' }
+            : { value: category, rule: null, source: 'keywords' },
+    classifiedAt: new Date().toISOString()
+});
+
+const deciderName = (decision) => decision.rule || FALLBACKS[decision.source];
+
+const emptyFieldStats = () => ({ decided: 0, kept: 0, corrected: 0, precision: null, suggested: {}, correctedTo: {} });
+
+const emptyRuleStats = (service, rule) => ({
+    service,
+    rule,
+    hits: 0,
+    bugs: 0,
+    severity: emptyFieldStats(),
+    category: emptyFieldStats()
+});
+
+/**
+ * Per-rule statistics from the feedback log. `hits` counts every analyzed
+ * failure the rule matched (repeated occurrences included), `bugs` the new
+ * bugs it matched; severity/category count the new bugs where the rule
+ * decided the field and whether a person later changed it. Only the last
+ * correction counts: a field changed and then set back is kept.
+ *
+ * `normalizeService` maps the service names found in the log (aliases) to
+ * one key.
+ */
+const computeRuleStats = (events, options = {}) => {
+    const normalizeService = options.normalizeService || (service => service);
+    const stats = new Map();
+    const ruleStats = (service, rule) => {
+        const key = `${service}\u0000${rule}`;
+        if (!stats.has(key)) stats.set(key, emptyRuleStats(service, rule));
+        return stats.get(key);
+    };
+
+    const classified = new Map();
+    const finalValues = new Map();
+    const analyzed = {};
+
+    events.forEach(event => {
+        if (event.type === 'classified') {
+            const service = normalizeService(event.service);
+            analyzed[service] = (analyzed[service] || 0) + 1;
+            (event.matchedRules || []).forEach(rule => {
+                const entry = ruleStats(service, rule);
+                entry.hits++;
+                if (event.newBug) entry.bugs++;
+            });
+            if (event.newBug) {
+                classified.set(event.bugId, { ...event, service });
+            }
+        } else if (event.type === 'corrected') {
+            finalValues.set(`${event.bugId}\u0000${event.field}`, event.to);
+        }
+    });
+
+    classified.forEach(event => {
+        ['severity', 'category'].forEach(field => {
+            const decision = event[field];
+            if (!decision || decision.source === 'caller') return;
+
+            const fieldStats = ruleStats(event.service, deciderName(decision))[field];
+            const finalValue = finalValues.get(`${event.bugId}\u0000${field}`);
+            fieldStats.decided++;
+            fieldStats.suggested[decision.value] = (fieldStats.suggested[decision.value] || 0) + 1;
+            if (finalValue === undefined || finalValue === decision.value) {
+                fieldStats.kept++;
+            } else {
+                fieldStats.corrected++;
+                fieldStats.correctedTo[finalValue] = (fieldStats.correctedTo[finalValue] || 0) + 1;
+            }
+        });
+    });
+
+    const rules = [...stats.values()].map(entry => {
+        ['severity', 'category'].forEach(field => {
+            const fieldStats = entry[field];
+            fieldStats.precision = fieldStats.decided > 0 ? fieldStats.kept / fieldStats.decided : null;
+        });
+        return entry;
+    });
+
+    return { analyzed, rules };
+};
+
+const mostCommon = (counts) => Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+/**
+ * Turn rule statistics into suggestions: a rule whose severity or category
+ * is mostly changed to the same value should set that value, a rule that is
+ * mostly wrong without a consensus should go. `rulesByService` maps each service
+ * to its current effective rules (analysis-rules getRules), used to find
+ * rules that never fire and to leave auto-fix rules alone when deleting.
+ */
+const suggestRuleChanges = (ruleStats, rulesByService = {}, options = {}) => {
+    const { minSamples, lowPrecision, deletePrecision, unusedAfter } = { ...SUGGESTION_DEFAULTS, ...options };
+    const suggestions = [];
+    const isFallback = (name) => Object.values(FALLBACKS).includes(name);
+
+    ruleStats.rules.forEach(entry => {
+        const rule = (rulesByService[entry.service] || []).find(candidate => candidate.id === entry.rule);
+        // Removed from the rule files since
+        if (rulesByService[entry.service] && !rule && !isFallback(entry.rule)) return;
+
+        const weak = ['severity', 'category']
+            .filter(field => entry[field].decided >= minSamples && entry[field].precision < lowPrecision);
+
+        // Mostly wrong, and people do not agree on a better value either
+        const judged = ['severity', 'category'].filter(field => entry[field].decided >= minSamples);
+        const unfixable = (fieldStats) => fieldStats.precision < deletePrecision &&
+            mostCommon(fieldStats.correctedTo)[1] * 2 <= fieldStats.corrected;
+        if (!isFallback(entry.rule) && judged.length > 0 && (!rule || !rule.autoFix) &&
+            judged.every(field => unfixable(entry[field]))) {
+            suggestions.push({
+                service: entry.service,
+                rule: entry.rule,
+                action: 'delete',
+                reason: judged.map(field => `${field} kept in ${percent(entry[field].precision)} of ${entry[field].decided} bugs`).join(', ')
+            });
+            return;
+        }
+
+        weak.forEach(field => {
+            const fieldStats = entry[field];
+            const [target, count] = mostCommon(fieldStats.correctedTo);
+            // Already changed in the rule file since
+            if (rule && rule[field] === target) return;
+            const reason = `${field} kept in ${percent(fieldStats.precision)} of ${fieldStats.decided} bugs, ` +
+                `changed to ${target} ${count} time(s)`;
+
+            if (isFallback(entry.rule)) {
+                suggestions.push({ service: entry.service, rule: entry.rule, action: 'add-rule', field, to: target, reason });
+                return;
+            }
+            if (field === 'category') {
+                suggestions.push({ service: entry.service, rule: entry.rule, action: 'recategorize', field, to: target, reason });
+                return;
+            }
+
+            const from = (rule && rule.severity) || mostCommon(fieldStats.suggested)[0];
+            const direction = SEVERITY_ORDER.indexOf(target) < SEVERITY_ORDER.indexOf(from) ? 'promote' : 'demote';
+            suggestions.push({ service: entry.service, rule: entry.rule, action: direction, field, to: target, reason });
+        });
+    });
+
+    // Rules that never matched although the service had enough failures
+    Object.entries(rulesByService).forEach(([service, rules]) => {
+        const analyzed = ruleStats.analyzed[service] || 0;
+        if (analyzed < unusedAfter) return;
+        rules
+            .filter(rule => !rule.autoFix)
+            .filter(rule => !ruleStats.rules.some(entry => entry.service === service && entry.rule === rule.id && entry.hits > 0))
+            .forEach(rule => suggestions.push({
+                service,
+                rule: rule.id,
+                action: 'delete',
+                reason: `never matched in ${analyzed} analyzed failures`
+            }));
+    });
+
+    return suggestions;
+};
+
+module.exports = {
+    FEEDBACK_FILE,
+    FALLBACKS,
+    SUGGESTION_DEFAULTS,
+    appendFeedback,
+    readFeedback,
+    describeClassification,
+    computeRuleStats,
+    suggestRuleChanges
+};
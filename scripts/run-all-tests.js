@@ -3,52 +3,15 @@
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const registry = require('./service-registry');
 
 // Service configurations
-const services = [
-  {
-    name: 'AI Service',
-    path: 'ai_service',
-    testCommand: 'npm run test:simple',
-    color: '\x1b[36m' // Cyan
-  },
-  {
-    name: 'Auth Service',
-    path: 'auth_service',
-    testCommand: 'npm run test:simple',
-    color: '\x1b[32m' // Green
-  },
-  {
-    name: 'Database Service',
-    path: 'db_service',
-    testCommand: 'npm run test:simple',
-    color: '\x1b[33m' // Yellow
-  },
-  {
-    name: 'Payment Service',
-    path: 'payment_service',
-    testCommand: 'npm run test:simple',
-    color: '\x1b[35m' // Magenta
-  },
-  {
-    name: 'Notification Service',
-    path: 'notification_service',
-    testCommand: 'npm run test:simple',
-    color: '\x1b[34m' // Blue
-  },
-  {
-    name: 'Metrics Service',
-    path: 'metrics_service',
-    testCommand: 'npm run test:simple',
-    color: '\x1b[31m' // Red
-  },
-  {
-    name: 'Frontend (Next.js)',
-    path: 'front',
-    testCommand: 'npm run test:simple',
-    color: '\x1b[37m' // White
-  }
-];
+const services = registry.getServices().map(service => ({
+  name: service.displayName,
+  path: service.path,
+  testCommand: service.quickTestCommand,
+  color: registry.colorCode(service)
+}));
 
 const resetColor = '\x1b[0m';
 const bold = '\x1b[1m';
@@ -10,18 +10,19 @@
 const { spawn, exec } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const registry = require('./service-registry');
+const { startMockServers } = require('./mocks');
+const { loadScenario } = require('./mocks/behaviours');
 
 // Configuration
 const CONFIG = {
-    services: [
-        { name: 'auth_service', port: 5002, healthPath: '/api/health' },
-        { name: 'db_service', port: 5001, healthPath: '/api/health' },
-        { name: 'ai_service', port: 5003, healthPath: '/api/health' },
-        { name: 'payment_service', port: 5004, healthPath: '/api/health' },
-        { name: 'notification_service', port: 5005, healthPath: '/api/health' },
-        { name: 'metrics_service', port: 5006, healthPath: '/api/health' },
-        { name: 'front', port: 3000, healthPath: '/api/health' }
-    ],
+    services: registry.getServices().map(service => ({
+        name: service.id,
+        path: service.path,
+        port: service.port,
+        healthPath: service.healthPath,
+        testCommand: service.testCommand
+    })),
     testTimeout: 300000, // 5 minutes
     healthCheckTimeout: 10000, // 10 seconds
     retryAttempts: 3
@@ -48,9 +49,11 @@ const log = (message, type = 'info') => {
 
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+const serviceUrl = (key, urlPath = '') => `${registry.baseUrl(registry.getService(key))}${urlPath}`;
+
 const checkServiceHealth = async (service) => {
     const axios = require('axios');
-    const url = `http://localhost:${service.port}${service.healthPath}`;
+    const url = serviceUrl(service.name, service.healthPath);
     
     try {
         const response = await axios.get(url, { timeout: CONFIG.healthCheckTimeout });
@@ -82,14 +85,15 @@ const waitForService = async (service, maxAttempts = CONFIG.retryAttempts) => {
 
 const runServiceTests = async (serviceName) => {
     return new Promise((resolve) => {
-        const servicePath = path.join(__dirname, '..', serviceName);
-        const testCommand = process.platform === 'win32' ? 'npm.cmd' : 'npm';
+        const service = registry.getService(serviceName);
+        const servicePath = registry.servicePath(service);
         
         log(`Running tests for ${serviceName}...`);
         
-        const testProcess = spawn(testCommand, ['test'], {
+        const testProcess = spawn(service.testCommand, [], {
             cwd: servicePath,
-            stdio: 'pipe'
+            stdio: 'pipe',
+            shell: true
         });
         
         let output = '';
@@ -165,12 +169,13 @@ const runIntegrationTests = async () => {
     const integrationTests = [
         {
             name: 'Service Communication Test',
+            service: 'auth_service',
             test: async () => {
                 const axios = require('axios');
                 
                 // Test Auth ↔ Database communication
                 try {
-                    const response = await axios.post('http://localhost:5002/api/auth/register', {
+                    const response = await axios.post(serviceUrl('auth', '/api/auth/register'), {
                         email: 'test@example.com',
                         password: 'TestPassword123!',
                         name: 'Test User'
@@ -187,11 +192,18 @@ const runIntegrationTests = async () => {
                 const axios = require('axios');
                 
                 for (const service of CONFIG.services) {
+                    let healthy;
                     try {
-                        const response = await axios.get(`http://localhost:${service.port}${service.healthPath}`);
-                        if (response.status !== 200) return false;
+                        const response = await axios.get(serviceUrl(service.name, service.healthPath));
+                        healthy = response.status === 200;
                     } catch (error) {
-                        return false;
+                        healthy = false;
+                    }
+                    if (!healthy) {
+                        // Attribute the failure to the unhealthy service
+                        const failure = new Error(`${service.name} health check failed`);
+                        failure.service = service.name;
+                        throw failure;
                     }
                 }
                 return true;
@@ -203,10 +215,10 @@ const runIntegrationTests = async () => {
     for (const test of integrationTests) {
         try {
             const result = await test.test();
-            results.push({ name: test.name, success: result });
+            results.push({ name: test.name, service: test.service, success: result });
             log(`${test.name}: ${result ? 'PASSED' : 'FAILED'}`, result ? 'success' : 'error');
         } catch (error) {
-            results.push({ name: test.name, success: false, error: error.message });
+            results.push({ name: test.name, service: error.service || test.service, success: false, error: error.message });
             log(`${test.name}: FAILED - ${error.message}`, 'error');
         }
     }
@@ -220,11 +232,12 @@ const runSecurityTests = async () => {
     const securityTests = [
         {
             name: 'SQL Injection Test',
+            service: 'auth_service',
             test: async () => {
                 const axios = require('axios');
                 
                 try {
-                    await axios.post('http://localhost:5002/api/auth/login', {
+                    await axios.post(serviceUrl('auth', '/api/auth/login'), {
                         email: "'; DROP TABLE users; --",
                         password: 'test'
                     });
@@ -236,11 +249,12 @@ const runSecurityTests = async () => {
         },
         {
             name: 'XSS Protection Test',
+            service: 'auth_service',
             test: async () => {
                 const axios = require('axios');
                 
                 try {
-                    await axios.post('http://localhost:5002/api/auth/register', {
+                    await axios.post(serviceUrl('auth', '/api/auth/register'), {
                         email: 'test@example.com',
                         password: 'TestPassword123!',
                         name: '<script>alert("xss")</script>'
@@ -253,11 +267,12 @@ const runSecurityTests = async () => {
         },
         {
             name: 'JWT Token Validation Test',
+            service: 'db_service',
             test: async () => {
                 const axios = require('axios');
                 
                 try {
-                    await axios.get('http://localhost:5001/api/users/profile', {
+                    await axios.get(serviceUrl('db', '/api/users/profile'), {
                         headers: { Authorization: 'Bearer invalid-token' }
                     });
                     return false; // Should fail
@@ -272,10 +287,10 @@ const runSecurityTests = async () => {
     for (const test of securityTests) {
         try {
             const result = await test.test();
-            results.push({ name: test.name, success: result });
+            results.push({ name: test.name, service: test.service, success: result });
             log(`${test.name}: ${result ? 'PASSED' : 'FAILED'}`, result ? 'success' : 'error');
         } catch (error) {
-            results.push({ name: test.name, success: false, error: error.message });
+            results.push({ name: test.name, service: error.service || test.service, success: false, error: error.message });
             log(`${test.name}: FAILED - ${error.message}`, 'error');
         }
     }
@@ -289,12 +304,13 @@ const runPerformanceTests = async () => {
     const performanceTests = [
         {
             name: 'Response Time Test',
+            service: 'db_service',
             test: async () => {
                 const axios = require('axios');
                 const startTime = Date.now();
                 
                 try {
-                    await axios.get('http://localhost:5001/api/health');
+                    await axios.get(serviceUrl('db', '/api/health'));
                     const responseTime = Date.now() - startTime;
                     return responseTime < 1000; // Should respond within 1 second
                 } catch (error) {
@@ -304,11 +320,12 @@ const runPerformanceTests = async () => {
         },
         {
             name: 'Concurrent Requests Test',
+            service: 'db_service',
             test: async () => {
                 const axios = require('axios');
                 
                 const requests = Array(10).fill().map(() => 
-                    axios.get('http://localhost:5001/api/health')
+                    axios.get(serviceUrl('db', '/api/health'))
                 );
                 
                 try {
@@ -325,10 +342,10 @@ const runPerformanceTests = async () => {
     for (const test of performanceTests) {
         try {
             const result = await test.test();
-            results.push({ name: test.name, success: result });
+            results.push({ name: test.name, service: test.service, success: result });
             log(`${test.name}: ${result ? 'PASSED' : 'FAILED'}`, result ? 'success' : 'error');
         } catch (error) {
-            results.push({ name: test.name, success: false, error: error.message });
+            results.push({ name: test.name, service: error.service || test.service, success: false, error: error.message });
             log(`${test.name}: FAILED - ${error.message}`, 'error');
         }
     }
@@ -342,13 +359,14 @@ const runAccessibilityTests = async () => {
     const accessibilityTests = [
         {
             name: 'WCAG Compliance Check',
+            service: 'front',
             test: async () => {
                 // This would typically use axe-core or similar
                 // For now, we'll check if accessibility features are present
                 const axios = require('axios');
                 
                 try {
-                    const response = await axios.get('http://localhost:3000');
+                    const response = await axios.get(serviceUrl('front'));
                     const html = response.data;
                     
                     // Check for basic accessibility features
@@ -368,10 +386,10 @@ const runAccessibilityTests = async () => {
     for (const test of accessibilityTests) {
         try {
             const result = await test.test();
-            results.push({ name: test.name, success: result });
+            results.push({ name: test.name, service: test.service, success: result });
             log(`${test.name}: ${result ? 'PASSED' : 'FAILED'}`, result ? 'success' : 'error');
         } catch (error) {
-            results.push({ name: test.name, success: false, error: error.message });
+            results.push({ name: test.name, service: error.service || test.service, success: false, error: error.message });
             log(`${test.name}: FAILED - ${error.message}`, 'error');
         }
     }
@@ -379,6 +397,163 @@ const runAccessibilityTests = async () => {
     return results;
 };
 
+// Test book phases, in execution order. `requires` lists the services whose
+// health endpoint must answer before the phase can run, `category` is the bug
+// category used by --track-bugs (null: inferred from the error).
+const PHASES = {
+    services: {
+        label: 'service-level',
+        category: null,
+        requires: CONFIG.services.map(service => service.name),
+        run: async () => {
+            for (const service of CONFIG.services) {
+                await runServiceTests(service.name);
+            }
+            return null;
+        }
+    },
+    integration: {
+        label: 'integration',
+        category: 'integration',
+        requires: CONFIG.services.map(service => service.name),
+        run: runIntegrationTests
+    },
+    security: {
+        label: 'security',
+        category: 'security',
+        requires: ['auth_service', 'db_service'],
+        run: runSecurityTests
+    },
+    performance: {
+        label: 'performance',
+        category: 'performance',
+        requires: ['db_service'],
+        run: runPerformanceTests
+    },
+    accessibility: {
+        label: 'accessibility',
+        category: 'accessibility',
+        requires: ['front'],
+        run: runAccessibilityTests
+    }
+};
+
+const getOptionValue = (args, name) => {
+    const inline = args.find(arg => arg.startsWith(`${name}=`));
+    if (inline) return inline.slice(name.length + 1);
+
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+};
+
+const parsePhaseList = (value, option) => {
+    const names = (value || '').split(',').map(name => name.trim()).filter(Boolean);
+    if (names.length === 0) {
+        throw new Error(`${option} requires a comma-separated list of phases`);
+    }
+
+    const unknown = names.filter(name => !PHASES[name]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown phase(s) for ${option}: ${unknown.join(', ')}. Available: ${Object.keys(PHASES).join(', ')}`);
+    }
+    return names;
+};
+
+/**
+ * Resolve the phases to run from --<phase>-only, --phases and --skip
+ */
+const selectPhases = (args) => {
+    let selected = Object.keys(PHASES).filter(name => args.includes(`--${name}-only`));
+
+    if (args.some(arg => arg === '--phases' || arg.startsWith('--phases='))) {
+        selected = selected.concat(parsePhaseList(getOptionValue(args, '--phases'), '--phases'));
+    }
+
+    if (selected.length === 0) {
+        selected = Object.keys(PHASES);
+    }
+
+    if (args.some(arg => arg === '--skip' || arg.startsWith('--skip='))) {
+        const skipped = parsePhaseList(getOptionValue(args, '--skip'), '--skip');
+        selected = selected.filter(name => !skipped.includes(name));
+    }
+
+    // Keep the declared execution order regardless of flag order
+    return Object.keys(PHASES).filter(name => selected.includes(name));
+};
+
+const recordPhaseResults = (results) => {
+    results.forEach(result => {
+        testResults.summary.total++;
+        if (result.success) {
+            testResults.summary.passed++;
+        } else {
+            testResults.summary.failed++;
+        }
+    });
+};
+
+// Last non-empty lines of a test run's output, for bug stack traces
+const outputTail = (text, lines = 40) => (text || '').split('\n').filter(line => line.trim()).slice(-lines).join('\n');
+
+const firstErrorLine = (text) => (text || '').split('\n')
+    .map(line => line.trim())
+    .find(line => /error|fail|✕|not ok/i.test(line));
+
+/**
+ * Convert the recorded service suites and phase checks into the analyzer's
+ * test-result shape ({ testName, suite, service, status, error, stack, category })
+ */
+const toAnalyzerResults = (phases) => {
+    const results = [];
+
+    if (phases.includes('services')) {
+        Object.values(testResults.services).forEach(result => {
+            const output = [result.errorOutput, result.output].filter(Boolean).join('\n');
+            results.push({
+                testName: `${result.name} test suite`,
+                suite: `${PHASES.services.label} tests`,
+                service: result.name,
+                status: result.success ? 'passed' : 'failed',
+                error: result.error || firstErrorLine(output) || `Test suite exited with code ${result.exitCode}`,
+                stack: outputTail(output),
+                category: PHASES.services.category
+            });
+        });
+    }
+
+    phases.filter(name => name !== 'services').forEach(name => {
+        (testResults[name] || []).forEach(check => {
+            results.push({
+                testName: check.name,
+                suite: `${PHASES[name].label} tests`,
+                service: check.service,
+                status: check.success ? 'passed' : 'failed',
+                error: check.error ? `${check.name} failed: ${check.error}` : `${check.name} failed`,
+                stack: null,
+                category: PHASES[name].category
+            });
+        });
+    });
+
+    return results;
+};
+
+// Run failures through bug detection; recurring failures update the open bug
+const trackBugs = async (phases) => {
+    const BugAnalyzer = require('./bug-analyzer');
+    const analyzer = new BugAnalyzer();
+    const results = toAnalyzerResults(phases);
+
+    log(`Tracking bugs for ${results.filter(result => result.status === 'failed').length} failures...`);
+    const bugs = await analyzer.detectBugsFromTestResults(results);
+
+    return {
+        opened: bugs.filter(bug => bug.occurrences === 1).map(bug => bug.id),
+        recurring: bugs.filter(bug => bug.occurrences > 1).map(bug => ({ id: bug.id, occurrences: bug.occurrences }))
+    };
+};
+
 const generateTestReport = () => {
     const endTime = new Date();
     const duration = endTime - testResults.startTime;
@@ -389,8 +564,18 @@ const generateTestReport = () => {
             endTime: endTime.toISOString(),
             duration: `${Math.round(duration / 1000)} seconds`
         },
+        phases: {
+            selected: testResults.selectedPhases,
+            skipped: testResults.skippedPhases
+        },
+        mock: testResults.mock || null,
+        bugs: testResults.bugs || null,
         summary: testResults.summary,
         services: testResults.services,
+        integration: testResults.integration,
+        security: testResults.security,
+        performance: testResults.performance,
+        accessibility: testResults.accessibility,
         successRate: testResults.summary.total > 0 
             ? Math.round((testResults.summary.passed / testResults.summary.total) * 100)
             : 0
@@ -418,55 +603,82 @@ const printSummary = (report) => {
     console.log(`   ❌ Failed: ${report.summary.failed}`);
     console.log(`   ⏭️  Skipped: ${report.summary.skipped}`);
     
-    console.log('\n🔧 Service Results:');
-    Object.entries(report.services).forEach(([serviceName, result]) => {
-        const status = result.success ? '✅ PASSED' : '❌ FAILED';
-        console.log(`   ${serviceName}: ${status}`);
-    });
+    console.log(`\n🧭 Phases: ${report.phases.selected.join(', ')}`);
+    if (report.phases.skipped.length > 0) {
+        console.log(`   ⏭️  Skipped phases: ${report.phases.skipped.join(', ')}`);
+    }
+    
+    if (Object.keys(report.services).length > 0) {
+        console.log('\n🔧 Service Results:');
+        Object.entries(report.services).forEach(([serviceName, result]) => {
+            const status = result.success ? '✅ PASSED' : '❌ FAILED';
+            console.log(`   ${serviceName}: ${status}`);
+        });
+    }
+    
+    if (report.bugs) {
+        console.log('\n🐛 Tracked Bugs:');
+        console.log(`   🆕 Opened: ${report.bugs.opened.length > 0 ? report.bugs.opened.join(', ') : 'none'}`);
+        console.log(`   🔁 Re-occurred: ${report.bugs.recurring.length > 0
+            ? report.bugs.recurring.map(bug => `${bug.id} (x${bug.occurrences})`).join(', ')
+            : 'none'}`);
+    }
     
     console.log('\n📄 Detailed report saved to: logs/test-report.json');
     console.log('='.repeat(60));
 };
 
-const main = async () => {
+const main = async (phases, options = {}) => {
     console.log('🚀 Starting NydArt Advisor Test Book Execution');
     console.log('='.repeat(60));
     
-    // Check if services are running
+    testResults.selectedPhases = phases;
+    testResults.skippedPhases = Object.keys(PHASES).filter(name => !phases.includes(name));
+    log(`Selected phases: ${phases.join(', ')}`);
+    
+    // Check only the services the selected phases touch
+    const requiredServices = CONFIG.services.filter(service =>
+        phases.some(name => PHASES[name].requires.includes(service.name))
+    );
+    
+    if (options.mock) {
+        log('Starting local mock servers...');
+        await startMockServers({
+            services: requiredServices.map(service => registry.getService(service.name)),
+            scenario: loadScenario(options.scenario),
+            quiet: true
+        });
+        testResults.mock = { scenario: options.scenario || null };
+    }
+    
     log('Checking service health...');
-    for (const service of CONFIG.services) {
+    for (const service of requiredServices) {
         const isHealthy = await waitForService(service);
         if (!isHealthy) {
-            log(`Service ${service.name} is not healthy. Please start all services first.`, 'error');
+            log(`Service ${service.name} is not healthy. Please start the required services first.`, 'error');
             process.exit(1);
         }
     }
     
-    // Run service-level tests
-    log('Starting service-level tests...');
-    for (const service of CONFIG.services) {
-        await runServiceTests(service.name);
+    for (const name of phases) {
+        const phase = PHASES[name];
+        log(`Starting ${phase.label} tests...`);
+        const results = await phase.run();
+        
+        // Service-level tests record their own results
+        if (results) {
+            testResults[name] = results;
+            recordPhaseResults(results);
+        }
     }
     
-    // Run integration tests
-    log('Starting integration tests...');
-    const integrationResults = await runIntegrationTests();
-    testResults.integration = integrationResults;
-    
-    // Run security tests
-    log('Starting security tests...');
-    const securityResults = await runSecurityTests();
-    testResults.security = securityResults;
-    
-    // Run performance tests
-    log('Starting performance tests...');
-    const performanceResults = await runPerformanceTests();
-    testResults.performance = performanceResults;
-    
-    // Run accessibility tests
-    log('Starting accessibility tests...');
-    const accessibilityResults = await runAccessibilityTests();
-    testResults.accessibility = accessibilityResults;
+    if (options.trackBugs) {
+        try {
+            testResults.bugs = await trackBugs(phases);
+        } catch (error) {
+            log(`Bug tracking failed: ${error.message}`, 'error');
+        }
+    }
     
     // Generate and print report
     const report = generateTestReport();
@@ -492,17 +704,53 @@ Options:
   --security-only     Run only security tests
   --performance-only  Run only performance tests
   --accessibility-only Run only accessibility tests
+  --phases <list>     Run only the listed phases (comma-separated)
+  --skip <list>       Skip the listed phases (comma-separated)
+  --mock              Run against local mock servers instead of real services
+  --scenario <file>   Scripted mock behaviours (latency, failures, 401s); implies --mock
+  --track-bugs        Open bugs for failing suites and checks (or count a new
+                      occurrence of the matching open bug) and list their IDs
+
+Phases (in execution order):
+  ${Object.keys(PHASES).join(', ')}
+
+Only the services used by the selected phases must be healthy.
+The --<phase>-only flags and --phases can be combined.
 
 Examples:
   node scripts/run-test-book.js                    # Run all tests
   node scripts/run-test-book.js --services-only    # Run only service tests
   node scripts/run-test-book.js --security-only    # Run only security tests
+  node scripts/run-test-book.js --phases security,performance
+  node scripts/run-test-book.js --skip accessibility
+  node scripts/run-test-book.js --mock --skip services
+  node scripts/run-test-book.js --track-bugs       # File failures in the bug tracker
+  node scripts/run-test-book.js --security-only --scenario scripts/mocks/scenarios/expired-session.json
 `);
     process.exit(0);
 }
 
+let selectedPhases;
+try {
+    selectedPhases = selectPhases(args);
+} catch (error) {
+    log(error.message, 'error');
+    process.exit(1);
+}
+
+if (selectedPhases.length === 0) {
+    log('No phases left to run after applying --skip', 'error');
+    process.exit(1);
+}
+
+const runOptions = {
+    mock: args.includes('--mock') || args.some(arg => arg === '--scenario' || arg.startsWith('--scenario=')),
+    scenario: getOptionValue(args, '--scenario'),
+    trackBugs: args.includes('--track-bugs')
+};
+
 // Run the main function
-main().catch(error => {
+main(selectedPhases, runOptions).catch(error => {
     log(`Test execution failed: ${error.message}`, 'error');
     process.exit(1);
 });
@@ -0,0 +1,407 @@
+#!/usr/bin/env node
+
+/**
+ * NydArt Advisor - Service Registry
+ *
+ * Single source of truth for service names, paths, ports, health checks,
+ * test commands, environment schemas and bug assignment (team roster and
+ * strategy). Every project script loads the
+ * services from here instead of keeping its own hard-coded list.
+ *
+ * Usage: node scripts/service-registry.js [list|show <service>|validate]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const MANIFEST_PATH = path.join(ROOT_DIR, 'services.json');
+
+const REQUIRED_FIELDS = ['id', 'name', 'alias', 'repo', 'path', 'port'];
+const SERVICE_TYPES = ['backend', 'frontend'];
+const ASSIGNMENT_STRATEGIES = ['owner', 'round-robin', 'none'];
+
+const COLORS = {
+    red: '\x1b[31m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    blue: '\x1b[34m',
+    magenta: '\x1b[35m',
+    cyan: '\x1b[36m',
+    white: '\x1b[37m'
+};
+
+let cachedManifest = null;
+
+/**
+ * Load the manifest and apply the defaults to every service entry
+ */
+const loadManifest = (manifestPath = MANIFEST_PATH) => {
+    if (manifestPath === MANIFEST_PATH && cachedManifest) {
+        return cachedManifest;
+    }
+
+    const raw = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    const defaults = raw.defaults || {};
+    const manifest = {
+        org: raw.org,
+        defaults,
+        services: (raw.services || []).map(service => ({
+            host: defaults.host,
+            healthPath: defaults.healthPath,
+            startCommand: defaults.startCommand,
+            testCommand: defaults.testCommand,
+            quickTestCommand: defaults.quickTestCommand,
+            testReportCommand: defaults.testReportCommand,
+            assignment: defaults.assignment || 'owner',
+            team: [],
+            urlEnv: [],
+            dependsOn: [],
+            env: { required: [], optional: [] },
+            ...service
+        }))
+    };
+
+    if (manifestPath === MANIFEST_PATH) {
+        cachedManifest = manifest;
+    }
+    return manifest;
+};
+
+const getServices = (filter = {}) => {
+    return loadManifest().services.filter(service => {
+        if (filter.type && service.type !== filter.type) return false;
+        return true;
+    });
+};
+
+/**
+ * Find a service by id, package name, alias or directory
+ */
+const getService = (key) => {
+    if (!key) return null;
+    const needle = key.toLowerCase();
+    return getServices().find(service =>
+        [service.id, service.name, service.alias, service.path]
+            .some(value => value && value.toLowerCase() === needle)
+    ) || null;
+};
+
+const baseUrl = (service) => `http://${service.host}:${service.port}`;
+
+const healthUrl = (service) => `${baseUrl(service)}${service.healthPath}`;
+
+const servicePath = (service) => path.join(ROOT_DIR, service.path);
+
+const repoUrl = (service) => `https://github.com/${loadManifest().org}/${service.repo}.git`;
+
+const colorCode = (service) => COLORS[service.color] || COLORS.white;
+
+/**
+ * Sort services so that every service comes after the services it depends on.
+ * Dependencies outside the given list are ignored. Throws on cycles.
+ */
+const dependencyOrder = (services = getServices()) => {
+    const byId = Object.fromEntries(services.map(service => [service.id, service]));
+    const ordered = [];
+    const state = {};
+
+    const visit = (service, trail) => {
+        if (state[service.id] === 'done') return;
+        if (state[service.id] === 'visiting') {
+            throw new Error(`Dependency cycle: ${[...trail, service.id].join(' -> ')}`);
+        }
+
+        state[service.id] = 'visiting';
+        service.dependsOn
+            .filter(id => byId[id])
+            .forEach(id => visit(byId[id], [...trail, service.id]));
+        state[service.id] = 'done';
+        ordered.push(service);
+    };
+
+    services.forEach(service => visit(service, []));
+    return ordered;
+};
+
+/**
+ * Add the transitive dependencies of the given services
+ */
+const withDependencies = (services) => {
+    const selected = new Map();
+    const add = (service) => {
+        if (selected.has(service.id)) return;
+        selected.set(service.id, service);
+        service.dependsOn.map(getService).filter(Boolean).forEach(add);
+    };
+    services.forEach(add);
+    return dependencyOrder([...selected.values()]);
+};
+
+// Validation helpers
+const parseEnvFile = (filePath) => {
+    const values = {};
+    fs.readFileSync(filePath, 'utf8').split(/\r?\n/).forEach(line => {
+        const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+        if (match) {
+            values[match[1]] = match[2].replace(/^['"]|['"]$/g, '').trim();
+        }
+    });
+    return values;
+};
+
+const localPort = (url) => {
+    try {
+        const parsed = new URL(url);
+        if (!['localhost', '127.0.0.1'].includes(parsed.hostname)) return null;
+        return parseInt(parsed.port || (parsed.protocol === 'https:' ? 443 : 80), 10);
+    } catch (error) {
+        return null;
+    }
+};
+
+const checkManifestFields = (services, issues) => {
+    services.forEach((service, index) => {
+        const label = service.id || `services[${index}]`;
+
+        REQUIRED_FIELDS.forEach(field => {
+            if (service[field] === undefined || service[field] === '') {
+                issues.errors.push(`${label}: missing required field "${field}"`);
+            }
+        });
+
+        if (service.port !== undefined && (!Number.isInteger(service.port) || service.port < 1 || service.port > 65535)) {
+            issues.errors.push(`${label}: invalid port "${service.port}"`);
+        }
+        if (service.healthPath && !service.healthPath.startsWith('/')) {
+            issues.errors.push(`${label}: healthPath must start with "/"`);
+        }
+        if (service.type && !SERVICE_TYPES.includes(service.type)) {
+            issues.errors.push(`${label}: unknown type "${service.type}"`);
+        }
+        if (service.color && !COLORS[service.color]) {
+            issues.warnings.push(`${label}: unknown color "${service.color}"`);
+        }
+
+        if (!ASSIGNMENT_STRATEGIES.includes(service.assignment)) {
+            issues.errors.push(`${label}: unknown assignment "${service.assignment}", use ${ASSIGNMENT_STRATEGIES.join(', ')}`);
+        }
+        if (!Array.isArray(service.team) || service.team.some(member => typeof member !== 'string' || !member.trim())) {
+            issues.errors.push(`${label}: team must be a list of names`);
+        } else {
+            service.team.filter((member, position) => service.team.indexOf(member) !== position).forEach(member => {
+                issues.errors.push(`${label}: team lists ${member} twice`);
+            });
+            if (service.assignment === 'round-robin' && service.team.length === 0) {
+                issues.warnings.push(`${label}: round-robin assignment without a team leaves new bugs unassigned`);
+            }
+        }
+
+        const required = service.env.required || [];
+        const optional = service.env.optional || [];
+        required.filter(name => optional.includes(name)).forEach(name => {
+            issues.errors.push(`${label}: env var ${name} is listed as both required and optional`);
+        });
+    });
+};
+
+const checkDependencies = (services, issues) => {
+    const ids = services.map(service => service.id);
+    services.forEach(service => {
+        service.dependsOn.forEach(id => {
+            if (id === service.id) {
+                issues.errors.push(`${service.id}: depends on itself`);
+            } else if (!ids.includes(id)) {
+                issues.errors.push(`${service.id}: depends on unknown service "${id}"`);
+            }
+        });
+    });
+
+    try {
+        dependencyOrder(services);
+    } catch (error) {
+        issues.errors.push(error.message);
+    }
+};
+
+const checkUniqueness = (services, issues) => {
+    ['id', 'name', 'alias', 'path', 'port'].forEach(field => {
+        const seen = {};
+        services.forEach(service => {
+            const value = service[field];
+            if (value === undefined) return;
+            if (seen[value]) {
+                issues.errors.push(`${field} ${value} is used by both ${seen[value]} and ${service.id}`);
+            } else {
+                seen[value] = service.id;
+            }
+        });
+    });
+
+    const urlOwners = {};
+    services.forEach(service => {
+        service.urlEnv.forEach(name => {
+            if (urlOwners[name]) {
+                issues.errors.push(`URL variable ${name} is claimed by both ${urlOwners[name]} and ${service.id}`);
+            } else {
+                urlOwners[name] = service.id;
+            }
+        });
+    });
+};
+
+// Compare the manifest against the checked-out service directories
+const checkServiceDirectories = (services, issues) => {
+    const urlOwners = {};
+    services.forEach(service => service.urlEnv.forEach(name => { urlOwners[name] = service; }));
+
+    services.forEach(service => {
+        const dir = servicePath(service);
+        if (!fs.existsSync(dir)) {
+            issues.info.push(`${service.id}: directory ${service.path}/ not present, skipping on-disk checks`);
+            return;
+        }
+
+        const packagePath = path.join(dir, 'package.json');
+        if (fs.existsSync(packagePath)) {
+            try {
+                const packageJson = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+                if (packageJson.name && packageJson.name !== service.name) {
+                    issues.warnings.push(`${service.id}: package.json name "${packageJson.name}" differs from registry name "${service.name}"`);
+                }
+            } catch (error) {
+                issues.warnings.push(`${service.id}: could not parse package.json (${error.message})`);
+            }
+        }
+
+        const envPath = path.join(dir, '.env');
+        if (!fs.existsSync(envPath)) return;
+
+        const env = parseEnvFile(envPath);
+        if (env.PORT && parseInt(env.PORT, 10) !== service.port) {
+            issues.errors.push(`${service.id}: .env PORT=${env.PORT} conflicts with registry port ${service.port}`);
+        }
+
+        Object.entries(env).forEach(([name, value]) => {
+            const target = urlOwners[name];
+            const port = target && localPort(value);
+            if (port && port !== target.port) {
+                issues.errors.push(`${service.id}: .env ${name}=${value} points at port ${port} but ${target.id} is registered on ${target.port}`);
+            }
+        });
+    });
+};
+
+/**
+ * Validate the manifest and flag conflicts with the service checkouts
+ */
+const validateRegistry = (manifest = loadManifest()) => {
+    const issues = { errors: [], warnings: [], info: [] };
+
+    if (!manifest.org) {
+        issues.errors.push('manifest: missing "org"');
+    }
+    if (!Array.isArray(manifest.services) || manifest.services.length === 0) {
+        issues.errors.push('manifest: no services defined');
+        return issues;
+    }
+
+    checkManifestFields(manifest.services, issues);
+    checkUniqueness(manifest.services, issues);
+    checkDependencies(manifest.services, issues);
+    checkServiceDirectories(manifest.services, issues);
+
+    return issues;
+};
+
+// CLI
+const printList = () => {
+    console.log('\n📦 Registered Services:\n');
+    console.table(getServices().map(service => ({
+        id: service.id,
+        name: service.name,
+        alias: service.alias,
+        path: service.path,
+        port: service.port,
+        health: service.healthPath,
+        dependsOn: service.dependsOn.join(', '),
+        team: service.team.join(', ')
+    })));
+};
+
+const main = () => {
+    const args = process.argv.slice(2);
+    const command = args[0];
+
+    switch (command) {
+        case 'list':
+            printList();
+            break;
+
+        case 'show': {
+            const service = getService(args[1]);
+            if (!service) {
+                console.error(`❌ Service '${args[1]}' not found`);
+                process.exit(1);
+            }
+            console.log(JSON.stringify({ ...service, url: baseUrl(service), repoUrl: repoUrl(service) }, null, 2));
+            break;
+        }
+
+        case 'validate': {
+            const issues = validateRegistry();
+            issues.info.forEach(message => console.log(`ℹ️  ${message}`));
+            issues.warnings.forEach(message => console.log(`⚠️  ${message}`));
+            issues.errors.forEach(message => console.log(`❌ ${message}`));
+
+            console.log('\n' + '='.repeat(50));
+            if (issues.errors.length > 0) {
+                console.log(`❌ Registry validation failed: ${issues.errors.length} conflict(s) found`);
+                process.exit(1);
+            }
+            console.log(`✅ Registry is consistent (${getServices().length} services, ${issues.warnings.length} warning(s))`);
+            break;
+        }
+
+        case 'help':
+        default:
+            console.log(`
+NydArt Advisor Service Registry
+
+Usage: node scripts/service-registry.js <command>
+
+Commands:
+  list              List all registered services
+  show <service>    Show one service (id, name, alias or path)
+  validate          Check services.json and the service checkouts for conflicts
+  help              Show this help message
+
+Examples:
+  node scripts/service-registry.js list
+  node scripts/service-registry.js show auth
+  node scripts/service-registry.js validate
+`);
+            break;
+    }
+};
+
+// Run CLI if called directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    MANIFEST_PATH,
+    ASSIGNMENT_STRATEGIES,
+    loadManifest,
+    getServices,
+    getService,
+    baseUrl,
+    healthUrl,
+    servicePath,
+    repoUrl,
+    colorCode,
+    dependencyOrder,
+    withDependencies,
+    validateRegistry
+};
@@ -11,18 +11,13 @@ const fs = require('fs');
 const path = require('path');
 const { spawn, execSync } = require('child_process');
 const readline = require('readline');
+const registry = require('./service-registry');
 
 // Configuration
-const ORG_NAME = 'NydArt-Advisor';
-const SERVICES = {
-    front: 'front',
-    auth_service: 'auth_service',
-    db_service: 'db_service',
-    ai_service: 'ai_service',
-    payment_service: 'payment_service',
-    notification_service: 'notification_service',
-    metrics_service: 'metrics_service'
-};
+const ORG_NAME = registry.loadManifest().org;
+const SERVICES = Object.fromEntries(
+    registry.getServices().map(service => [service.path, service.repo])
+);
 
 const rl = readline.createInterface({
     input: process.stdin,
@@ -166,12 +161,7 @@ NODE_ENV=development
 PORT=3000
 
 # Service URLs (for local development)
-AUTH_SERVICE_URL=http://localhost:5002
-DB_SERVICE_URL=http://localhost:5001
-AI_SERVICE_URL=http://localhost:5000
-PAYMENT_SERVICE_URL=http://localhost:3004
-NOTIFICATION_SERVICE_URL=http://localhost:4003
-METRICS_SERVICE_URL=http://localhost:5005
+${registry.getServices({ type: 'backend' }).map(service => `${service.urlEnv[0]}=${registry.baseUrl(service)}`).join('\n')}
 
 # Database Configuration
 MONGODB_URI=mongodb://localhost:27017/nydart_advisor
@@ -422,13 +412,9 @@ const showNextSteps = () => {
     log('\n3. Run tests to verify setup:', 'info');
     log('   npm run test:all', 'info');
     log('\n4. Access the application:', 'info');
-    log('   Frontend: http://localhost:3000', 'info');
-    log('   Auth Service: http://localhost:5002', 'info');
-    log('   Database Service: http://localhost:5001', 'info');
-    log('   AI Service: http://localhost:5000', 'info');
-    log('   Payment Service: http://localhost:3004', 'info');
-    log('   Notification Service: http://localhost:4003', 'info');
-    log('   Metrics Service: http://localhost:5005', 'info');
+    registry.getServices().forEach(service => {
+        log(`   ${service.displayName}: ${registry.baseUrl(service)}`, 'info');
+    });
     log('\n📚 Documentation:', 'info');
     log('   - README.md: Quick start guide', 'info');
     log('   - docs/TECHNICAL_DOCUMENTATION.md: Complete technical documentation', 'info');
@@ -10,6 +10,7 @@
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
+const registry = require('./service-registry');
 
 // Test data configuration
 const TEST_DATA = {
@@ -63,15 +64,14 @@ const TEST_DATA = {
     ]
 };
 
-// Service configuration
-const SERVICES = {
-    auth: { port: 5002, baseUrl: 'http://localhost:5002/api' },
-    db: { port: 5001, baseUrl: 'http://localhost:5001/api' },
-    ai: { port: 5000, baseUrl: 'http://localhost:5000/api' },
-    payment: { port: 3004, baseUrl: 'http://localhost:3004/api' },
-    notification: { port: 4003, baseUrl: 'http://localhost:4003/api' },
-    metrics: { port: 5005, baseUrl: 'http://localhost:5005/api' }
-};
+// Service configuration, keyed by registry alias (auth, db, ai, ...)
+const SERVICES = Object.fromEntries(
+    registry.getServices({ type: 'backend' }).map(service => [service.alias, {
+        port: service.port,
+        baseUrl: `${registry.baseUrl(service)}/api`,
+        healthUrl: registry.healthUrl(service)
+    }])
+);
 
 // Utility functions
 const log = (message, type = 'info') => {
@@ -84,7 +84,7 @@ const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 const checkServiceHealth = async (service) => {
     try {
-        const response = await axios.get(`${service.baseUrl}/health`, { timeout: 5000 });
+        const response = await axios.get(service.healthUrl, { timeout: 5000 });
         return response.status === 200;
     } catch (error) {
         return false;
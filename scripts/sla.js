@@ -0,0 +1,151 @@
+/**
+ * NydArt Advisor - Bug SLA Policies
+ *
+ * Response and resolution targets per severity and category, read from
+ * sla-policies.json in the repository root (BUG_SLA_FILE overrides the path):
+ *
+ *   {
+ *     "atRisk": 0.75,
+ *     "escalationStep": 4,
+ *     "policies": [
+ *       { "severity": "critical", "respondWithin": "1h", "resolveWithin": "8h" },
+ *       { "severity": "high", "category": "security", "respondWithin": "2h", "resolveWithin": "1d" }
+ *     ]
+ *   }
+ *
+ * Durations are a number and a unit: m(inutes), h(ours), d(ays) or w(eeks),
+ * in calendar time. A bug gets the policy that matches the most of its
+ * severity and category; a policy without a severity or category matches
+ * any. The clock starts when the bug is detected, or reopened.
+ *
+ * A target is at risk once `atRisk` of its time has passed, and breached
+ * when it passes without a response (the bug leaves detected, or a person
+ * comments) or a resolution. Each breach raises the bug's priority by
+ * `escalationStep`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SLA_FILE = process.env.BUG_SLA_FILE || path.join(__dirname, '..', 'sla-policies.json');
+
+const DEFAULTS = {
+    atRisk: 0.75,
+    escalationStep: 4
+};
+
+const UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// "8h" -> milliseconds, null when malformed
+const parseDuration = (text) => {
+    const match = /^(\d+(?:\.\d+)?)\s*([mhdw])$/.exec(String(text).trim());
+    return match ? Number(match[1]) * UNITS[match[2]] : null;
+};
+
+// Milliseconds -> "2d 3h" (coarsest two units)
+const formatDuration = (ms) => {
+    const sign = ms < 0 ? '-' : '';
+    let rest = Math.abs(ms);
+    const parts = [];
+    [['w', UNITS.w], ['d', UNITS.d], ['h', UNITS.h], ['m', UNITS.m]].forEach(([unit, size]) => {
+        if (parts.length < 2 && rest >= size) {
+            parts.push(`${Math.floor(rest / size)}${unit}`);
+            rest %= size;
+        }
+    });
+    return sign + (parts.join(' ') || '0m');
+};
+
+/**
+ * Read and check the SLA file. `severities` and `categories` are the valid
+ * values; throws with every problem found.
+ */
+const loadSlaConfig = (file = SLA_FILE, { severities = [], categories = [] } = {}) => {
+    const raw = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : { policies: [] };
+    const config = { ...DEFAULTS, ...raw, policies: raw.policies || [] };
+    const errors = [];
+
+    if (!(config.atRisk > 0 && config.atRisk < 1)) errors.push('atRisk must be between 0 and 1');
+    if (!(config.escalationStep >= 0)) errors.push('escalationStep must be a number >= 0');
+    if (!Array.isArray(config.policies)) errors.push('policies must be a list');
+
+    const policies = (Array.isArray(config.policies) ? config.policies : []).map((policy, index) => {
+        const where = `policies[${index}]`;
+        if (policy.severity && !severities.includes(policy.severity)) errors.push(`${where}: unknown severity "${policy.severity}"`);
+        if (policy.category && !categories.includes(policy.category)) errors.push(`${where}: unknown category "${policy.category}"`);
+        const respondWithin = parseDuration(policy.respondWithin);
+        const resolveWithin = parseDuration(policy.resolveWithin);
+        if (respondWithin === null) errors.push(`${where}: respondWithin "${policy.respondWithin}" is not a duration like 4h or 3d`);
+        if (resolveWithin === null) errors.push(`${where}: resolveWithin "${policy.resolveWithin}" is not a duration like 4h or 3d`);
+        if (respondWithin !== null && resolveWithin !== null && respondWithin > resolveWithin) {
+            errors.push(`${where}: respondWithin is longer than resolveWithin`);
+        }
+        return {
+            name: policy.name || [policy.severity || 'any', policy.category].filter(Boolean).join('/'),
+            severity: policy.severity || null,
+            category: policy.category || null,
+            respondWithin: policy.respondWithin,
+            resolveWithin: policy.resolveWithin,
+            respondMs: respondWithin,
+            resolveMs: resolveWithin
+        };
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid SLA policies in ${file}:\n  ${errors.join('\n  ')}`);
+    }
+    return { ...config, file, policies };
+};
+
+// The policy matching most of the bug's severity and category, or null
+const matchPolicy = (policies, bug) => {
+    let best = null;
+    let bestScore = -1;
+    policies.forEach(policy => {
+        if (policy.severity && policy.severity !== bug.severity) return;
+        if (policy.category && policy.category !== bug.category) return;
+        const score = (policy.severity ? 2 : 0) + (policy.category ? 1 : 0);
+        if (score > bestScore) {
+            best = policy;
+            bestScore = score;
+        }
+    });
+    return best;
+};
+
+// Due dates of a bug under `policy`, counted from `startedAt`
+const dueDates = (policy, startedAt) => {
+    const start = new Date(startedAt).getTime();
+    return {
+        policy: policy.name,
+        startedAt,
+        respondBy: new Date(start + policy.respondMs).toISOString(),
+        resolveBy: new Date(start + policy.resolveMs).toISOString()
+    };
+};
+
+/**
+ * State of one target: "met", "breached" (missed, done late or still open
+ * past due), "at-risk" or "on-track", with the time left (negative: late).
+ */
+const targetStatus = (startedAt, dueAt, doneAt, now, atRisk) => {
+    const start = new Date(startedAt).getTime();
+    const due = new Date(dueAt).getTime();
+    if (doneAt) {
+        return { status: new Date(doneAt).getTime() <= due ? 'met' : 'breached', dueAt, doneAt };
+    }
+    const remainingMs = due - now;
+    if (remainingMs < 0) return { status: 'breached', dueAt, remainingMs };
+    const used = (now - start) / Math.max(due - start, 1);
+    return { status: used >= atRisk ? 'at-risk' : 'on-track', dueAt, remainingMs };
+};
+
+module.exports = {
+    SLA_FILE,
+    parseDuration,
+    formatDuration,
+    loadSlaConfig,
+    matchPolicy,
+    dueDates,
+    targetStatus
+};
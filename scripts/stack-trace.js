@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+
+/**
+ * NydArt Advisor - Stack Trace Parsing
+ *
+ * Turns the raw stack trace text of a failure into frames mapped to files of
+ * this repository, so a bug can name the component that failed and who owns
+ * it. Understands:
+ *
+ *   Node/V8 and Chrome   at fn (/abs/auth_service/src/app.js:12:5)
+ *                        at async fn (webpack-internal:///(rsc)/./src/app/page.tsx:8:3)
+ *                        at fn (http://localhost:3000/src/lib/api.js:3:9)
+ *   Firefox and Safari   fn@http://localhost:3000/_next/static/chunks/app/page.js:10:5
+ *
+ * Each frame gets a kind:
+ *   project     a source file of a service (or of this repository)
+ *   test        a test file of a service
+ *   dependency  node_modules
+ *   runtime     Node internals, native and eval code
+ *   bundle      built output (.next/, /_next/static/) that needs source maps
+ *   external    a path that cannot be mapped to this repository
+ *
+ * Paths from other machines (e.g. a CI checkout) are mapped by the service
+ * directory they contain. Fingerprints (bug-fingerprint.js) keep their own
+ * simpler frame parsing so existing fingerprints do not change.
+ *
+ * Usage: node scripts/stack-trace.js <parse|owner> ...
+ */
+
+const fs = require('fs');
+const path = require('path');
+const registry = require('./service-registry');
+const { findOwners } = require('./code-owners');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+const CONFIG = {
+    maxFrames: 20 // frames kept on a bug
+};
+
+const V8_FRAME = /^\s*at\s+(?:async\s+)?(?:(.+?)\s+\()?(.+?)(?::(\d+))?(?::(\d+))?\)?\s*$/;
+const BROWSER_FRAME = /^\s*([^@\s(]*(?:\s[^@\s(]+)*)@(.+?):(\d+):(\d+)\s*$/;
+const WEBPACK_PREFIX = /^webpack(?:-internal)?:\/\/[^/]*\//;
+const TEST_FILE = /(^|\/)(__tests__|tests?|spec|e2e)\/|\.(test|spec)\.[cm]?[jt]sx?$/;
+const SOURCE_PREFIX = /^(src|lib)\//;
+
+const toPosix = (file) => file.split(path.sep).join('/');
+
+const servicesByPath = () => registry.getServices()
+    .map(service => ({ service, dir: toPosix(service.path) }))
+    .sort((a, b) => b.dir.length - a.dir.length);
+
+// "auth_service/src/app.js" -> { service, relative: "src/app.js" }
+const splitService = (repoFile) => {
+    const entry = servicesByPath().find(({ dir }) => repoFile.startsWith(`${dir}/`));
+    return entry ? { service: entry.service, relative: repoFile.slice(entry.dir.length + 1) } : { service: null, relative: repoFile };
+};
+
+/**
+ * Map a frame location to a repository-relative file. `service` is the
+ * service the failure was reported for: paths relative to an app root
+ * (webpack sources, dev server URLs, relative paths) are resolved against it.
+ */
+const mapLocation = (location, service) => {
+    let file = location;
+    let appRelative = false;
+
+    if (/\s/.test(file) || file === '<anonymous>' || file === 'native' || file.startsWith('node:') ||
+        file.startsWith('internal/') || file.startsWith('eval')) {
+        return { kind: 'runtime', file: null };
+    }
+
+    if (WEBPACK_PREFIX.test(file)) {
+        // webpack-internal:///(app-pages-browser)/./src/app/page.tsx
+        file = file.replace(WEBPACK_PREFIX, '').replace(/^\/?(\([^)]*\)\/)*/, '');
+        appRelative = true;
+    } else if (/^https?:\/\//.test(file)) {
+        const { pathname } = new URL(file);
+        if (pathname.startsWith('/_next/')) return { kind: 'bundle', file: null };
+        file = decodeURIComponent(pathname);
+        appRelative = true;
+    } else if (file.startsWith('file://')) {
+        file = decodeURIComponent(file.slice('file://'.length));
+    }
+
+    file = file.replace(/[?#].*$/, '');
+    if (/(^|\/)node_modules\//.test(file)) return { kind: 'dependency', file: null };
+    if (/(^|\/)\.next\//.test(file)) return { kind: 'bundle', file: null };
+
+    let repoFile;
+    if (path.isAbsolute(file) && !appRelative) {
+        const relative = toPosix(path.relative(ROOT_DIR, file));
+        if (!relative.startsWith('../')) {
+            repoFile = relative;
+        } else {
+            // Another checkout: cut the path at the last service directory it contains
+            const posix = toPosix(file);
+            const entry = servicesByPath()
+                .map(({ dir }) => ({ dir, index: posix.lastIndexOf(`/${dir}/`) }))
+                .filter(({ index }) => index !== -1)
+                .sort((a, b) => b.index - a.index)[0];
+            if (!entry) return { kind: 'external', file: null };
+            repoFile = posix.slice(entry.index + 1);
+        }
+    } else {
+        const relative = toPosix(file).replace(/^\.?\//, '');
+        repoFile = service && !splitService(relative).service ? `${toPosix(service.path)}/${relative}` : relative;
+    }
+
+    const { relative } = splitService(repoFile);
+    return { kind: TEST_FILE.test(relative) ? 'test' : 'project', file: repoFile };
+};
+
+const parseLine = (line) => {
+    const v8 = line.match(V8_FRAME);
+    if (v8 && /^\s*at\s/.test(line)) {
+        return { function: v8[1] || '<anonymous>', location: v8[2], line: v8[3], column: v8[4], format: 'v8' };
+    }
+    const browser = line.match(BROWSER_FRAME);
+    if (browser && /[/:]/.test(browser[2])) {
+        return { function: browser[1] || '<anonymous>', location: browser[2], line: browser[3], column: browser[4], format: 'browser' };
+    }
+    return null;
+};
+
+/**
+ * Frames of a stack trace, outermost call last:
+ * { function, location, file, service, line, column, format, kind }
+ * `file` is relative to the repository root (null when it cannot be mapped).
+ */
+const parseStackTrace = (text, serviceKey) => {
+    const reportedService = serviceKey ? registry.getService(serviceKey) : null;
+
+    return String(text || '').replace(/\u001b\[[0-9;]*m/g, '').split('\n').map(parseLine).filter(Boolean).map(frame => {
+        const { kind, file } = mapLocation(frame.location, reportedService);
+        const owning = file ? splitService(file).service : null;
+        return {
+            function: frame.function,
+            location: frame.location,
+            file,
+            service: owning ? owning.id : null,
+            line: frame.line ? parseInt(frame.line, 10) : null,
+            column: frame.column ? parseInt(frame.column, 10) : null,
+            format: frame.format,
+            kind
+        };
+    });
+};
+
+// "auth_service/src/controllers/authController.js" -> "controllers/authController"
+const componentOf = (repoFile) => {
+    const { relative } = splitService(repoFile);
+    return relative.replace(SOURCE_PREFIX, '').replace(/\.[^/.]+$/, '');
+};
+
+/**
+ * Where a failure happened: the topmost project frame (a test file only when
+ * the trace has no other project frame), the component it names and the
+ * owners of its file. Returns { frames, top, component, owners, ownership };
+ * top, component and ownership are null when no frame maps to the repository.
+ */
+const locateFailure = (stackTrace, serviceKey) => {
+    const frames = parseStackTrace(stackTrace, serviceKey);
+    const top = frames.find(frame => frame.kind === 'project') || frames.find(frame => frame.kind === 'test') || null;
+    const ownership = top ? findOwners(top.file) : null;
+
+    return {
+        frames,
+        top,
+        component: top ? componentOf(top.file) : null,
+        owners: ownership ? ownership.owners : [],
+        ownership
+    };
+};
+
+// CLI interface
+const main = (args) => {
+    const command = args[0];
+    const serviceIndex = args.indexOf('--service');
+    const serviceKey = serviceIndex !== -1 ? args[serviceIndex + 1] : undefined;
+
+    switch (command) {
+        case 'parse': {
+            const source = args[1] && args[1] !== '--service' ? args[1] : null;
+            if (serviceKey && !registry.getService(serviceKey)) {
+                throw new Error(`Unknown service: ${serviceKey}`);
+            }
+            const text = fs.readFileSync(source || 0, 'utf8');
+            const located = locateFailure(text, serviceKey);
+            if (located.frames.length === 0) {
+                console.log('No stack frames found');
+                break;
+            }
+            console.table(located.frames.map(frame => ({
+                function: frame.function,
+                file: frame.file || frame.location,
+                line: frame.line || '',
+                kind: frame.kind
+            })));
+            if (!located.top) {
+                console.log('No frame maps to a file of this repository');
+                break;
+            }
+            console.log(`Location:  ${located.top.file}:${located.top.line} (${located.top.function})`);
+            console.log(`Component: ${located.component}`);
+            console.log(`Owners:    ${located.ownership
+                ? `${located.owners.join(', ') || 'none (explicitly unowned)'} from ${located.ownership.file}:${located.ownership.line} (${located.ownership.pattern})`
+                : 'no CODEOWNERS entry'}`);
+            break;
+        }
+
+        case 'owner': {
+            const files = args.slice(1);
+            if (files.length === 0) {
+                throw new Error('Usage: owner <file...> (paths relative to the repository root)');
+            }
+            files.forEach(file => {
+                const ownership = findOwners(toPosix(path.relative(ROOT_DIR, path.resolve(file))));
+                console.log(`${file}: ${ownership
+                    ? `${ownership.owners.join(', ') || 'unowned'} (${ownership.file}:${ownership.line} ${ownership.pattern})`
+                    : 'no CODEOWNERS entry'}`);
+            });
+            break;
+        }
+
+        case 'help':
+        default:
+            console.log(`
+NydArt Advisor Stack Trace Parser
+
+Usage: node scripts/stack-trace.js <command> [options]
+
+Commands:
+  parse [file] [--service <service>]
+    Parse a stack trace (from a file or stdin) and show its frames, the
+    component and the owners of the failing code. --service resolves paths
+    relative to an app root (webpack sources, dev server URLs)
+
+  owner <file...>
+    Show the CODEOWNERS entry deciding the owners of files
+
+Owners come from CODEOWNERS in .github/, the root or docs/ of a service (patterns
+relative to the service) or of this repository (patterns relative to its root).
+
+Examples:
+  npm test 2>&1 | node scripts/stack-trace.js parse --service auth
+  node scripts/stack-trace.js owner auth_service/src/controllers/authController.js
+`);
+            break;
+    }
+};
+
+// Run CLI if called directly
+if (require.main === module) {
+    try {
+        main(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    CONFIG,
+    parseStackTrace,
+    locateFailure,
+    componentOf
+};
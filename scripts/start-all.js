@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+
+/**
+ * NydArt Advisor - Local Development Orchestrator
+ *
+ * Starts every registered service in dependency order (db before auth before
+ * ai, ...), prefixes and colours each service's output, waits for each
+ * service's health endpoint before starting its dependents, restarts crashed
+ * services with exponential backoff and stops everything on Ctrl+C.
+ */
+
+const fs = require('fs');
+const axios = require('axios');
+const { concurrently } = require('concurrently');
+const registry = require('./service-registry');
+
+// Configuration
+const CONFIG = {
+    healthTimeout: 120000, // 2 minutes per service
+    healthInterval: 1000,
+    restartTries: 5,
+    restartDelay: 'exponential' // 1s, 2s, 4s, ...
+};
+
+const state = {
+    shuttingDown: false,
+    running: []
+};
+
+// Utility functions
+const log = (message, type = 'info') => {
+    const timestamp = new Date().toISOString();
+    const prefix = type === 'error' ? '❌' : type === 'success' ? '✅' : type === 'warning' ? '⚠️' : 'ℹ️';
+    console.log(`${prefix} [${timestamp}] ${message}`);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isHealthy = async (service) => {
+    try {
+        const response = await axios.get(registry.healthUrl(service), { timeout: 2000 });
+        return response.status === 200;
+    } catch (error) {
+        return false;
+    }
+};
+
+const waitForHealth = async (service) => {
+    const deadline = Date.now() + CONFIG.healthTimeout;
+
+    while (!state.shuttingDown && Date.now() < deadline) {
+        if (await isHealthy(service)) {
+            return true;
+        }
+        await sleep(CONFIG.healthInterval);
+    }
+    return false;
+};
+
+const startService = (service, prefixWidth) => {
+    const { result } = concurrently([{
+        command: service.startCommand,
+        name: service.alias.padEnd(prefixWidth),
+        cwd: registry.servicePath(service),
+        prefixColor: service.color,
+        env: { PORT: String(service.port) }
+    }], {
+        prefix: 'name',
+        restartTries: CONFIG.restartTries,
+        restartDelay: CONFIG.restartDelay
+    });
+
+    const running = result.then(
+        () => log(`${service.alias} stopped`),
+        () => {
+            if (!state.shuttingDown) {
+                log(`${service.alias} crashed ${CONFIG.restartTries + 1} times, giving up`, 'error');
+            }
+        }
+    );
+    state.running.push(running);
+};
+
+/**
+ * Start one service once all of its dependencies have settled, then wait for
+ * its health endpoint. Resolves to true when the service is healthy.
+ */
+const launch = async (service, ready, prefixWidth) => {
+    const dependencies = service.dependsOn.filter(id => ready[id]);
+    const results = await Promise.all(dependencies.map(id => ready[id]));
+
+    if (state.shuttingDown) return false;
+
+    results.forEach((healthy, index) => {
+        if (!healthy) {
+            log(`${service.alias} starting although dependency ${dependencies[index]} is not healthy`, 'warning');
+        }
+    });
+
+    if (!fs.existsSync(registry.servicePath(service))) {
+        log(`${service.alias}: directory ${service.path}/ not found, skipping (run npm run setup)`, 'warning');
+        return false;
+    }
+
+    if (await isHealthy(service)) {
+        log(`${service.alias} is already running on port ${service.port}, not starting another instance`, 'warning');
+        return true;
+    }
+
+    log(`Starting ${service.alias} (${service.startCommand}) on port ${service.port}...`);
+    startService(service, prefixWidth);
+
+    const healthy = await waitForHealth(service);
+    if (healthy) {
+        log(`${service.alias} is healthy at ${registry.healthUrl(service)}`, 'success');
+    } else if (!state.shuttingDown) {
+        log(`${service.alias} did not become healthy within ${CONFIG.healthTimeout / 1000} seconds`, 'error');
+    }
+    return healthy;
+};
+
+const selectServices = (args) => {
+    const optionIndex = args.indexOf('--only');
+    if (optionIndex === -1) {
+        return registry.dependencyOrder();
+    }
+
+    const keys = (args[optionIndex + 1] || '').split(',').map(key => key.trim()).filter(Boolean);
+    const services = keys.map(key => {
+        const service = registry.getService(key);
+        if (!service) {
+            throw new Error(`Unknown service "${key}"`);
+        }
+        return service;
+    });
+
+    if (services.length === 0) {
+        throw new Error('--only requires a comma-separated list of services');
+    }
+    return registry.withDependencies(services);
+};
+
+const shutdown = async () => {
+    if (state.shuttingDown) return;
+    state.shuttingDown = true;
+
+    // concurrently forwards the signal to every child process itself
+    log('Shutting down all services...', 'warning');
+    await Promise.all(state.running);
+    log('All services stopped', 'success');
+    process.exit(0);
+};
+
+const main = async (args) => {
+    const services = selectServices(args);
+    const prefixWidth = Math.max(...services.map(service => service.alias.length));
+
+    console.log('🚀 Starting NydArt Advisor Services');
+    console.log('='.repeat(60));
+    log(`Start order: ${services.map(service => service.alias).join(' → ')}`);
+
+    ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, shutdown));
+
+    const ready = {};
+    services.forEach(service => {
+        ready[service.id] = launch(service, ready, prefixWidth);
+    });
+
+    const results = await Promise.all(services.map(service => ready[service.id]));
+    if (state.shuttingDown) return;
+
+    const healthyCount = results.filter(Boolean).length;
+    console.log('='.repeat(60));
+    log(`${healthyCount}/${services.length} services healthy. Press Ctrl+C to stop.`, healthyCount === services.length ? 'success' : 'warning');
+
+    if (state.running.length === 0) {
+        log('No services were started', 'warning');
+        process.exit(healthyCount === services.length ? 0 : 1);
+    }
+};
+
+// Handle command line arguments
+const args = process.argv.slice(2);
+if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+NydArt Advisor Development Orchestrator
+
+Usage: node scripts/start-all.js [options]
+
+Options:
+  --help, -h          Show this help message
+  --only <list>       Start only the listed services and their dependencies
+
+Start order (from services.json dependsOn):
+  ${registry.dependencyOrder().map(service => service.alias).join(' → ')}
+
+Examples:
+  node scripts/start-all.js                 # Start every service
+  node scripts/start-all.js --only ai,front # Start ai, front and what they depend on
+`);
+    process.exit(0);
+}
+
+// Run the main function
+main(args).catch(error => {
+    log(`Startup failed: ${error.message}`, 'error');
+    process.exit(1);
+});
@@ -0,0 +1,106 @@
+/**
+ * NydArt Advisor - Test Baselines
+ *
+ * A baseline is the per-test outcome of a service's test suite captured before
+ * a fix is applied:
+ *
+ *   { capturedAt, exitCode, total, passed, failed, skipped,
+ *     tests: { "<suite> > <test>": { status, duration } } }
+ *
+ * Validation reruns the suite and compares against it: tests that passed in
+ * the baseline and fail now are regressions, tests whose duration grew beyond
+ * the threshold are a performance impact.
+ */
+
+// Tests faster than this are too noisy to compare durations
+const MIN_DURATION_MS = 50;
+
+const testId = (test) => (test.suite ? `${test.suite} > ${test.testName}` : test.testName);
+
+const countByStatus = (tests, status) => tests.filter(test => test.status === status).length;
+
+/**
+ * Reduce parsed test results (see test-result-parsers) to a baseline
+ */
+const snapshotTests = (tests, run = {}) => {
+    const snapshot = {};
+    tests.forEach(test => {
+        // Same name twice in a suite: keep both as "name #2", "name #3", ...
+        let id = testId(test);
+        for (let n = 2; snapshot[id]; n++) {
+            id = `${testId(test)} #${n}`;
+        }
+        snapshot[id] = { status: test.status, duration: test.duration };
+    });
+
+    return {
+        capturedAt: new Date().toISOString(),
+        exitCode: run.exitCode !== undefined ? run.exitCode : null,
+        total: tests.length,
+        passed: countByStatus(tests, 'passed'),
+        failed: countByStatus(tests, 'failed'),
+        skipped: countByStatus(tests, 'skipped'),
+        tests: snapshot
+    };
+};
+
+// Tests that passed in the baseline and fail in the current run, or are
+// missing from it (e.g. their suite no longer loads)
+const findRegressions = (baseline, current) => Object.entries(baseline.tests)
+    .filter(([id, before]) => before.status === 'passed' && (!current.tests[id] || current.tests[id].status === 'failed'))
+    .map(([id]) => ({ test: id, baselineStatus: 'passed', status: current.tests[id] ? 'failed' : 'missing' }));
+
+/**
+ * Compare test durations. `threshold` is the allowed slowdown as a fraction
+ * (0.25 = 25% slower); a slowdown of `significantThreshold` or more makes the
+ * impact significant instead of moderate.
+ */
+const comparePerformance = (baseline, current, options = {}) => {
+    const threshold = options.threshold !== undefined ? options.threshold : 0.25;
+    const significantThreshold = options.significantThreshold !== undefined ? options.significantThreshold : 1;
+    const minDuration = options.minDuration !== undefined ? options.minDuration : MIN_DURATION_MS;
+
+    const compared = Object.entries(current.tests).filter(([id, test]) => {
+        const before = baseline.tests[id];
+        return before && before.status === 'passed' && test.status === 'passed' &&
+            Number.isFinite(before.duration) && Number.isFinite(test.duration) &&
+            Math.max(before.duration, test.duration) >= minDuration;
+    });
+
+    const slowerTests = compared
+        .map(([id, test]) => {
+            const before = Math.max(baseline.tests[id].duration, 1);
+            return { test: id, before: baseline.tests[id].duration, after: test.duration, change: (test.duration - before) / before };
+        })
+        .filter(entry => entry.change > threshold)
+        .sort((a, b) => b.change - a.change)
+        .map(entry => ({ ...entry, change: Math.round(entry.change * 1000) / 1000 }));
+
+    const total = (tests) => compared.reduce((sum, [id]) => sum + tests[id].duration, 0);
+    const totalBefore = total(baseline.tests);
+    const totalAfter = total(current.tests);
+
+    let impact = 'minimal';
+    if (slowerTests.length > 0) {
+        impact = slowerTests[0].change >= significantThreshold ? 'significant' : 'moderate';
+    }
+
+    return {
+        impact,
+        threshold,
+        testsCompared: compared.length,
+        totalDuration: { before: totalBefore, after: totalAfter },
+        slowerTests,
+        details: slowerTests.length === 0
+            ? `No test slowed down by more than ${Math.round(threshold * 100)}% (${compared.length} compared)`
+            : `${slowerTests.length} test(s) slowed down by more than ${Math.round(threshold * 100)}%, worst: ` +
+              `${slowerTests[0].test} ${slowerTests[0].before}ms -> ${slowerTests[0].after}ms`
+    };
+};
+
+module.exports = {
+    testId,
+    snapshotTests,
+    findRegressions,
+    comparePerformance
+};
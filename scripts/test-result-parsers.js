@@ -0,0 +1,394 @@
+/**
+ * NydArt Advisor - Test Result Parsers
+ *
+ * Turns the output of the services' test runners into the test-result shape
+ * used by BugAnalyzer.detectBugsFromTestResults:
+ *
+ *   { testName, suite, service, status, error, stack, duration, file }
+ *
+ * status is passed | failed | skipped and duration is in milliseconds.
+ *
+ * Supported formats:
+ *   junit   JUnit XML (jest-junit, mocha-junit-reporter, Playwright, ...)
+ *   jest    jest --json
+ *   mocha   mocha --reporter json
+ *   tap     TAP 13/14 (node --test, node-tap)
+ *   json    the analyzer's own JSON array
+ */
+
+const path = require('path');
+const registry = require('./service-registry');
+
+const FORMATS = ['junit', 'jest', 'mocha', 'tap', 'json'];
+
+const stripAnsi = (text) => String(text || '').replace(/\u001b\[[0-9;]*m/g, '');
+
+// Split "Error: message\n    at frame..." into the message and the stack
+const splitError = (text) => {
+    const clean = stripAnsi(text).trim();
+    const stackStart = clean.search(/\n\s+at\s/);
+    const message = stackStart === -1 ? clean : clean.slice(0, stackStart);
+    return {
+        error: message.trim().split('\n').slice(0, 10).join('\n'),
+        stack: clean
+    };
+};
+
+const resolveService = (explicit, file) => {
+    if (explicit) {
+        const service = registry.getService(explicit);
+        return service ? service.id : explicit;
+    }
+    if (file) {
+        const segments = path.normalize(file).split(path.sep);
+        const service = registry.getServices().find(candidate => segments.includes(candidate.path));
+        if (service) return service.id;
+    }
+    return 'unknown';
+};
+
+const result = (fields, options) => ({
+    testName: fields.testName,
+    suite: fields.suite || null,
+    service: resolveService(options.service, fields.file),
+    status: fields.status,
+    // Failed tests always carry an error, if only "<testName> failed"
+    error: fields.error || (fields.status === 'failed' ? `${fields.testName} failed` : null),
+    stack: fields.stack || null,
+    duration: Number.isFinite(fields.duration) ? Math.round(fields.duration) : null,
+    file: fields.file || null
+});
+
+// JUnit XML
+
+const decodeEntities = (text) => text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+
+const parseAttributes = (source) => {
+    const attributes = {};
+    const pattern = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        attributes[match[1]] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+    }
+    return attributes;
+};
+
+// Minimal XML reader: elements, attributes, text and CDATA are enough for JUnit
+const parseXml = (xml) => {
+    const root = { name: '#root', attributes: {}, children: [], text: '' };
+    const stack = [root];
+    const pattern = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<[?!][\s\S]*?>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    let match;
+
+    while ((match = pattern.exec(xml)) !== null) {
+        const current = stack[stack.length - 1];
+        const [, cdata, closing, name, attributes, selfClosing, text] = match;
+
+        if (cdata !== undefined) {
+            current.text += cdata;
+        } else if (text !== undefined) {
+            current.text += decodeEntities(text);
+        } else if (name && closing) {
+            if (stack.length > 1) stack.pop();
+        } else if (name) {
+            const element = { name, attributes: parseAttributes(attributes || ''), children: [], text: '' };
+            current.children.push(element);
+            if (!selfClosing) stack.push(element);
+        }
+    }
+
+    return root;
+};
+
+const parseJUnit = (content, options = {}) => {
+    const results = [];
+
+    const visit = (element, suite) => {
+        element.children.forEach(child => {
+            if (child.name === 'testsuite' || child.name === 'testsuites') {
+                visit(child, child.name === 'testsuite' ? { name: child.attributes.name, file: child.attributes.file } : suite);
+                return;
+            }
+            if (child.name !== 'testcase') return;
+
+            const problem = child.children.find(node => node.name === 'failure' || node.name === 'error');
+            const skipped = child.children.some(node => node.name === 'skipped');
+            const file = child.attributes.file || (suite && suite.file);
+            const details = problem ? splitError(problem.text || problem.attributes.message) : {};
+
+            results.push(result({
+                testName: child.attributes.name,
+                suite: child.attributes.classname || (suite && suite.name),
+                status: problem ? 'failed' : skipped ? 'skipped' : 'passed',
+                error: problem ? (problem.attributes.message || details.error || problem.attributes.type) : null,
+                stack: details.stack,
+                duration: child.attributes.time !== undefined ? parseFloat(child.attributes.time) * 1000 : null,
+                file
+            }, options));
+        });
+    };
+
+    visit(parseXml(content), null);
+    return results;
+};
+
+// Jest --json
+
+const JEST_STATUS = { passed: 'passed', failed: 'failed', pending: 'skipped', skipped: 'skipped', todo: 'skipped', disabled: 'skipped' };
+
+const parseJest = (content, options = {}) => {
+    const report = typeof content === 'string' ? JSON.parse(content) : content;
+    const results = [];
+
+    (report.testResults || []).forEach(file => {
+        const assertions = file.assertionResults || file.testResults || [];
+
+        // A suite that failed to run (syntax error, missing module) has no assertions
+        if (assertions.length === 0 && file.status === 'failed') {
+            const details = splitError(file.message || file.failureMessage);
+            results.push(result({
+                testName: path.basename(file.name || file.testFilePath || 'test suite'),
+                suite: null,
+                status: 'failed',
+                error: details.error || 'Test suite failed to run',
+                stack: details.stack,
+                duration: file.endTime && file.startTime ? file.endTime - file.startTime : null,
+                file: file.name || file.testFilePath
+            }, options));
+            return;
+        }
+
+        assertions.forEach(assertion => {
+            const details = splitError((assertion.failureMessages || []).join('\n'));
+            results.push(result({
+                testName: assertion.title,
+                suite: (assertion.ancestorTitles || []).join(' > ') || null,
+                status: JEST_STATUS[assertion.status] || 'failed',
+                error: assertion.status === 'failed' ? details.error : null,
+                stack: assertion.status === 'failed' ? details.stack : null,
+                duration: assertion.duration,
+                file: file.name || file.testFilePath
+            }, options));
+        });
+    });
+
+    return results;
+};
+
+// Mocha JSON reporter
+
+const parseMocha = (content, options = {}) => {
+    const report = typeof content === 'string' ? JSON.parse(content) : content;
+    const pending = new Set((report.pending || []).map(test => test.fullTitle));
+    const failed = new Map((report.failures || []).map(test => [test.fullTitle, test]));
+    const tests = report.tests || [...(report.passes || []), ...(report.failures || []), ...(report.pending || [])];
+
+    return tests.map(test => {
+        const failure = failed.get(test.fullTitle);
+        const err = (failure && failure.err) || test.err || {};
+        const isFailed = Boolean(failure) || Object.keys(err).length > 0;
+        const suite = test.fullTitle && test.fullTitle.endsWith(test.title)
+            ? test.fullTitle.slice(0, -test.title.length).trim()
+            : null;
+
+        return result({
+            testName: test.title,
+            suite: suite || null,
+            status: isFailed ? 'failed' : pending.has(test.fullTitle) || test.pending ? 'skipped' : 'passed',
+            error: isFailed ? stripAnsi(err.message || String(err)) : null,
+            stack: isFailed ? stripAnsi(err.stack || '') : null,
+            duration: test.duration,
+            file: test.file
+        }, options);
+    });
+};
+
+// TAP
+
+const unquote = (value) => {
+    const trimmed = value.trim();
+    if ((trimmed.startsWith('\'') && trimmed.endsWith('\'')) || (trimmed.startsWith('"') && trimmed.endsWith('"'))) {
+        return trimmed.slice(1, -1).replace(/''/g, '\'');
+    }
+    return trimmed;
+};
+
+// Flat reader for the YAML diagnostics block: scalars, block scalars and one
+// level of nesting (node-tap's `at: { file, line }`)
+const parseDiagnostics = (lines) => {
+    const diagnostics = {};
+    const first = lines.find(line => line.trim() !== '');
+    const baseIndent = first ? first.match(/^\s*/)[0].length : 0;
+    let index = 0;
+
+    while (index < lines.length) {
+        const line = lines[index];
+        const match = line.match(/^(\s*)([\w-]+):\s*(.*)$/);
+        index++;
+        if (!match || match[1].length !== baseIndent) continue;
+
+        const [, , key, value] = match;
+        if (/^[|>][-+]?$/.test(value) || value === '') {
+            const block = [];
+            while (index < lines.length && (lines[index].trim() === '' || lines[index].match(/^\s*/)[0].length > baseIndent)) {
+                block.push(lines[index]);
+                index++;
+            }
+            if (value === '' && block.some(entry => /^\s*[\w-]+:/.test(entry))) {
+                diagnostics[key] = parseDiagnostics(block.filter(entry => entry.trim() !== ''));
+            } else {
+                const indent = Math.min(...block.filter(entry => entry.trim()).map(entry => entry.match(/^\s*/)[0].length));
+                diagnostics[key] = block.map(entry => entry.slice(indent).trimEnd()).join(value.startsWith('>') ? ' ' : '\n').trim();
+            }
+        } else {
+            diagnostics[key] = unquote(value);
+        }
+    }
+
+    return diagnostics;
+};
+
+// node --test prints bare frames ("fn (file:1:2)"), V8 style needs "at "
+const tapStack = (message, stack) => {
+    if (!stack) return null;
+    const frames = stack.split('\n').map(frame => frame.trim()).filter(Boolean)
+        .map(frame => (frame.startsWith('at ') ? `    ${frame}` : `    at ${frame}`));
+    return [message, ...frames].join('\n');
+};
+
+const parseTap = (content, options = {}) => {
+    const lines = stripAnsi(content).split('\n');
+    const points = [];
+
+    for (let index = 0; index < lines.length; index++) {
+        const match = lines[index].match(/^(\s*)(not ok|ok)\b\s*(\d+)?\s*(?:-\s*)?([^#]*?)\s*(?:#\s*(.*))?$/);
+        if (!match) continue;
+
+        const [, indent, outcome, , description, directive] = match;
+        const point = {
+            indent: indent.length,
+            owner: indent.length,
+            testName: description.trim() || `test ${points.length + 1}`,
+            suite: null,
+            ok: outcome === 'ok',
+            directive: (directive || '').trim(),
+            diagnostics: {},
+            parent: false
+        };
+
+        // YAML diagnostics follow the test point, indented by two spaces
+        if (lines[index + 1] !== undefined && /^\s*---\s*$/.test(lines[index + 1])) {
+            const block = [];
+            index += 2;
+            while (index < lines.length && !/^\s*\.\.\.\s*$/.test(lines[index])) {
+                block.push(lines[index]);
+                index++;
+            }
+            point.diagnostics = parseDiagnostics(block);
+        }
+
+        // Subtests are printed before their parent: the parent becomes their suite
+        for (let child = points.length - 1; child >= 0 && points[child].owner > point.indent; child--) {
+            points[child].suite = points[child].suite ? `${point.testName} > ${points[child].suite}` : point.testName;
+            points[child].owner = point.indent;
+            point.parent = true;
+        }
+
+        points.push(point);
+    }
+
+    return points.filter(point => !point.parent).map(point => {
+        const diagnostics = point.diagnostics;
+        const skipped = /^(skip|todo)\b/i.test(point.directive);
+        const location = diagnostics.location || (diagnostics.at && diagnostics.at.file) || diagnostics.file;
+        const failed = !point.ok && !skipped;
+        const message = diagnostics.error || diagnostics.message || (failed ? point.testName : null);
+
+        return result({
+            testName: point.testName,
+            suite: point.suite,
+            status: skipped ? 'skipped' : point.ok ? 'passed' : 'failed',
+            error: failed ? stripAnsi(message) : null,
+            stack: failed ? tapStack(message, diagnostics.stack) : null,
+            duration: diagnostics.duration_ms !== undefined ? parseFloat(diagnostics.duration_ms) : null,
+            file: location ? location.replace(/^file:\/\//, '').replace(/:\d+(:\d+)?$/, '') : null
+        }, options);
+    });
+};
+
+// Analyzer JSON
+
+const parseJson = (content, options = {}) => {
+    const tests = typeof content === 'string' ? JSON.parse(content) : content;
+    if (!Array.isArray(tests)) {
+        throw new Error('Expected a JSON array of test results');
+    }
+
+    return tests.map(test => {
+        const details = splitError(test.stack || test.output || '');
+        return result({
+            testName: test.testName || test.name,
+            suite: test.suite,
+            status: test.status,
+            error: test.error,
+            stack: details.stack || null,
+            duration: test.duration,
+            file: test.file
+        }, { ...options, service: options.service || test.service });
+    });
+};
+
+const detectFormat = (content) => {
+    const trimmed = content.trim();
+    if (trimmed.startsWith('<')) return 'junit';
+    if (/^(TAP version \d+|1\.\.\d+|(not )?ok\b)/m.test(trimmed) && !/^[[{]/.test(trimmed)) return 'tap';
+
+    let parsed;
+    try {
+        parsed = JSON.parse(trimmed);
+    } catch (error) {
+        throw new Error('Unrecognized test result format (expected JUnit XML, Jest/Mocha JSON, TAP or a JSON array)');
+    }
+    if (Array.isArray(parsed)) return 'json';
+    if (parsed.testResults) return 'jest';
+    if (parsed.stats && (parsed.tests || parsed.failures || parsed.passes)) return 'mocha';
+    throw new Error('Unrecognized JSON test result format');
+};
+
+const PARSERS = {
+    junit: parseJUnit,
+    jest: parseJest,
+    mocha: parseMocha,
+    tap: parseTap,
+    json: parseJson
+};
+
+/**
+ * Parse test runner output. `options.format` defaults to auto-detection and
+ * `options.service` (registry id, name or alias) overrides the service that
+ * is otherwise inferred from each test's file path.
+ */
+const parseTestResults = (content, options = {}) => {
+    const format = options.format || detectFormat(content);
+    if (!PARSERS[format]) {
+        throw new Error(`Unknown test result format "${format}". Supported: ${FORMATS.join(', ')}`);
+    }
+    return PARSERS[format](content, options);
+};
+
+module.exports = {
+    FORMATS,
+    detectFormat,
+    parseTestResults,
+    parseJUnit,
+    parseJest,
+    parseMocha,
+    parseTap
+};
@@ -7,38 +7,15 @@
 
 const fs = require('fs');
 const path = require('path');
+const registry = require('./service-registry');
 
-// Define required environment variables for each service
-const serviceEnvVars = {
-    'ai_service': {
-        required: ['OPENAI_API_KEY', 'JWT_SECRET', 'BDD_SERVICE_URL'],
-        optional: ['PORT', 'NODE_ENV', 'AUTH_SERVICE_URL', 'NOTIFICATION_SERVICE_URL']
-    },
-    'auth_service': {
-        required: ['JWT_SECRET', 'JWT_REFRESH_SECRET', 'DB_SERVICE_URL'],
-        optional: ['PORT', 'NODE_ENV', 'PAYMENT_SERVICE_URL', 'NOTIFICATION_SERVICE_URL', 'CLIENT_URL', 'GOOGLE_CLIENT_ID', 'GOOGLE_CLIENT_SECRET']
-    },
-    'db_service': {
-        required: ['MONGODB_URI', 'JWT_SECRET'],
-        optional: ['PORT', 'NODE_ENV', 'AUTH_SERVICE_URL', 'NOTIFICATION_SERVICE_URL']
-    },
-    'payment_service': {
-        required: ['JWT_SECRET', 'STRIPE_SECRET_KEY'],
-        optional: ['PORT', 'NODE_ENV', 'AUTH_SERVICE_URL', 'BDD_SERVICE_URL', 'FRONTEND_URL', 'PAYPAL_CLIENT_ID', 'PAYPAL_CLIENT_SECRET']
-    },
-    'notification_service': {
-        required: ['JWT_SECRET'],
-        optional: ['PORT', 'NODE_ENV', 'DB_SERVICE_URL', 'AUTH_SERVICE_URL', 'FRONTEND_URL', 'SENDGRID_API_KEY', 'TWILIO_ACCOUNT_SID']
-    },
-    'metrics_service': {
-        required: ['JWT_SECRET'],
-        optional: ['PORT', 'NODE_ENV', 'AUTH_SERVICE_URL', 'FRONTEND_URL', 'REDIS_URL']
-    },
-    'front': {
-        required: [],
-        optional: ['NEXT_PUBLIC_AUTH_SERVICE_URL', 'NEXT_PUBLIC_AI_SERVICE_URL', 'NEXT_PUBLIC_DB_SERVICE_URL', 'NEXT_PUBLIC_PAYMENT_SERVICE_URL', 'NEXT_PUBLIC_METRICS_SERVICE_URL', 'NEXTAUTH_URL', 'NEXTAUTH_SECRET']
-    }
-};
+// Required environment variables for each service come from the service registry
+const serviceEnvVars = Object.fromEntries(
+    registry.getServices().map(service => [service.id, {
+        required: service.env.required,
+        optional: service.env.optional
+    }])
+);
 
 // Common environment variables
 const commonEnvVars = {
@@ -10,17 +10,14 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const registry = require('./service-registry');
 
 // Service configuration
-const SERVICES = [
-  { name: 'auth-service', path: 'auth_service', port: 5002 },
-  { name: 'db-service', path: 'db_service', port: 5001 },
-  { name: 'ai-service', path: 'ai_service', port: 5003 },
-  { name: 'payment-service', path: 'payment_service', port: 5004 },
-  { name: 'notification-service', path: 'notification_service', port: 5005 },
-  { name: 'metrics-service', path: 'metrics_service', port: 5006 },
-  { name: 'frontend', path: 'front', port: 3000 }
-];
+const SERVICES = registry.getServices().map(service => ({
+  name: service.name,
+  path: service.path,
+  port: service.port
+}));
 
 // Version types
 const VERSION_TYPES = {
@@ -0,0 +1,349 @@
+/**
+ * NydArt Advisor - Minimal YAML Parser
+ *
+ * Enough YAML for hand-written config files such as the analysis rules,
+ * without a dependency:
+ *
+ *   - block mappings and sequences (including "- key: value" items)
+ *   - flow sequences and mappings: [a, b], {key: value}
+ *   - plain, 'single' and "double" quoted scalars, numbers, booleans, null
+ *   - literal (|) and folded (>) block scalars with -/+ chomping
+ *   - comments and a leading "---"
+ *
+ * Anchors, aliases, tags and multiple documents are not supported. Use
+ * single quotes for regular expressions: backslashes are kept as-is there.
+ */
+
+const resolvePlain = (text) => {
+    if (/^(true|True|TRUE)$/.test(text)) return true;
+    if (/^(false|False|FALSE)$/.test(text)) return false;
+    if (/^(null|Null|NULL|~)$/.test(text) || text === '') return null;
+    if (/^[-+]?\d+$/.test(text)) return parseInt(text, 10);
+    if (/^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/.test(text)) return parseFloat(text);
+    return text;
+};
+
+const DOUBLE_QUOTE_ESCAPES = { '\\': '\\', '"': '"', '/': '/', n: '\n', t: '\t', r: '\r', '0': '\0', b: '\b', f: '\f', ' ': ' ' };
+
+// A quote starts a quoted scalar only where a scalar starts: at the
+// beginning, or after "[", "{", "," or ": " in a flow collection. Elsewhere
+// (Don't, 5'10") it is part of a plain scalar.
+const opensScalar = (text, i) => {
+    const before = text.slice(0, i);
+    const trimmed = before.trimEnd();
+    if (trimmed === '' || /[[{,]$/.test(trimmed)) return true;
+    return trimmed.endsWith(':') && trimmed.length < before.length;
+};
+
+// Cut a trailing "# comment" that is not inside quotes
+const stripComment = (text) => {
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === '\\' && quote === '"') i++;
+            else if (char === quote) quote = null;
+        } else if ((char === '"' || char === '\'') && opensScalar(text, i)) {
+            quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+            return text.slice(0, i);
+        }
+    }
+    return text;
+};
+
+const parseYaml = (text) => {
+    const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+    let index = 0;
+
+    const fail = (message, lineIndex = index) => {
+        throw new Error(`YAML line ${lineIndex + 1}: ${message}`);
+    };
+
+    const isContent = (line) => line.trim() !== '' && !line.trim().startsWith('#');
+
+    const skipEmpty = () => {
+        while (index < lines.length && !isContent(lines[index])) index++;
+    };
+
+    const indentOf = (line) => {
+        const indent = line.match(/^ */)[0].length;
+        if (line[indent] === '\t') fail('tabs are not allowed for indentation');
+        return indent;
+    };
+
+    const isSequenceItem = (content) => content === '-' || content.startsWith('- ');
+
+    // Quoted scalar starting at text[start]; returns { value, end }
+    const readQuoted = (source, start, lineIndex) => {
+        const quote = source[start];
+        let value = '';
+        for (let i = start + 1; i < source.length; i++) {
+            const char = source[i];
+            if (quote === '\'' && char === '\'') {
+                if (source[i + 1] === '\'') {
+                    value += '\'';
+                    i++;
+                    continue;
+                }
+                return { value, end: i + 1 };
+            }
+            if (quote === '"' && char === '\\') {
+                const next = source[i + 1];
+                if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(source.slice(i + 2, i + 6))) {
+                    value += String.fromCharCode(parseInt(source.slice(i + 2, i + 6), 16));
+                    i += 5;
+                } else if (DOUBLE_QUOTE_ESCAPES[next] !== undefined) {
+                    value += DOUBLE_QUOTE_ESCAPES[next];
+                    i++;
+                } else {
+                    fail(`unknown escape "\\${next}" in a double-quoted string (use single quotes for regular expressions)`, lineIndex);
+                }
+                continue;
+            }
+            if (quote === '"' && char === '"') {
+                return { value, end: i + 1 };
+            }
+            value += char;
+        }
+        return fail('unterminated quoted string', lineIndex);
+    };
+
+    // Flow collections: [a, 'b', [c]] and {key: value}
+    const parseFlow = (source, lineIndex) => {
+        let pos = 0;
+        const skipSpace = () => {
+            while (pos < source.length && /\s/.test(source[pos])) pos++;
+        };
+
+        const readValue = () => {
+            skipSpace();
+            const char = source[pos];
+            if (char === '[') {
+                pos++;
+                const items = [];
+                skipSpace();
+                if (source[pos] === ']') {
+                    pos++;
+                    return items;
+                }
+                while (pos < source.length) {
+                    items.push(readValue());
+                    skipSpace();
+                    if (source[pos] === ',') {
+                        pos++;
+                    } else if (source[pos] === ']') {
+                        pos++;
+                        return items;
+                    } else {
+                        fail('expected "," or "]" in flow sequence', lineIndex);
+                    }
+                }
+                return fail('unterminated flow sequence', lineIndex);
+            }
+            if (char === '{') {
+                pos++;
+                const map = {};
+                skipSpace();
+                if (source[pos] === '}') {
+                    pos++;
+                    return map;
+                }
+                while (pos < source.length) {
+                    skipSpace();
+                    const key = readScalar(':');
+                    if (source[pos] !== ':') fail('expected ":" in flow mapping', lineIndex);
+                    pos++;
+                    map[key] = readValue();
+                    skipSpace();
+                    if (source[pos] === ',') {
+                        pos++;
+                    } else if (source[pos] === '}') {
+                        pos++;
+                        return map;
+                    } else {
+                        fail('expected "," or "}" in flow mapping', lineIndex);
+                    }
+                }
+                return fail('unterminated flow mapping', lineIndex);
+            }
+            return readScalar('');
+        };
+
+        const readScalar = (extraStop) => {
+            skipSpace();
+            if (source[pos] === '"' || source[pos] === '\'') {
+                const quoted = readQuoted(source, pos, lineIndex);
+                pos = quoted.end;
+                return quoted.value;
+            }
+            const start = pos;
+            while (pos < source.length && !',[]{}'.includes(source[pos]) && !extraStop.includes(source[pos])) pos++;
+            return resolvePlain(source.slice(start, pos).trim());
+        };
+
+        const value = readValue();
+        skipSpace();
+        if (pos < source.length) fail(`unexpected "${source.slice(pos)}" after flow collection`, lineIndex);
+        return value;
+    };
+
+    const parseInline = (rest, lineIndex) => {
+        if (rest.startsWith('[') || rest.startsWith('{')) {
+            return parseFlow(rest, lineIndex);
+        }
+        if (rest.startsWith('"') || rest.startsWith('\'')) {
+            const quoted = readQuoted(rest, 0, lineIndex);
+            if (rest.slice(quoted.end).trim() !== '') fail('unexpected text after quoted string', lineIndex);
+            return quoted.value;
+        }
+        return resolvePlain(rest);
+    };
+
+    const parseBlockScalar = (indicator, parentIndent) => {
+        const folded = indicator[0] === '>';
+        const chomp = indicator[1] || '';
+        const block = [];
+        let blockIndent = null;
+
+        while (index < lines.length) {
+            const line = lines[index];
+            if (line.trim() === '') {
+                block.push('');
+                index++;
+                continue;
+            }
+            const indent = indentOf(line);
+            if (indent <= parentIndent) break;
+            if (blockIndent === null) blockIndent = indent;
+            if (indent < blockIndent) fail('bad indentation in block scalar');
+            block.push(line.slice(blockIndent));
+            index++;
+        }
+
+        let trailing = 0;
+        while (block.length > 0 && block[block.length - 1] === '') {
+            block.pop();
+            trailing++;
+        }
+
+        let value = folded
+            ? block.reduce((text, line, i) => {
+                if (i === 0) return line;
+                if (line === '') return `${text}\n`;
+                if (block[i - 1] === '') return `${text}${line}`;
+                return `${text} ${line}`;
+            }, '')
+            : block.join('\n');
+
+        if (chomp === '+') value += '\n'.repeat(trailing + 1);
+        else if (chomp !== '-' && block.length > 0) value += '\n';
+        return value;
+    };
+
+    // Value after "key:" or "-": inline, block scalar or a nested block
+    const parseValue = (rest, parentIndent, lineIndex, allowSameIndentSequence) => {
+        if (/^[|>][-+]?$/.test(rest)) {
+            return parseBlockScalar(rest, parentIndent);
+        }
+        if (rest !== '') {
+            return parseInline(rest, lineIndex);
+        }
+
+        skipEmpty();
+        if (index >= lines.length) return null;
+        const indent = indentOf(lines[index]);
+        const content = lines[index].slice(indent);
+        if (indent > parentIndent) return parseNode(indent);
+        if (allowSameIndentSequence && indent === parentIndent && isSequenceItem(content)) {
+            return parseSequence(indent);
+        }
+        return null;
+    };
+
+    const KEY_PATTERN = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s'"#\-[\]{}][^:#]*?|-[^\s:#][^:#]*?)\s*:(?=\s|$)/;
+
+    const parseMapping = (indent) => {
+        const map = {};
+        while (true) {
+            skipEmpty();
+            if (index >= lines.length) break;
+            const line = lines[index];
+            const lineIndent = indentOf(line);
+            if (lineIndent < indent) break;
+            if (lineIndent > indent) fail('bad indentation');
+
+            const content = line.slice(lineIndent);
+            if (isSequenceItem(content)) break;
+
+            const match = content.match(KEY_PATTERN);
+            if (!match) fail(`expected "key: value", got "${content.trim()}"`);
+
+            const rawKey = match[1];
+            const key = rawKey.startsWith('"') || rawKey.startsWith('\'') ? readQuoted(rawKey, 0, index).value : rawKey.trim();
+            if (Object.prototype.hasOwnProperty.call(map, key)) fail(`duplicate key "${key}"`);
+
+            const lineIndex = index;
+            const rest = stripComment(content.slice(match[0].length)).trim();
+            index++;
+            map[key] = parseValue(rest, indent, lineIndex, true);
+        }
+        return map;
+    };
+
+    const parseSequence = (indent) => {
+        const items = [];
+        while (true) {
+            skipEmpty();
+            if (index >= lines.length) break;
+            const line = lines[index];
+            const lineIndent = indentOf(line);
+            if (lineIndent < indent) break;
+            if (lineIndent > indent) fail('bad indentation');
+
+            const content = line.slice(lineIndent);
+            if (!isSequenceItem(content)) break;
+
+            const afterDash = content.slice(1);
+            const itemText = stripComment(afterDash).trim();
+            const itemIndent = lineIndent + 1 + afterDash.match(/^ */)[0].length;
+
+            if (KEY_PATTERN.test(itemText) || isSequenceItem(itemText)) {
+                // "- key: value" and "- - item" start a nested block at the item's indent
+                lines[index] = ' '.repeat(itemIndent) + afterDash.trimStart();
+                items.push(KEY_PATTERN.test(itemText) ? parseMapping(itemIndent) : parseSequence(itemIndent));
+            } else {
+                const lineIndex = index;
+                index++;
+                items.push(parseValue(itemText, indent, lineIndex, false));
+            }
+        }
+        return items;
+    };
+
+    const parseNode = (indent) => {
+        skipEmpty();
+        if (index >= lines.length) return null;
+        const lineIndent = indentOf(lines[index]);
+        if (lineIndent < indent) return null;
+        const content = lines[index].slice(lineIndent);
+
+        if (isSequenceItem(content)) return parseSequence(lineIndent);
+        if (KEY_PATTERN.test(content)) return parseMapping(lineIndent);
+
+        // A lone scalar document
+        const lineIndex = index;
+        index++;
+        return parseInline(stripComment(content).trim(), lineIndex);
+    };
+
+    skipEmpty();
+    if (index < lines.length && lines[index].trim() === '---') index++;
+
+    const document = parseNode(0);
+    skipEmpty();
+    if (index < lines.length) fail(`unexpected "${lines[index].trim()}"`);
+    return document;
+};
+
+module.exports = { parseYaml };
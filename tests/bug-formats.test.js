@@ -0,0 +1,31 @@
+/**
+ * CSV round trips (scripts/bug-formats.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { formatBugs, parseBugs } = require('../scripts/bug-formats');
+
+const roundTrip = (bugs, columns) => parseBugs(formatBugs(bugs, 'csv', { columns }), 'csv');
+
+test('text columns that look like JSON stay text', () => {
+    const bug = { id: 'BUG-1', title: '[1,2]', errorMessage: '{"error":"Unauthorized"}' };
+    assert.deepStrictEqual(roundTrip([bug], 'id,title,errorMessage'), [bug]);
+});
+
+test('object, number and list columns get their types back', () => {
+    const bug = {
+        id: 'BUG-2',
+        priority: 7,
+        environment: { node: '20', os: 'linux' },
+        codeLocation: { file: 'src/a.js', line: 3 },
+        tags: ['auth', 'jwt'],
+        attachments: [{ id: 'ATTACHMENT-1', name: 'a;b.log', size: 2 }]
+    };
+    assert.deepStrictEqual(roundTrip([bug], 'id,priority,environment,codeLocation,tags,attachments'), [bug]);
+});
+
+test('quotes, commas and newlines survive', () => {
+    const bug = { id: 'BUG-3', title: 'He said "no", twice', description: 'line one\nline two' };
+    assert.deepStrictEqual(roundTrip([bug], 'id,title,description'), [bug]);
+});
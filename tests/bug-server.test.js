@@ -0,0 +1,60 @@
+/**
+ * Bug tracker REST API (scripts/bug-server.js): actors and body validation.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BugTracker = require('../scripts/bug-tracker');
+const { createApp, parseTokens } = require('../scripts/bug-server');
+
+let server;
+let baseUrl;
+let tracker;
+
+const request = async (method, url, body) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { Authorization: 'Bearer s3cret', 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+test.before(async () => {
+    tracker = new BugTracker({ dataDir: fs.mkdtempSync(path.join(os.tmpdir(), 'bug-api-')) });
+    const app = createApp({ tracker, tokens: parseTokens('alice:s3cret') });
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+test.after(() => {
+    server.close();
+    fs.rmSync(tracker.dataDir, { recursive: true, force: true });
+});
+
+test('bugs created through the API are created by the token name', async () => {
+    const { status, body } = await request('POST', '/bugs', {
+        title: 'Checkout times out',
+        description: 'Stripe webhook never answers',
+        service: 'payment_service',
+        severity: 'high',
+        category: 'performance'
+    });
+
+    assert.strictEqual(status, 201);
+    const bug = tracker.reload().findBug(body.id);
+    assert.strictEqual(bug.detectedBy, 'alice');
+    assert.strictEqual(bug.history.find(entry => entry.action === 'created').user, 'alice');
+});
+
+test('updates with Object.prototype member names are rejected', async () => {
+    const [bug] = tracker.reload().bugs;
+    for (const key of ['hasOwnProperty', 'constructor', 'toString', '__proto__']) {
+        const { status } = await request('PATCH', `/bugs/${bug.id}`, `{"${key}": "pwn"}`);
+        assert.strictEqual(status, 400, key);
+    }
+    assert.ok(!Object.hasOwn(tracker.reload().findBug(bug.id), 'hasOwnProperty'));
+});
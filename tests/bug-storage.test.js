@@ -0,0 +1,85 @@
+/**
+ * Data directory locking (withLock in scripts/bug-storage.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { withLock } = require('../scripts/bug-storage');
+
+const tempDirs = [];
+const tempDir = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bug-lock-'));
+    tempDirs.push(dir);
+    return dir;
+};
+const OPTIONS = { timeout: 300, stale: 60000, retryInterval: 10 };
+
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// A pid that is not running
+const deadPid = () => {
+    let pid = 999999;
+    while (true) {
+        try {
+            process.kill(pid, 0);
+            pid--;
+        } catch (error) {
+            if (error.code === 'ESRCH') return pid;
+            pid--;
+        }
+    }
+};
+
+test('takes over the lock of a process that is gone', () => {
+    const lockPath = path.join(tempDir(), 'lock');
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: deadPid(), token: 'old', acquiredAt: new Date().toISOString() }));
+    assert.strictEqual(withLock(lockPath, () => 'ran', OPTIONS), 'ran');
+    assert.ok(!fs.existsSync(lockPath));
+    assert.ok(!fs.existsSync(`${lockPath}.takeover`));
+});
+
+test('waits for a live holder however old its lock is', () => {
+    const lockPath = path.join(tempDir(), 'lock');
+    const content = JSON.stringify({ pid: process.pid, token: 'held', acquiredAt: '2020-01-01T00:00:00.000Z' });
+    fs.writeFileSync(lockPath, content);
+    assert.throws(() => withLock(lockPath, () => 'ran', OPTIONS), { code: 'LOCK_TIMEOUT' });
+    assert.strictEqual(fs.readFileSync(lockPath, 'utf8'), content);
+});
+
+test('does not release a lock that is no longer its own', () => {
+    const lockPath = path.join(tempDir(), 'lock');
+    const other = JSON.stringify({ pid: process.pid, token: 'other', acquiredAt: new Date().toISOString() });
+    withLock(lockPath, () => fs.writeFileSync(lockPath, other), OPTIONS);
+    assert.strictEqual(fs.readFileSync(lockPath, 'utf8'), other);
+});
+
+test('parallel processes never hold the lock together', async () => {
+    const dir = tempDir();
+    fs.writeFileSync(path.join(dir, 'lock'), JSON.stringify({ pid: deadPid(), token: 'old', acquiredAt: new Date().toISOString() }));
+    const worker = `
+        const fs = require('fs');
+        const { withLock } = require(${JSON.stringify(path.join(__dirname, '..', 'scripts', 'bug-storage'))});
+        const dir = ${JSON.stringify(dir)};
+        for (let i = 0; i < 5; i++) {
+            withLock(dir + '/lock', () => {
+                if (fs.existsSync(dir + '/held')) fs.appendFileSync(dir + '/overlaps', 'x');
+                fs.writeFileSync(dir + '/held', '');
+                const end = Date.now() + 5;
+                while (Date.now() < end);
+                fs.rmSync(dir + '/held');
+                fs.appendFileSync(dir + '/count', 'x');
+            });
+        }
+    `;
+    const run = () => new Promise((resolve, reject) => {
+        execFile(process.execPath, ['-e', worker], { timeout: 30000 }, error => (error ? reject(error) : resolve()));
+    });
+    await Promise.all([run(), run(), run()]);
+
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'count'), 'utf8').length, 15);
+    assert.ok(!fs.existsSync(path.join(dir, 'overlaps')));
+});
@@ -0,0 +1,144 @@
+/**
+ * Two-way GitHub sync (scripts/github-sync.js) against the fake GitHub API
+ * of scripts/github-fake.js, with a bug tracker in a temporary directory.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const BugTracker = require('../scripts/bug-tracker');
+const { startFakeGitHub } = require('../scripts/github-fake');
+const { createGitHubClient, GitHubSync } = require('../scripts/github-sync');
+
+const TOKEN = 'test-token';
+const OWNER = 'nydart-test';
+
+let server;
+let state;
+let baseUrl;
+let tracker;
+let bugId;
+
+// A client acting as another GitHub user (X-Fake-User)
+const clientAs = (login) => createGitHubClient({
+    baseUrl,
+    token: TOKEN,
+    transport: async (request) => {
+        const response = await axios({
+            ...request,
+            headers: { ...request.headers, 'X-Fake-User': login },
+            validateStatus: () => true
+        });
+        return { status: response.status, headers: response.headers, data: response.data };
+    }
+});
+
+const runSync = (options = {}) => new GitHubSync({
+    tracker,
+    client: createGitHubClient({ baseUrl, token: TOKEN }),
+    owner: OWNER,
+    prefer: options.prefer
+}).sync();
+
+const repo = () => [...state.repos.values()][0];
+const issue = () => repo().issues[0];
+const labelNames = () => issue().labels.map(label => label.name).sort();
+
+test.before(async () => {
+    ({ server, state } = await startFakeGitHub({ port: 0, token: TOKEN, login: 'nydart-bot' }));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    tracker = new BugTracker({ dataDir: fs.mkdtempSync(path.join(os.tmpdir(), 'bug-sync-')) });
+    bugId = tracker.createBug({
+        title: 'Login fails with expired token',
+        description: 'JWT expiry is not checked',
+        service: 'auth_service',
+        severity: 'high',
+        category: 'functional',
+        detectedBy: 'automated-test'
+    }).id;
+});
+
+test.after(() => {
+    server.close();
+    fs.rmSync(tracker.dataDir, { recursive: true, force: true });
+});
+
+test('creates a labelled issue for a new bug', async () => {
+    const summary = await runSync();
+
+    assert.strictEqual(summary.created.length, 1);
+    assert.deepStrictEqual(summary.errors, []);
+    assert.strictEqual(repo().key.split('/')[0], OWNER);
+    assert.strictEqual(issue().title, 'Login fails with expired token');
+    assert.deepStrictEqual(labelNames(), ['bug-tracker', 'category:functional', 'severity:high', 'state:detected']);
+    assert.ok(issue().body.includes(`<!-- nydart-bug: ${bugId} -->`));
+    assert.strictEqual(tracker.reload().findBug(bugId).github.number, issue().number);
+});
+
+test('pushes bug comments and pulls issue comments', async () => {
+    tracker.addComment(bugId, { author: 'carol', content: 'Reproduced on staging' });
+    await clientAs('alice').createComment(repo().key, issue().number, 'Same on production');
+
+    const summary = await runSync();
+
+    assert.strictEqual(summary.commentsPushed, 1);
+    assert.strictEqual(summary.commentsPulled, 1);
+    assert.ok(repo().comments.some(comment => comment.body.includes('Reproduced on staging') && comment.body.includes('nydart-comment:')));
+    const pulled = tracker.reload().findBug(bugId).comments.find(comment => comment.content === 'Same on production');
+    assert.strictEqual(pulled.author, 'github:alice');
+});
+
+test('pulls label changes into the bug', async () => {
+    const labels = issue().labels.map(label => label.name).map(name => (name === 'severity:high' ? 'severity:critical' : name));
+    await clientAs('alice').updateIssue(repo().key, issue().number, { labels });
+
+    const summary = await runSync();
+
+    assert.deepStrictEqual(summary.pulled, [{ bugId, fields: ['severity'] }]);
+    assert.strictEqual(tracker.reload().findBug(bugId).severity, 'critical');
+});
+
+test('reports a field changed on both sides until --prefer settles it', async () => {
+    tracker.updateBug(bugId, { title: 'Expired tokens are accepted' }, { actor: 'carol' });
+    await clientAs('alice').updateIssue(repo().key, issue().number, { title: 'Login accepts expired JWTs' });
+
+    let summary = await runSync();
+    assert.deepStrictEqual(summary.conflicts.map(conflict => conflict.field), ['title']);
+    assert.strictEqual(tracker.reload().findBug(bugId).title, 'Expired tokens are accepted');
+    assert.strictEqual(issue().title, 'Login accepts expired JWTs');
+
+    summary = await runSync();
+    assert.deepStrictEqual(summary.conflicts.map(conflict => conflict.field), ['title']);
+
+    summary = await runSync({ prefer: 'github' });
+    assert.deepStrictEqual(summary.conflicts, []);
+    assert.strictEqual(tracker.reload().findBug(bugId).title, 'Login accepts expired JWTs');
+});
+
+test('resolves the bug when the issue is closed as not planned', async () => {
+    await clientAs('alice').updateIssue(repo().key, issue().number, { state: 'closed', state_reason: 'not_planned' });
+
+    await runSync();
+
+    const bug = tracker.reload().findBug(bugId);
+    assert.strictEqual(bug.state, 'resolved');
+    assert.strictEqual(bug.resolution.resolutionType, 'wont_fix');
+    assert.strictEqual(bug.resolution.resolvedBy, 'github:alice');
+    assert.ok(labelNames().includes('state:resolved'));
+});
+
+test('a second run changes nothing', async () => {
+    const comments = repo().comments.length;
+    const summary = await runSync();
+
+    assert.deepStrictEqual(
+        { created: summary.created, updated: summary.updated, pulled: summary.pulled, conflicts: summary.conflicts, errors: summary.errors },
+        { created: [], updated: [], pulled: [], conflicts: [], errors: [] }
+    );
+    assert.strictEqual(summary.commentsPushed + summary.commentsPulled, 0);
+    assert.strictEqual(repo().comments.length, comments);
+    assert.strictEqual(repo().issues.length, 1);
+});
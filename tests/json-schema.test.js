@@ -0,0 +1,29 @@
+/**
+ * Request body validation (scripts/json-schema.js) with the bug API schemas.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateSchema } = require('../scripts/json-schema');
+const { SCHEMAS } = require('../scripts/bug-server');
+
+test('accepts a valid update', () => {
+    assert.deepStrictEqual(validateSchema(SCHEMAS.updateBug, { title: 'Login fails' }), []);
+});
+
+test('rejects undeclared properties', () => {
+    const errors = validateSchema(SCHEMAS.updateBug, { state: 'resolved', title: 'x' });
+    assert.deepStrictEqual(errors, [{ path: '/state', message: 'is not an allowed property' }]);
+});
+
+test('rejects Object.prototype member names as properties', () => {
+    ['hasOwnProperty', 'constructor', 'toString', '__proto__'].forEach(key => {
+        const body = JSON.parse(`{"${key}": "pwn"}`);
+        assert.deepStrictEqual(validateSchema(SCHEMAS.updateBug, body), [{ path: `/${key}`, message: 'is not an allowed property' }]);
+    });
+});
+
+test('inherited members do not satisfy required', () => {
+    const schema = { type: 'object', required: ['toString'] };
+    assert.strictEqual(validateSchema(schema, {}).length, 1);
+});
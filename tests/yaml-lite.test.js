@@ -0,0 +1,23 @@
+/**
+ * Comments and quotes in the YAML subset parser (scripts/yaml-lite.js).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseYaml } = require('../scripts/yaml-lite');
+
+test('apostrophes inside plain scalars do not hide comments', () => {
+    assert.deepStrictEqual(parseYaml("fix: Don't decode tokens # note\nsteps:\n  - Don't panic # later\n"), {
+        fix: "Don't decode tokens",
+        steps: ["Don't panic"]
+    });
+});
+
+test('a # inside quoted scalars is kept', () => {
+    assert.deepStrictEqual(parseYaml("a: 'x # y' # c\nb: \"it's # fine\"\nc: ['p # q', it's]\nd: {e: 'f # g'}\n"), {
+        a: 'x # y',
+        b: "it's # fine",
+        c: ['p # q', "it's"],
+        d: { e: 'f # g' }
+    });
+});